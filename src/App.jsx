@@ -5,30 +5,47 @@ import ReactFlow, {
   MiniMap,
   useNodesState,
   useEdgesState,
-  addEdge,
   MarkerType,
   Handle,
   Position,
 } from "reactflow";
 import "reactflow/dist/style.css";
 import { motion } from "framer-motion";
-import { Download, Plus, Link2, Users, Wand2, Sigma } from "lucide-react";
-import dagre from "@dagrejs/dagre";
+import { Download, Plus, Link2, Users, Wand2, Sigma, Heart, AlertTriangle, FilePlus, Copy, Pencil, Trash2, History as HistoryIcon, Undo2, Redo2, Pin, LayoutGrid, ChevronLeft, ChevronRight } from "lucide-react";
 
 /**
  * Одностраничное приложение для визуального разбора родственных связей.
  * — TailwindCSS для стилей
  * — React Flow для диаграммы
  * — framer-motion для анимаций
- * — dagre для авто-раскладки графа
+ * — собственная раскладка семейного дерева: поколения по рядам, пары рядом, дети под парой
  *
  * Возможности:
- * 1) Добавляйте людей и задавайте связи «родитель → ребёнок».
- * 2) Схема рисуется автоматически, узлы можно перетаскивать вручную.
- * 3) Анализируйте степень родства между двумя выбранными людьми.
+ * 1) Добавляйте людей и задавайте связи «родитель → ребёнок» и пары (брак, союз).
+ * 2) Схема рисуется автоматически, узлы можно перетаскивать вручную: позиции хранятся в дереве,
+ *    новые люди встают рядом с родственниками, «Перераскладка» не трогает закреплённые узлы.
+ * 3) Анализируйте степень родства между двумя выбранными людьми: щелчок по узлу — A, Shift+щелчок — B,
+ *    правая кнопка — меню действий; списки людей с нечётким поиском по имени, годам и родителям.
  * 4) Кнопка «Загрузить пример» создаёт граф по фразе:
  *    «его мать — младшая сестра её деда по материнской линии»
  *    и показывает, что он — её двоюродный дядя, а она — его двоюродная племянница.
+ * 5) Переключатель языка: термины родства строятся правилами локали (русская, английская).
+ * 6) Импорт и экспорт GEDCOM 5.5.1 / 7.0; несопоставленные теги показываются в отчёте.
+ * 7) Карточка человека: имя, отчество, фамилия, нечёткие даты (около, до, между; ст. ст.), места,
+ *    порядок рождения среди братьев и сестёр — он даёт «старшего брата» в анализе и порядок детей на схеме.
+ * 8) Проверка целостности: циклы, лишние родители, невозможные даты, порядок рождения против дат —
+ *    в панели «Проблемы».
+ * 9) Автосохранение в IndexedDB, несколько именованных деревьев, восстановление последнего.
+ * 10) История правок с отменой и повтором (Ctrl+Z / Ctrl+Shift+Z), сохраняется вместе с деревом.
+ * 11) Схемы вокруг человека: предки с нумерацией Соса — Страдоница, потомки с нумерацией
+ *     д'Абовиля, «песочные часы» и веер предков.
+ * 12) Экспорт схемы в SVG и PNG (вся схема или видимая часть, разрешение на выбор) и плакат
+ *     для печати: листы A4/A3 с перекрытием, обложка с легендой и анализом A ↔ B.
+ * 13) Разбор фраз о родстве: любые цепочки терминов в родительном падеже («дочь двоюродного брата
+ *     моей бабушки по отцу»), сценарии из нескольких предложений с именами и вопросом «Кто X для Y?»;
+ *     ошибка указывает на непонятое слово. Разобранное можно добавить в текущее дерево: люди
+ *     сопоставляются по имени или вручную, предпросмотр показывает, что добавится. Обратно: линия
+ *     родства A и B пересказывается цепочкой («Он — сын сестры её деда по материнской линии»).
  */
 
 // Утилита: генерация коротких id
@@ -37,115 +54,1775 @@ const genId = () => String(_id++);
 
 /** @typedef {"male"|"female"|"unknown"} Sex */
 
-/** @typedef {{ id: string, name: string, sex: Sex, note?: string, birthYear?: number }} Person */
-/** @typedef {{ parentId: string, childId: string }} ParentEdge */
+/**
+ * @typedef {{
+ *   id: string, name: string, sex: Sex, note?: string,
+ *   given?: string, patronymic?: string, surname?: string, maidenSurname?: string,
+ *   birth?: LifeEvent, death?: LifeEvent, alive?: boolean, birthOrder?: number
+ * }} Person
+ * name — подпись для схемы; при заполненных частях имени собирается из них (composeName).
+ * birthOrder — место среди братьев и сестёр (1 — старший), когда дат рождения нет или они неточны.
+ * alive: true — жив(а), false — умер(ла), нет поля — неизвестно.
+ */
+/** @typedef {{ parentId: string, childId: string, unionId?: string }} ParentEdge */
+/** @typedef {"marriage"|"civil"|"cohabitation"|"divorced"} UnionKind */
+/** @typedef {{ id: string, partners: [string, string], kind: UnionKind, startYear?: number, endYear?: number }} Union */
+/**
+ * @typedef {{ x: number, y: number, pinned?: boolean }} NodePosition
+ * Место узла на схеме; pinned — узел закреплён и не двигается при перераскладке.
+ */
 
-// Авто-раскладка графа с помощью dagre
-const dagreGraph = new dagre.graphlib.Graph();
-dagreGraph.setDefaultEdgeLabel(() => ({}));
+// ===== Раскладка семейного дерева =====
+// Ряд схемы — поколение: ребёнок на ряд ниже родителей, партнёры в одном ряду. В ряду
+// партнёры стоят вплотную (между ними — соединитель пары), дети — под своей парой по
+// старшинству. Затем несколько проходов сверху вниз и снизу вверх подтягивают детей под
+// родителей и родителей над детьми, не меняя порядка в ряду.
+// direction: "TB" — поколения сверху вниз, "LR" — слева направо.
 
 const nodeWidth = 220;
 const nodeHeight = 86;
+const NODE_GAP = 36; // между соседями в ряду
+const COUPLE_GAP = 72; // между партнёрами — место для соединителя пары
+const RANK_GAP = 72; // между поколениями
+const LAYOUT_SWEEPS = 3;
+
+// Ключ старшинства: начало возможного периода рождения; без даты — в конец
+const birthKey = (p) => dateBounds(p?.birth?.date)?.[0] ?? Infinity;
+
+// Кто старше: "elder" — a родился(ась) раньше b, "younger" — позже, null — неизвестно.
+// Непересекающиеся даты рождения важнее порядка рождения (birthOrder).
+function birthRank(a, b) {
+  const da = dateBounds(a?.birth?.date);
+  const db = dateBounds(b?.birth?.date);
+  if (da && db && da[1] <= db[0]) return "elder";
+  if (da && db && db[1] <= da[0]) return "younger";
+  if (a?.birthOrder && b?.birthOrder && a.birthOrder !== b.birthOrder) return a.birthOrder < b.birthOrder ? "elder" : "younger";
+  return null;
+}
+
+// Сортировка по старшинству: известный порядок, затем начало периода рождения
+const compareBirth = (a, b) => {
+  const rank = birthRank(a, b);
+  return rank ? (rank === "elder" ? -1 : 1) : birthKey(a) - birthKey(b) || 0;
+};
+
+// Номер поколения каждого человека (0 — старшее)
+function generations({ people, rels, unions = [] }) {
+  const gen = Object.fromEntries(people.map((p) => [p.id, 0]));
+  const links = rels.filter((r) => r.parentId in gen && r.childId in gen);
+  const pairs = unions.map((u) => u.partners).filter(([a, b]) => a in gen && b in gen);
+  const hasParents = new Set(links.map((r) => r.childId));
+  let changed = true;
+  // при цикле в данных номера растут без конца — число проходов ограничено
+  for (let pass = 0; changed && pass < people.length * 2 + 2; pass++) {
+    changed = false;
+    const raise = (id, v) => {
+      if (gen[id] < v) {
+        gen[id] = v;
+        changed = true;
+      }
+    };
+    links.forEach((r) => raise(r.childId, gen[r.parentId] + 1));
+    pairs.forEach(([a, b]) => {
+      raise(a, gen[b]);
+      raise(b, gen[a]);
+    });
+    // человек без родителей опускается к своим детям: иначе пришедший в семью супруг
+    // или предок по короткой линии окажется на поколение выше ровесников
+    people.forEach((p) => {
+      if (hasParents.has(p.id)) return;
+      const kids = links.filter((r) => r.parentId === p.id).map((r) => gen[r.childId]);
+      if (kids.length) raise(p.id, Math.min(...kids) - 1);
+    });
+  }
+  const top = Math.min(0, ...Object.values(gen));
+  Object.keys(gen).forEach((id) => (gen[id] -= top));
+  return gen;
+}
+
+// Расстановка блоков ряда как можно ближе к желаемым местам без наложений и без смены
+// порядка: соседние блоки, которые не помещаются, сливаются и встают по среднему.
+function packRow(blocks) {
+  const clusters = [];
+  blocks.forEach((b, i) => {
+    let c = { items: [i], width: b.width, sum: b.want, n: 1 };
+    for (;;) {
+      const prev = clusters.at(-1);
+      if (!prev || prev.sum / prev.n + prev.width + NODE_GAP <= c.sum / c.n) break;
+      clusters.pop();
+      const shift = prev.width + NODE_GAP;
+      c = { items: [...prev.items, ...c.items], width: shift + c.width, sum: prev.sum + c.sum - shift * c.n, n: prev.n + c.n };
+    }
+    clusters.push(c);
+  });
+  const lefts = [];
+  clusters.forEach((c) => {
+    let x = c.sum / c.n;
+    c.items.forEach((i) => {
+      lefts[i] = x;
+      x += blocks[i].width + NODE_GAP;
+    });
+  });
+  return lefts;
+}
+
+// Позиции всех людей дерева: id → { x, y } (левый верхний угол узла)
+function familyLayout({ people, rels, unions = [] }, direction = "TB") {
+  if (!people.length) return {};
+  const gen = generations({ people, rels, unions });
+  const byId = Object.fromEntries(people.map((p) => [p.id, p]));
+  const byBirth = (ids) => [...ids].sort((a, b) => compareBirth(byId[a], byId[b]));
+  const parentsOf = {};
+  const childrenOf = {};
+  rels.forEach((r) => {
+    if (!byId[r.parentId] || !byId[r.childId]) return;
+    (parentsOf[r.childId] ||= []).push(r.parentId);
+    (childrenOf[r.parentId] ||= []).push(r.childId);
+  });
+  const mates = {};
+  unions.forEach(({ partners: [a, b] }) => {
+    if (!byId[a] || !byId[b] || gen[a] !== gen[b]) return;
+    (mates[a] ||= []).push(b);
+    (mates[b] ||= []).push(a);
+  });
+
+  // Порядок в рядах: дети — по порядку родителей и старшинству, каждый сразу со своими
+  // партнёрами; остальные (корни, пришедшие в семью) — в конец ряда по старшинству
+  const rows = [];
+  const placed = new Set();
+  const put = (id) => {
+    const queue = [id];
+    while (queue.length) {
+      const x = queue.shift();
+      if (placed.has(x)) continue;
+      placed.add(x);
+      (rows[gen[x]] ||= []).push(x);
+      queue.push(...(mates[x] || []));
+    }
+  };
+  const ordered = byBirth(people.map((p) => p.id));
+  const depth = Math.max(...Object.values(gen));
+  for (let g = 0; g <= depth; g++) {
+    (rows[g - 1] || []).forEach((pid) => byBirth(childrenOf[pid] || []).filter((c) => gen[c] === g).forEach(put));
+    ordered.filter((id) => gen[id] === g).forEach(put);
+  }
+
+  // Блок — пара (или цепочка браков), стоящая в ряду вплотную
+  const breadth = direction === "LR" ? nodeHeight : nodeWidth;
+  const rowBlocks = Array.from(rows, (row = []) => {
+    const blocks = [];
+    row.forEach((id, i) => {
+      const last = blocks.at(-1);
+      if (last && (mates[row[i - 1]] || []).includes(id)) {
+        last.offsets.push(last.width + COUPLE_GAP);
+        last.width += COUPLE_GAP + breadth;
+        last.ids.push(id);
+      } else blocks.push({ ids: [id], offsets: [0], width: breadth });
+    });
+    return blocks;
+  });
+  const left = {};
+  rowBlocks.forEach((blocks) =>
+    packRow(blocks.map((b) => ({ width: b.width, want: 0 }))).forEach((x, i) => blocks[i].ids.forEach((id, k) => (left[id] = x + blocks[i].offsets[k])))
+  );
+  const center = (id) => left[id] + breadth / 2;
+  const mean = (xs) => xs.reduce((s, x) => s + x, 0) / xs.length;
+  // Ряд встаёт по «мнениям» соседнего ряда: над детьми или под родителями
+  const align = (blocks, related) => {
+    const lefts = packRow(
+      blocks.map((b) => {
+        const wants = b.ids
+          .map((id, k) => {
+            const others = (related[id] || []).filter((o) => o in left && gen[o] !== gen[id]);
+            return others.length ? mean(others.map(center)) - breadth / 2 - b.offsets[k] : null;
+          })
+          .filter((x) => x !== null);
+        return { width: b.width, want: wants.length ? mean(wants) : left[b.ids[0]] };
+      })
+    );
+    lefts.forEach((x, i) => blocks[i].ids.forEach((id, k) => (left[id] = x + blocks[i].offsets[k])));
+  };
+  for (let sweep = 0; sweep < LAYOUT_SWEEPS; sweep++) {
+    rowBlocks.forEach((blocks, g) => g > 0 && align(blocks, parentsOf));
+    for (let g = rowBlocks.length - 2; g >= 0; g--) align(rowBlocks[g], childrenOf);
+  }
+  rowBlocks.forEach((blocks, g) => g > 0 && align(blocks, parentsOf));
+
+  const shift = 20 - Math.min(...Object.values(left));
+  const step = direction === "LR" ? nodeWidth + RANK_GAP : nodeHeight + RANK_GAP;
+  return Object.fromEntries(
+    people.map((p) => {
+      const along = left[p.id] + shift;
+      const across = 20 + gen[p.id] * step;
+      return [p.id, direction === "LR" ? { x: across, y: along } : { x: along, y: across }];
+    })
+  );
+}
+
+// Позиции узлов хранятся в модели (positions: id → { x, y, pinned? }), раскладка их не трогает.
+// Новые узлы ставятся рядом с уже размещёнными: родителю или ребёнку — с тем же смещением,
+// что в раскладке семейного дерева, партнёру — вплотную в ряду; несвязанные — за краем схемы.
+// Возвращает позиции только новых узлов.
+function placeNewNodes(tree, positions, direction = "TB") {
+  const { people, rels, unions = [] } = tree;
+  const fresh = people.map((p) => p.id).filter((id) => !positions[id]);
+  if (!fresh.length) return {};
+  const auto = familyLayout(tree, direction);
+  // Схема ещё пуста — обычная раскладка целиком
+  if (fresh.length === people.length) return auto;
 
-function getLayoutedElements(nodes, edges, direction = "TB") {
-  const isHorizontal = direction === "LR";
-  dagreGraph.setGraph({
-    rankdir: direction,
-    nodesep: 36,
-    ranksep: 72,
-    marginx: 20,
-    marginy: 20,
+  const lr = direction === "LR";
+  const along = lr ? "y" : "x";
+  const across = lr ? "x" : "y";
+  const breadth = lr ? nodeHeight : nodeWidth;
+  const placed = {};
+  const at = (id) => positions[id] || placed[id];
+  const kin = {};
+  rels.forEach((r) => {
+    (kin[r.parentId] ||= []).push(r.childId);
+    (kin[r.childId] ||= []).push(r.parentId);
   });
+  const mates = {};
+  unions.forEach(({ partners: [a, b] }) => {
+    (mates[a] ||= []).push(b);
+    (mates[b] ||= []).push(a);
+  });
+  const taken = () => people.map((p) => at(p.id)).filter(Boolean);
+
+  const pending = [...fresh];
+  while (pending.length) {
+    // сначала те, у кого уже есть размещённый сосед — так новая ветка растёт от схемы
+    const i = Math.max(0, pending.findIndex((id) => (kin[id] || []).some(at) || (mates[id] || []).some(at)));
+    const [id] = pending.splice(i, 1);
+    const anchor = (kin[id] || []).find(at);
+    const mate = (mates[id] || []).find(at);
+    const pos = {};
+    if (anchor) {
+      pos.x = at(anchor).x + auto[id].x - auto[anchor].x;
+      pos.y = at(anchor).y + auto[id].y - auto[anchor].y;
+    } else if (mate) {
+      pos[along] = at(mate)[along] + breadth + COUPLE_GAP;
+      pos[across] = at(mate)[across];
+    } else {
+      const all = taken();
+      pos[along] = Math.max(...all.map((p) => p[along])) + breadth + NODE_GAP * 2;
+      pos[across] = Math.min(...all.map((p) => p[across])) + auto[id][across] - 20;
+    }
+    placed[id] = freeSpot(pos, taken(), direction);
+  }
+  return placed;
+}
 
-  nodes.forEach((node) => {
-    dagreGraph.setNode(node.id, { width: nodeWidth, height: nodeHeight });
+// Сдвиг вдоль ряда, пока узел перекрывает уже стоящие
+function freeSpot(pos, taken, direction = "TB") {
+  const p = { x: pos.x, y: pos.y };
+  const overlaps = () => taken.some((q) => Math.abs(q.x - p.x) < nodeWidth + NODE_GAP / 2 && Math.abs(q.y - p.y) < nodeHeight + NODE_GAP / 2);
+  while (overlaps()) {
+    if (direction === "LR") p.y += nodeHeight + NODE_GAP;
+    else p.x += nodeWidth + NODE_GAP;
+  }
+  return p;
+}
+
+// Перераскладка всего дерева; закреплённые узлы остаются на местах
+function relayoutPositions(tree, positions, direction = "TB") {
+  const laid = familyLayout(tree, direction);
+  const next = { ...positions };
+  Object.entries(laid).forEach(([id, pos]) => {
+    if (!positions[id]?.pinned) next[id] = pos;
   });
-  edges.forEach((edge) => dagreGraph.setEdge(edge.source, edge.target));
+  return next;
+}
+
+// ===== Схемы вокруг человека =====
+// Предки (нумерация Соса — Страдоница: отец n — 2n, мать — 2n + 1), потомки (нумерация
+// д'Абовиля: 1, 1.1, 1.2.3 …), «песочные часы» — предки и потомки одного человека, и веер.
+// Ветвь схемы — { key, id, gen, number, kids }; один предок по разным линиям встречается
+// несколько раз, поэтому key — номер места, а не id человека.
+
+const CHART_KINDS = ["tree", "pedigree", "descendants", "hourglass", "fan"];
+const CHART_MAX_GENS = 8;
+
+// Сколько поколений есть в дереве вверх (предки) или вниз (потомки)
+function chartDepth(rootId, idx, up = true) {
+  const depths = getAncestors(rootId, up ? idx.parentsOf : idx.childrenOf);
+  return Math.max(0, ...Object.values(depths));
+}
 
-  dagre.layout(dagreGraph);
+// Отец и мать: по полу, а родитель неизвестного пола занимает свободное место
+function fatherAndMother(id, idx) {
+  const ps = idx.parentsOf[id] || [];
+  const father = ps.find((p) => idx.byId[p]?.sex === "male");
+  const mother = ps.find((p) => idx.byId[p]?.sex === "female");
+  const rest = ps.filter((p) => p !== father && p !== mother);
+  return [father ?? rest.shift(), mother ?? rest.shift()];
+}
+
+function pedigreeTree(rootId, idx, gens) {
+  const grow = (id, sosa, gen) => ({
+    key: `a${sosa}`,
+    id,
+    gen,
+    number: String(sosa),
+    kids: gen < gens ? fatherAndMother(id, idx).flatMap((p, i) => (p ? [grow(p, sosa * 2 + i, gen + 1)] : [])) : [],
+  });
+  return grow(rootId, 1, 0);
+}
 
-  const layoutedNodes = nodes.map((node) => {
-    const { x, y } = dagreGraph.node(node.id);
-    node.targetPosition = isHorizontal ? "left" : "top";
-    node.sourcePosition = isHorizontal ? "right" : "bottom";
-    node.position = { x: x - nodeWidth / 2, y: y - nodeHeight / 2 };
-    return node;
+function descendantTree(rootId, idx, gens) {
+  const grow = (id, number, gen) => ({
+    key: `d${number}`,
+    id,
+    gen,
+    number,
+    kids: gen < gens
+      ? [...(idx.childrenOf[id] || [])].sort((a, b) => compareBirth(idx.byId[a], idx.byId[b])).map((c, i) => grow(c, `${number}.${i + 1}`, gen + 1))
+      : [],
   });
+  return grow(rootId, "1", 0);
+}
+
+// Компактная раскладка ветви: листья подряд, узел — посередине над крайними потомками
+function tidyTree(root) {
+  const pos = new Map();
+  let next = 0;
+  const walk = (node) => {
+    node.kids.forEach(walk);
+    pos.set(node, node.kids.length ? (pos.get(node.kids[0]) + pos.get(node.kids.at(-1))) / 2 : next++);
+  };
+  walk(root);
+  return pos;
+}
 
-  return { nodes: layoutedNodes, edges };
+const flattenChart = (node) => [node, ...node.kids.flatMap(flattenChart)];
+
+// Узлы и линии схемы: { nodes: [{ key, id, number, x, y }], links: [{ source, target }], direction }.
+// Предки раскладываются слева направо (корень слева), потомки — сверху вниз;
+// в «песочных часах» предки над корнем, потомки под ним.
+function buildChart(kind, rootId, idx, gens) {
+  const nodes = [];
+  const links = [];
+  const rowStep = nodeHeight + RANK_GAP;
+  const colStep = nodeWidth + NODE_GAP;
+  const place = (root, toXY, withRoot = true) => {
+    const pos = tidyTree(root);
+    const origin = pos.get(root);
+    flattenChart(root)
+      .slice(withRoot ? 0 : 1)
+      .forEach((n) => nodes.push({ key: n.key, id: n.id, number: n.number, gen: n.gen, ...toXY(n, pos.get(n) - origin) }));
+  };
+  if (kind === "pedigree") {
+    const root = pedigreeTree(rootId, idx, gens);
+    place(root, (n, k) => ({ x: n.gen * (nodeWidth + RANK_GAP), y: k * (nodeHeight + NODE_GAP) }));
+    flattenChart(root).forEach((n) => n.kids.forEach((p) => links.push({ source: n.key, target: p.key })));
+    return { nodes, links, direction: "LR" };
+  }
+  if (kind === "descendants" || kind === "hourglass") {
+    const root = descendantTree(rootId, idx, gens);
+    place(root, (n, k) => ({ x: k * colStep, y: n.gen * rowStep }));
+    flattenChart(root).forEach((n) => n.kids.forEach((c) => links.push({ source: n.key, target: c.key })));
+  }
+  if (kind === "hourglass") {
+    const root = pedigreeTree(rootId, idx, gens);
+    // корень уже стоит в части потомков; предки — над ним, линии идут вниз к детям
+    place(root, (n, k) => ({ x: k * colStep, y: -n.gen * rowStep }), false);
+    flattenChart(root).forEach((n) => n.kids.forEach((p) => links.push({ source: p.key, target: n === root ? "d1" : n.key })));
+  }
+  return { nodes, links, direction: "TB" };
+}
+
+// Веер предков: корень в центре, каждое поколение — кольцо из 2^n секторов на полукруге;
+// отцовская линия слева, материнская справа
+const FAN_INNER = 64;
+const FAN_RING = 76;
+
+function fanSectors(rootId, idx, gens) {
+  return flattenChart(pedigreeTree(rootId, idx, gens))
+    .filter((n) => n.gen > 0)
+    .map((n) => {
+      const slots = 2 ** n.gen;
+      const k = Number(n.number) - slots;
+      return {
+        ...n,
+        paternal: k < slots / 2,
+        r0: FAN_INNER + (n.gen - 1) * FAN_RING,
+        r1: FAN_INNER + n.gen * FAN_RING,
+        a0: Math.PI + (k * Math.PI) / slots,
+        a1: Math.PI + ((k + 1) * Math.PI) / slots,
+      };
+    });
+}
+
+function FanChart({ rootId, idx, gens, L, onSelect, onRoot }) {
+  const sectors = fanSectors(rootId, idx, gens);
+  const R = FAN_INNER + gens * FAN_RING;
+  const pt = (r, a) => `${(R + r * Math.cos(a)).toFixed(1)} ${(R + r * Math.sin(a)).toFixed(1)}`;
+  const clip = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+  const root = idx.byId[rootId];
+  return (
+    <svg viewBox={`0 0 ${R * 2} ${R + 40}`} className="w-full h-full">
+      {sectors.map((s) => {
+        const p = idx.byId[s.id];
+        const mid = (s.a0 + s.a1) / 2;
+        const rm = (s.r0 + s.r1) / 2;
+        const [x, y] = pt(rm, mid).split(" ");
+        // во внутренних кольцах подпись идёт по дуге, во внешних — вдоль радиуса
+        const radial = s.gen > 2;
+        let rot = (mid * 180) / Math.PI + (radial ? 0 : 90);
+        if (radial && Math.cos(mid) < 0) rot += 180;
+        const room = radial ? FAN_RING : rm * (s.a1 - s.a0);
+        return (
+          <g key={s.key} onClick={() => onSelect(s.id)} onDoubleClick={() => onRoot(s.id)} className="cursor-pointer">
+            <title>{`${s.number}. ${[p?.name, lifeSpan(p || {}, L)].filter(Boolean).join(", ")}`}</title>
+            <path
+              d={`M ${pt(s.r0, s.a0)} A ${s.r0} ${s.r0} 0 0 1 ${pt(s.r0, s.a1)} L ${pt(s.r1, s.a1)} A ${s.r1} ${s.r1} 0 0 0 ${pt(s.r1, s.a0)} Z`}
+              className={s.paternal ? "fill-sky-50 hover:fill-sky-100 stroke-sky-300" : "fill-pink-50 hover:fill-pink-100 stroke-pink-300"}
+            />
+            <text x={x} y={y} transform={`rotate(${rot.toFixed(1)} ${x} ${y})`} textAnchor="middle" dominantBaseline="middle" className="fill-slate-700 text-[10px] pointer-events-none">
+              {clip(p?.name || "?", Math.max(3, Math.floor(room / 6.5)))}
+            </text>
+          </g>
+        );
+      })}
+      <g onClick={() => onSelect(rootId)} className="cursor-pointer">
+        <path d={`M ${pt(FAN_INNER, Math.PI)} A ${FAN_INNER} ${FAN_INNER} 0 0 1 ${pt(FAN_INNER, 0)} Z`} className="fill-indigo-50 stroke-indigo-300" />
+        <text x={R} y={R - FAN_INNER / 3} textAnchor="middle" className="fill-slate-800 text-[11px] font-semibold">
+          {clip(root?.name || "", 16)}
+        </text>
+      </g>
+    </svg>
+  );
 }
 
-// Набор русских наименований степеней кузенства
+// Набор русских наименований степеней кузенства (основа без окончания)
+const COUSIN_DEGREE_STEMS = ["", "двоюродн", "троюродн", "четвероюродн", "пятиюродн", "шестиюродн", "семиюродн", "восьмиюродн", "девятиюродн", "десятиюродн"];
+
 const cousinDegreeWord = (n) => {
   if (n <= 0) return "";
-  switch (n) {
-    case 1:
-      return "двоюродн"; // дружим с окончаниями ниже
-    case 2:
-      return "троюродн";
-    case 3:
-      return "четвероюродн";
-    case 4:
-      return "пятоюродн";
-    default:
-      return `${n}-юродн`;
-  }
+  return COUSIN_DEGREE_STEMS[n] || `${n + 1}-юродн`;
 };
 
 const sexNoun = (sex, male, female, neutral = male) =>
   sex === "female" ? female : sex === "male" ? male : neutral;
 
+// Окончание прилагательного по полу: «двоюродн» → «двоюродный» / «двоюродная»
+const adjective = (stem, sex) => stem + (sex === "female" ? "ая" : "ый");
+
+// Приставка «пра-» n раз: прадед, прапрадед, …
+const pra = (n) => "пра".repeat(Math.max(0, n));
+
+// ===== Локализация =====
+// Локаль — это строки интерфейса (strings) и правила терминологии (kinship). Правила —
+// функции, а не таблицы переводов: языки по-разному различают родство (линии, свойство,
+// удаление), поэтому новая локаль (uk, de, pl, …) реализует тот же набор методов по-своему:
+//   terms(k, l, sexA, sexB, half) — кровное родство по дистанции до общего предка (см. kinshipTerms);
+//   partner(sex, kind)             — супруг(а) по виду союза;
+//   affinal(role, sex, spouseSex)  — свойство: spouseParent, childSpouse, spouseSibling, siblingSpouse,
+//                                    stepParent, stepChild, stepSibling, coParentInLaw, wifeSisterHusband, husbandBrotherWife;
+//   ofSpouse(term, partner)        — «двоюродный брат жены»; spouseOf(partner, term) — «муж двоюродной сестры»;
+//   line(side)                     — «по материнской линии»; withLine(term, line) — термин с пометкой линии;
+//   withRank(term, rank, sex)      — «старший брат»: rank "elder"|"younger" для братьев и сестёр.
+
+function ruAffinalTerm(role, sex, spouseSex) {
+  switch (role) {
+    case "spouseParent":
+      return spouseSex === "male" ? sexNoun(sex, "свёкор", "свекровь", "родитель мужа")
+        : spouseSex === "female" ? sexNoun(sex, "тесть", "тёща", "родитель жены")
+        : sexNoun(sex, "отец супруга", "мать супруга", "родитель супруга");
+    case "childSpouse":
+      return sexNoun(sex, "зять", "невестка (сноха)", "супруг ребёнка");
+    case "spouseSibling":
+      return spouseSex === "male" ? sexNoun(sex, "деверь", "золовка", "сиблинг мужа")
+        : spouseSex === "female" ? sexNoun(sex, "шурин", "свояченица", "сиблинг жены")
+        : sexNoun(sex, "брат супруга", "сестра супруга", "сиблинг супруга");
+    case "siblingSpouse":
+      return sexNoun(sex, "зять", "невестка", "супруг сиблинга");
+    case "stepParent":
+      return sexNoun(sex, "отчим", "мачеха", "отчим/мачеха");
+    case "stepChild":
+      return sexNoun(sex, "пасынок", "падчерица", "пасынок/падчерица");
+    case "stepSibling":
+      return sexNoun(sex, "сводный брат", "сводная сестра", "сводный сиблинг");
+    case "coParentInLaw":
+      return sexNoun(sex, "сват", "сватья", "сват/сватья");
+    case "wifeSisterHusband":
+      return "свояк";
+    case "husbandBrotherWife":
+      return "ятровка";
+    default:
+      return role;
+  }
+}
+
+const ruKinship = {
+  terms: (k, l, sexA, sexB, half) => kinshipTerms(k, l, sexA, sexB, half),
+  partner: (sex, kind) => partnerTerm(sex, kind),
+  affinal: ruAffinalTerm,
+  ofSpouse: (term, partner) => `${term} ${genitive(partner)}`,
+  spouseOf: (partner, term) => `${partner} ${genitive(term)}`,
+  line: (side) => (side === "maternal" ? "по материнской линии" : side === "paternal" ? "по отцовской линии" : ""),
+  withLine: (term, line) => (line ? `${term} (${line})` : term),
+  withRank: (term, rank, sex) =>
+    rank ? `${rank === "elder" ? sexNoun(sex, "старший", "старшая", "старший(ая)") : sexNoun(sex, "младший", "младшая", "младший(ая)")} ${term}` : term,
+};
+
+const EN_ORDINALS = ["", "first", "second", "third", "fourth", "fifth", "sixth", "seventh", "eighth", "ninth", "tenth"];
+const enOrdinal = (n) => EN_ORDINALS[n] || `${n}th`;
+const enOrdinalNumber = (n) => n + ((n % 100 >= 11 && n % 100 <= 13) ? "th" : ["th", "st", "nd", "rd"][n % 10] || "th");
+// great-, great-great-, 3rd great-, …
+const enGreat = (n) => (n <= 0 ? "" : n <= 2 ? "great-".repeat(n) : `${enOrdinalNumber(n)} great-`);
+const enRemoved = (r) => (r === 1 ? "once removed" : r === 2 ? "twice removed" : `${r} times removed`);
+
+// Английская система: кузены не различаются по полу, удаление выражается «N times removed»,
+// боковая линия родных братьев — uncle → great-uncle → great-grand-uncle.
+function enKinshipTerms(k, l, sexA, sexB, half = null) {
+  const ancestor = (d, sex) =>
+    d === 1 ? sexNoun(sex, "father", "mother", "parent") : enGreat(d - 2) + sexNoun(sex, "grandfather", "grandmother", "grandparent");
+  const descendant = (d, sex) =>
+    d === 1 ? sexNoun(sex, "son", "daughter", "child") : enGreat(d - 2) + sexNoun(sex, "grandson", "granddaughter", "grandchild");
+
+  if (k === 0) return { title: ancestor(l, sexA), reverseTitle: descendant(l, sexB) };
+  if (l === 0) return { title: descendant(k, sexA), reverseTitle: ancestor(k, sexB) };
+
+  const c = Math.min(k, l) - 1;
+  const r = Math.abs(k - l);
+
+  if (c > 0) {
+    const cousin = `${half ? "half " : ""}${enOrdinal(c)} cousin${r ? " " + enRemoved(r) : ""}`;
+    return { title: cousin, reverseTitle: cousin };
+  }
+  if (r === 0) {
+    const prefix = half === "paternal" ? "paternal half-" : half === "maternal" ? "maternal half-" : half ? "half-" : "";
+    const sibling = (sex) => prefix + sexNoun(sex, "brother", "sister", "sibling");
+    return { title: sibling(sexA), reverseTitle: sibling(sexB) };
+  }
+  const older = (sex) =>
+    r === 1 ? sexNoun(sex, "uncle", "aunt", "uncle/aunt")
+      : r === 2 ? sexNoun(sex, "great-uncle", "great-aunt", "great-uncle/aunt")
+      : enGreat(r - 2) + sexNoun(sex, "grand-uncle", "grand-aunt", "grand-uncle/aunt");
+  const younger = (sex) =>
+    r === 1 ? sexNoun(sex, "nephew", "niece", "nephew/niece")
+      : enGreat(r - 2) + sexNoun(sex, "grandnephew", "grandniece", "grandnephew/niece");
+  return k < l
+    ? { title: older(sexA), reverseTitle: younger(sexB) }
+    : { title: younger(sexA), reverseTitle: older(sexB) };
+}
+
+function enAffinalTerm(role, sex) {
+  switch (role) {
+    case "spouseParent":
+      return sexNoun(sex, "father-in-law", "mother-in-law", "parent-in-law");
+    case "childSpouse":
+      return sexNoun(sex, "son-in-law", "daughter-in-law", "child-in-law");
+    case "spouseSibling":
+    case "siblingSpouse":
+      return sexNoun(sex, "brother-in-law", "sister-in-law", "sibling-in-law");
+    case "stepParent":
+      return sexNoun(sex, "stepfather", "stepmother", "step-parent");
+    case "stepChild":
+      return sexNoun(sex, "stepson", "stepdaughter", "stepchild");
+    case "stepSibling":
+      return sexNoun(sex, "stepbrother", "stepsister", "step-sibling");
+    case "coParentInLaw":
+      return sexNoun(sex, "co-father-in-law", "co-mother-in-law", "co-parent-in-law");
+    case "wifeSisterHusband":
+      return "co-brother-in-law";
+    case "husbandBrotherWife":
+      return "co-sister-in-law";
+    default:
+      return role;
+  }
+}
+
+const enKinship = {
+  terms: enKinshipTerms,
+  partner: (sex, kind) =>
+    kind === "divorced" ? sexNoun(sex, "ex-husband", "ex-wife", "ex-spouse")
+      : kind === "cohabitation" ? "partner"
+      : kind === "civil" ? "civil partner"
+      : sexNoun(sex, "husband", "wife", "spouse"),
+  affinal: enAffinalTerm,
+  ofSpouse: (term, partner) => `${partner}'s ${term}`,
+  spouseOf: (partner, term) => `${term}'s ${partner}`,
+  line: (side) => (side === "maternal" ? "on the maternal line" : side === "paternal" ? "on the paternal line" : ""),
+  withLine: (term, line) => (line ? `${term} (${line})` : term),
+  withRank: (term, rank) => (rank ? `${rank === "elder" ? "older" : "younger"} ${term}` : term),
+};
+
+const RU_STRINGS = {
+  "app.title": "Генеалогический анализатор",
+  "app.demo": "Загрузить пример",
+  "app.demoHint": "Загрузить пример из задачи",
+  "app.export": "Экспорт",
+  "app.exportHint": "Экспортировать JSON",
+  "app.language": "Язык",
+  "trees.defaultName": "Моё дерево",
+  "trees.copyName": "{name} (копия)",
+  "trees.namePrompt": "Название дерева",
+  "trees.switch": "Открыть другое дерево",
+  "trees.create": "Новое дерево",
+  "trees.duplicate": "Копия дерева",
+  "trees.rename": "Переименовать дерево",
+  "trees.delete": "Удалить дерево",
+  "trees.deleteConfirm": "Удалить дерево «{name}»? Это нельзя отменить.",
+  "trees.noStorage": "Без автосохранения",
+  "trees.storageFailed": "Хранилище браузера не ответило: {error}",
+  "sex.male": "Мужчина",
+  "sex.female": "Женщина",
+  "sex.unknown": "Пол не указан",
+  "sex.unset": "Не указан",
+  "union.marriage": "Брак",
+  "union.civil": "Гражданское партнёрство",
+  "union.cohabitation": "Сожительство",
+  "union.divorced": "Брак (расторгнут)",
+  "people.title": "Люди",
+  "people.name": "Имя",
+  "people.sex": "Пол",
+  "people.add": "Добавить",
+  "link.title": "Родитель → Ребёнок",
+  "link.parent": "Родитель",
+  "link.child": "Ребёнок",
+  "link.add": "Добавить связь",
+  "link.errSelf": "Человек не может быть родителем самому себе.",
+  "link.errDuplicate": "Такая связь уже есть.",
+  "link.errCycle": "Связь создала бы цикл: ребёнок уже числится предком этого родителя.",
+  "link.errTooMany": "У ребёнка уже двое родителей.",
+  "unions.title": "Пары",
+  "unions.partnerA": "Партнёр 1",
+  "unions.partnerB": "Партнёр 2",
+  "unions.kind": "Вид союза",
+  "unions.from": "С (год)",
+  "unions.to": "По (год)",
+  "unions.add": "Добавить пару",
+  "unions.childOf": "Ребёнок пары",
+  "unions.pickUnion": "— пара —",
+  "unions.pickChild": "— ребёнок —",
+  "unions.attach": "Привязать ребёнка к паре",
+  "unions.badYears": "Год окончания союза раньше года начала.",
+  "unions.errExists": "Эти двое уже образуют пару.",
+  "list.title": "Список",
+  "list.remove": "Удалить",
+  "list.hint": "Подсказка: чтобы получить двоих сиблингов, добавьте им общих родителей. Нажмите на имя или узел схемы, чтобы открыть карточку.",
+  "list.open": "Открыть карточку",
+  "person.title": "Карточка человека",
+  "person.display": "Подпись на схеме",
+  "person.given": "Имя",
+  "person.patronymic": "Отчество",
+  "person.surname": "Фамилия",
+  "person.maidenSurname": "Девичья фамилия",
+  "person.maidenShort": "урожд. {surname}",
+  "person.birthOrder": "Порядок рождения среди братьев и сестёр",
+  "person.birthOrderHint": "1 — старший; нужен, если дат нет",
+  "person.birth": "Рождение",
+  "person.death": "Смерть",
+  "person.place": "Место",
+  "person.alive": "Жив(а)",
+  "person.aliveUnknown": "неизвестно",
+  "person.aliveYes": "да",
+  "person.aliveNo": "нет, умер(ла)",
+  "person.note": "Заметка",
+  "person.close": "Закрыть",
+  "person.pin": "Закрепить на схеме",
+  "person.unpin": "Открепить",
+  "person.links": "Связи",
+  "person.parents": "Родители",
+  "person.children": "Дети",
+  "person.partners": "Пары",
+  "person.unlink": "Убрать связь",
+  "person.merge": "Объединить с дубликатом",
+  "person.mergeHint": "Связи и пары дубликата перейдут к этому человеку, пустые поля заполнятся из дубликата.",
+  "person.mergeDo": "Объединить",
+  "person.mergeConfirm": "Объединить «{drop}» с «{keep}»? «{drop}» будет удалён(а).",
+  "date.exact": "точно",
+  "date.about": "около",
+  "date.before": "до",
+  "date.after": "после",
+  "date.between": "между",
+  "date.gregorian": "григорианский",
+  "date.julian": "юлианский (ст. ст.)",
+  "date.placeholder": "ДД.ММ.ГГГГ, ММ.ГГГГ или ГГГГ",
+  "date.invalid": "Дата не распознана — сохранена как текст.",
+  "date.fmt.about": "ок. {date}",
+  "date.fmt.before": "до {date}",
+  "date.fmt.after": "после {date}",
+  "date.fmt.between": "{date}–{date2}",
+  "date.fmt.julian": "{date} ст. ст.",
+  "hint.noFather": "{person}: по отчеству «{patronymic}» отца звали {given}, но его нет в дереве.",
+  "hint.fatherName": "{person}: по отчеству «{patronymic}» отец ({father}) — вероятно, {given}.",
+  "hint.mismatch": "{person}: отчество «{patronymic}» указывает на имя {given}, а у отца указано {actual}.",
+  "import.title": "Импорт",
+  "import.hint": "Загрузите ранее экспортированный JSON или файл GEDCOM (.ged). Ниже — экспорт в GEDCOM.",
+  "import.badGedcom": "Не удалось прочитать GEDCOM: {error}",
+  "import.newerSchema": "Файл создан более новой версией приложения (схема {version}).",
+  "import.gedcomDone": "GEDCOM {version}: загружено людей — {count}.",
+  "import.unmapped": "Не перенесены (нет соответствия в модели):",
+  "import.notOurs": "Файл не похож на экспорт этого приложения.",
+  "import.badJson": "Не удалось прочитать JSON: {error}",
+  "flow.direction": "Направление связей:",
+  "flow.arrows": "Показать стрелки",
+  "flow.animated": "Анимация связей",
+  "flow.editHint": "Щелчок по узлу — персона A, Shift+щелчок — B, правая кнопка — меню. Протяните линию от нижней точки узла к верхней — «родитель → ребёнок», от правой к левой — пара. Delete удаляет выделенные связи и людей.",
+  "menu.setA": "Сделать персоной A",
+  "export.button": "Экспорт",
+  "export.hint": "Сохранить схему картинкой или распечатать плакатом",
+  "export.scope": "Что экспортировать",
+  "export.scopeAll": "Вся схема",
+  "export.scopeView": "Видимая часть",
+  "export.resolution": "Разрешение PNG",
+  "export.dpi": "{dpi} dpi",
+  "export.poster": "Плакат:",
+  "export.paper": "Формат листа",
+  "export.scale": "Масштаб печати",
+  "export.poster.sheets": "листов: {n} ({cols} × {rows})",
+  "export.poster.overview": "Схема листов",
+  "export.poster.sheet": "лист {row}–{col}: ряд {row} из {rows}, столбец {col} из {cols}",
+  "export.print": "Печать / PDF",
+  "export.printHint": "Откроется страница для печати: обложка с легендой и анализом, затем листы с линиями перекрытия. PDF — «Сохранить как PDF» в диалоге печати.",
+  "export.title": "Родословное дерево",
+  "export.legend": "Условные обозначения",
+  "export.legend.child": "родитель → ребёнок",
+  "export.failed": "Не удалось нарисовать картинку",
+  "export.popupBlocked": "Браузер заблокировал окно печати — разрешите всплывающие окна для этой страницы",
+  "menu.setB": "Сделать персоной B",
+  "menu.analyseWith": "Сравнить с…",
+  "menu.parentOf": "Сделать родителем для…",
+  "menu.addChild": "Добавить ребёнка…",
+  "menu.addPartner": "Добавить партнёра…",
+  "menu.open": "Открыть карточку",
+  "menu.childName": "Имя ребёнка",
+  "menu.partnerName": "Имя партнёра",
+  "picker.search": "Поиск по имени или году…",
+  "picker.parents": "родители: {names}",
+  "picker.none": "Никого не найдено",
+  "picker.clear": "Очистить",
+  "flow.relayout": "Перераскладка",
+  "flow.relayoutHint": "Разложить схему заново; закреплённые узлы останутся на месте",
+  "flow.pinned": "Закреплён",
+  "flow.layout": "Направление раскладки",
+  "chart.view": "Вид схемы",
+  "chart.tree": "Всё дерево",
+  "chart.pedigree": "Предки (Соса — Страдониц)",
+  "chart.descendants": "Потомки (д'Абовиль)",
+  "chart.hourglass": "Песочные часы",
+  "chart.fan": "Веер предков",
+  "chart.root": "Корень",
+  "chart.generations": "Поколений",
+  "chart.available": "из {count}",
+  "chart.empty": "Добавьте людей, чтобы построить схему",
+  "chart.hint": "Щелчок — карточка человека, двойной щелчок — сделать его корнем схемы.",
+  "flow.layoutTB": "Поколения сверху вниз",
+  "flow.layoutLR": "Поколения слева направо",
+  "analysis.title": "Анализ связи",
+  "analysis.personA": "Персона А",
+  "analysis.personB": "Персона B",
+  "analysis.allPaths": "Все линии родства",
+  "analysis.via": "через",
+  "analysis.alsoAffinal": "Также (свойство)",
+  "analysis.hints": "Подсказки по отчествам",
+  "path.show": "Показать линию на схеме",
+  "path.prev": "Предыдущая линия",
+  "path.next": "Следующая линия",
+  "path.counter": "{i} из {n}",
+  "path.sentence": "Словами: «{text}»",
+  "path.role.a": "A",
+  "path.role.b": "B",
+  "path.role.ancestor": "общий предок",
+  "history.title": "История",
+  "history.undo": "Отменить (Ctrl+Z)",
+  "history.redo": "Повторить (Ctrl+Shift+Z)",
+  "history.start": "Начало",
+  "history.hint": "Нажмите на шаг, чтобы вернуться к нему. История сохраняется вместе с деревом.",
+  "history.edit": "Правка",
+  "history.addPerson": "Добавлен(а) {name}",
+  "history.editPerson": "Изменён(а) {name}",
+  "history.removePerson": "Удалён(а) {name}",
+  "history.addLink": "Связь {parent} → {child}",
+  "history.removeLink": "Удалена связь {parent} → {child}",
+  "history.addUnion": "Пара {a} + {b}",
+  "history.removeUnion": "Удалена пара {a} + {b}",
+  "history.attachChild": "{child} привязан(а) к паре",
+  "history.deleteOnCanvas": "Удаление на схеме",
+  "history.merge": "{drop} объединён(а) с {keep}",
+  "history.demo": "Загружен пример",
+  "history.parser": "Разбор фразы",
+  "history.parserMerge": "Добавление из фразы",
+  "history.import": "Импорт {format}",
+  "history.move": "Перемещён узел {name}",
+  "history.relayout": "Перераскладка схемы",
+  "history.pin": "Закреплён узел {name}",
+  "history.unpin": "Откреплён узел {name}",
+  "issue.title": "Проблемы",
+  "issue.none": "Проблем не найдено.",
+  "issue.refused": "Правка отклонена — она создаёт ошибки:\n{list}",
+  "issue.confirm": "Правка создаёт ошибки:\n{list}\nВсё равно применить?",
+  "issue.afterImport": "В загруженных данных ошибок: {count}. Подробности — в панели «Проблемы».",
+  "issue.dangling": "Связь ссылается на отсутствующего человека ({id}).",
+  "issue.cycle": "Цикл в родословной: {names}.",
+  "issue.tooManyParents": "У «{child}» биологических родителей: {count} (больше двух).",
+  "issue.twoFathers": "У «{child}» больше одного отца: {names}.",
+  "issue.twoMothers": "У «{child}» больше одной матери: {names}.",
+  "issue.parentYounger": "«{parent}» родился(ась) не раньше своего ребёнка «{child}».",
+  "issue.birthOrder": "По порядку рождения «{first}» старше «{second}», а по датам рождения — наоборот.",
+  "issue.parentTooYoung": "«{parent}» мог(ла) быть младше {age} лет при рождении «{child}».",
+  "issue.bornAfterDeath": "«{child}» родился(ась) после смерти родителя «{parent}».",
+  "issue.diedBeforeBirth": "У «{name}» дата смерти раньше даты рождения.",
+  "issue.aliveWithDeath": "«{name}» отмечен(а) живым(ой), но указана дата смерти.",
+  "analysis.pickTwo": "Выберите двух людей для анализа.",
+  "analysis.hint": "Подсказка: добавьте общих предков, чтобы корректно распознавались «сестра/брат», «тётя/дядя», «двоюродные» и т.д.",
+  "coef.title": "Коэффициенты (метод Райта)",
+  "coef.kinship": "Коэффициент родства f = {f}",
+  "coef.inbreeding": "Инбридинг: F(A) = {FA}, F(B) = {FB}",
+  "coef.dna": "ДНК: ожидается ≈ {cM} сМ",
+  "coef.dnaRange": " (обычно {min}–{max} сМ)",
+  "coef.cM": "сМ",
+  "coef.noData": "нет данных",
+  "parser.title": "Быстрый парсер (демо)",
+  "parser.intro": "Введите фразу наподобие",
+  "parser.or": "или",
+  "parser.introTail": "и нажмите Преобразовать.",
+  "parser.scenario": "Можно несколько предложений с именами и вопрос в конце — он выберет персон A и B: «Анна — дочь Петра. Пётр — брат Марии. Кто Анна для сына Марии?»",
+  "parser.button": "Преобразовать в схему",
+  "parser.shortcut": "Подсказка: ⌘/Ctrl+Enter — преобразовать",
+  "parser.failed": "Не удалось разобрать фразу: {error}",
+  "parser.grammar": "Термины: мать, отец, сын, дочь, брат, сестра, (пра)дед, (пра)бабушка, (пра)внук, дядя, тётя, племянник, муж, жена, тесть, свекровь, зять… Уточнения: младший/старший (у братьев, сестёр, дядь и тёть), двоюродный, троюродный…, внучатый, «по отцу», «по материнской линии». Цепочка заканчивается словом «его», «её» или «мой» перед последним термином.",
+  "parser.mode.replace": "Заменить дерево",
+  "parser.mode.add": "Добавить в текущее",
+  "parser.preview": "Что изменится в дереве",
+  "parser.newPerson": "новый человек",
+  "parser.match.name": "— совпадает по имени",
+  "parser.match.picked": "— выбран вручную",
+  "parser.match.parent": "— общий родитель",
+  "parser.match.ambiguous": "— тёзок в дереве: {count}, выберите нужного",
+  "parser.match.none": "— будет добавлен",
+  "parser.match.sex": "— выбран человек другого пола",
+  "parser.unified": "«{a}» — это {b} (родитель «{via}»)",
+  "parser.addPeople": "+ люди ({count}): {list}",
+  "parser.addLinks": "+ связи ({count}): {list}",
+  "parser.addUnions": "+ пары ({count}): {list}",
+  "parser.changePeople": "Дополнятся: {list}",
+  "parser.noChanges": "Дерево уже содержит всё сказанное.",
+  "parser.mergeErrors": "Появятся ошибки — поправьте сопоставление:",
+  "parser.accept": "Принять",
+  "parser.cancel": "Отмена",
+  "rel.none": "—",
+  "rel.notFound": "Связь не найдена",
+  "rel.same": "это один и тот же человек",
+  "rel.and": " и ",
+  "rel.commonPath": "Общий путь: {path}",
+  "rel.commonAncestors": "Общие предки: {names}",
+  "rel.commonAncestor": "Общий предок: {name}",
+  "rel.halfPaternal": " (родство неполнородное, по отцу)",
+  "rel.halfMaternal": " (родство неполнородное, по матери)",
+  "rel.halfUnknown": " (родство неполнородное, через одного предка)",
+  "rel.lines": "Линии: {a} / {b}",
+  "rel.pathsFound": "Найдено линий родства: {n}",
+  "rel.couple": "Пара: {a} + {b} ({union})",
+  "rel.viaSpouse": "Через супруга: {a} + {b}",
+  "rel.parentOf": "{a} — родитель {b}",
+  "rel.childOf": "{a} — ребёнок {b}",
+  "rel.siblings": "{a} и {b} — сиблинги",
+  "rel.parentsCouple": "Родители в паре: {a} + {b}",
+  "rel.stepParents": "{p} — родитель {a}, {q} — родитель {b}",
+  "rel.childrenCouple": "Пара детей: {a} + {b}",
+  "rel.wivesSisters": "Жёны — сёстры: {a} и {b}",
+  "rel.husbandsBrothers": "Мужья — братья: {a} и {b}",
+  "rel.termTo": "{a} → {b}: {term}",
+};
+
+const EN_STRINGS = {
+  "app.title": "Genealogy analyzer",
+  "app.demo": "Load example",
+  "app.demoHint": "Load the example from the task",
+  "app.export": "Export",
+  "app.exportHint": "Export JSON",
+  "app.language": "Language",
+  "trees.defaultName": "My tree",
+  "trees.copyName": "{name} (copy)",
+  "trees.namePrompt": "Tree name",
+  "trees.switch": "Open another tree",
+  "trees.create": "New tree",
+  "trees.duplicate": "Duplicate tree",
+  "trees.rename": "Rename tree",
+  "trees.delete": "Delete tree",
+  "trees.deleteConfirm": "Delete the tree “{name}”? This cannot be undone.",
+  "trees.noStorage": "No autosave",
+  "trees.storageFailed": "Browser storage failed: {error}",
+  "sex.male": "Male",
+  "sex.female": "Female",
+  "sex.unknown": "Sex not set",
+  "sex.unset": "Not set",
+  "union.marriage": "Marriage",
+  "union.civil": "Civil partnership",
+  "union.cohabitation": "Cohabitation",
+  "union.divorced": "Marriage (divorced)",
+  "people.title": "People",
+  "people.name": "Name",
+  "people.sex": "Sex",
+  "people.add": "Add",
+  "link.title": "Parent → Child",
+  "link.parent": "Parent",
+  "link.child": "Child",
+  "link.add": "Add link",
+  "link.errSelf": "A person cannot be their own parent.",
+  "link.errDuplicate": "This link already exists.",
+  "link.errCycle": "This link would create a cycle: the child is already an ancestor of this parent.",
+  "link.errTooMany": "The child already has two parents.",
+  "unions.title": "Couples",
+  "unions.partnerA": "Partner 1",
+  "unions.partnerB": "Partner 2",
+  "unions.kind": "Kind of union",
+  "unions.from": "From (year)",
+  "unions.to": "To (year)",
+  "unions.add": "Add couple",
+  "unions.childOf": "Child of a couple",
+  "unions.pickUnion": "— couple —",
+  "unions.pickChild": "— child —",
+  "unions.attach": "Attach child to couple",
+  "unions.badYears": "The union ends before it starts.",
+  "unions.errExists": "These two are already a couple.",
+  "list.title": "List",
+  "list.remove": "Delete",
+  "list.hint": "Tip: to make two people siblings, give them common parents. Click a name or a chart node to open the details.",
+  "list.open": "Open details",
+  "person.title": "Person details",
+  "person.display": "Label on the chart",
+  "person.given": "Given name",
+  "person.patronymic": "Patronymic",
+  "person.surname": "Surname",
+  "person.maidenSurname": "Maiden surname",
+  "person.maidenShort": "née {surname}",
+  "person.birthOrder": "Birth order among siblings",
+  "person.birthOrderHint": "1 is the eldest; useful without dates",
+  "person.birth": "Birth",
+  "person.death": "Death",
+  "person.place": "Place",
+  "person.alive": "Living",
+  "person.aliveUnknown": "unknown",
+  "person.aliveYes": "yes",
+  "person.aliveNo": "no, deceased",
+  "person.note": "Note",
+  "person.close": "Close",
+  "person.pin": "Pin on the chart",
+  "person.unpin": "Unpin",
+  "person.links": "Relations",
+  "person.parents": "Parents",
+  "person.children": "Children",
+  "person.partners": "Partners",
+  "person.unlink": "Remove link",
+  "person.merge": "Merge with a duplicate",
+  "person.mergeHint": "The duplicate's relations and partnerships move to this person; empty fields are filled from the duplicate.",
+  "person.mergeDo": "Merge",
+  "person.mergeConfirm": "Merge “{drop}” into “{keep}”? “{drop}” will be removed.",
+  "date.exact": "exact",
+  "date.about": "about",
+  "date.before": "before",
+  "date.after": "after",
+  "date.between": "between",
+  "date.gregorian": "Gregorian",
+  "date.julian": "Julian (O.S.)",
+  "date.placeholder": "DD.MM.YYYY, MM.YYYY or YYYY",
+  "date.invalid": "Date not recognised — kept as text.",
+  "date.fmt.about": "abt. {date}",
+  "date.fmt.before": "bef. {date}",
+  "date.fmt.after": "aft. {date}",
+  "date.fmt.between": "{date}–{date2}",
+  "date.fmt.julian": "{date} O.S.",
+  "hint.noFather": "{person}: the patronymic “{patronymic}” points to a father named {given}, who is not in the tree.",
+  "hint.fatherName": "{person}: by the patronymic “{patronymic}” the father ({father}) is probably {given}.",
+  "hint.mismatch": "{person}: the patronymic “{patronymic}” points to {given}, but the father is recorded as {actual}.",
+  "import.title": "Import",
+  "import.hint": "Load a previously exported JSON or a GEDCOM file (.ged). GEDCOM export is below.",
+  "import.badGedcom": "Could not read GEDCOM: {error}",
+  "import.newerSchema": "The file was written by a newer version of the app (schema {version}).",
+  "import.gedcomDone": "GEDCOM {version}: {count} people loaded.",
+  "import.unmapped": "Not imported (no counterpart in the model):",
+  "import.notOurs": "This file does not look like an export of this app.",
+  "import.badJson": "Could not read JSON: {error}",
+  "flow.direction": "Edge direction:",
+  "flow.arrows": "Show arrows",
+  "flow.animated": "Animate edges",
+  "flow.editHint": "Click a node to make it person A, Shift+click for B, right-click for the menu. Drag from a node's bottom dot to another's top dot for parent → child, from the right dot to the left one for a couple. Delete removes the selected links and people.",
+  "menu.setA": "Make person A",
+  "export.button": "Export",
+  "export.hint": "Save the diagram as a picture or print it as a poster",
+  "export.scope": "What to export",
+  "export.scopeAll": "Whole diagram",
+  "export.scopeView": "Visible area",
+  "export.resolution": "PNG resolution",
+  "export.dpi": "{dpi} dpi",
+  "export.poster": "Poster:",
+  "export.paper": "Paper size",
+  "export.scale": "Print scale",
+  "export.poster.sheets": "{n} sheets ({cols} × {rows})",
+  "export.poster.overview": "Sheet map",
+  "export.poster.sheet": "sheet {row}–{col}: row {row} of {rows}, column {col} of {cols}",
+  "export.print": "Print / PDF",
+  "export.printHint": "Opens a printable page: a cover with the legend and analysis, then sheets with overlap lines. For a PDF choose “Save as PDF” in the print dialog.",
+  "export.title": "Family tree",
+  "export.legend": "Legend",
+  "export.legend.child": "parent → child",
+  "export.failed": "Could not render the image",
+  "export.popupBlocked": "The browser blocked the print window — allow pop-ups for this page",
+  "menu.setB": "Make person B",
+  "menu.analyseWith": "Compare with…",
+  "menu.parentOf": "Make parent of…",
+  "menu.addChild": "Add a child…",
+  "menu.addPartner": "Add a partner…",
+  "menu.open": "Open details",
+  "menu.childName": "Child's name",
+  "menu.partnerName": "Partner's name",
+  "picker.search": "Search by name or year…",
+  "picker.parents": "parents: {names}",
+  "picker.none": "No one found",
+  "picker.clear": "Clear",
+  "flow.relayout": "Re-layout",
+  "flow.relayoutHint": "Lay the chart out again; pinned nodes stay where they are",
+  "flow.pinned": "Pinned",
+  "flow.layout": "Layout direction",
+  "chart.view": "Chart",
+  "chart.tree": "Whole tree",
+  "chart.pedigree": "Pedigree (Ahnentafel)",
+  "chart.descendants": "Descendants (d'Aboville)",
+  "chart.hourglass": "Hourglass",
+  "chart.fan": "Fan chart",
+  "chart.root": "Root",
+  "chart.generations": "Generations",
+  "chart.available": "of {count}",
+  "chart.empty": "Add people to build a chart",
+  "chart.hint": "Click a person to open their card, double-click to make them the chart root.",
+  "flow.layoutTB": "Generations top to bottom",
+  "flow.layoutLR": "Generations left to right",
+  "analysis.title": "Relationship analysis",
+  "analysis.personA": "Person A",
+  "analysis.personB": "Person B",
+  "analysis.allPaths": "All lines of descent",
+  "analysis.via": "via",
+  "analysis.alsoAffinal": "Also (by marriage)",
+  "analysis.hints": "Patronymic hints",
+  "path.show": "Show the line on the chart",
+  "path.prev": "Previous line",
+  "path.next": "Next line",
+  "path.counter": "{i} of {n}",
+  "path.sentence": "In Russian: «{text}»",
+  "path.role.a": "A",
+  "path.role.b": "B",
+  "path.role.ancestor": "common ancestor",
+  "history.title": "History",
+  "history.undo": "Undo (Ctrl+Z)",
+  "history.redo": "Redo (Ctrl+Shift+Z)",
+  "history.start": "Start",
+  "history.hint": "Click a step to go back to it. History is saved together with the tree.",
+  "history.edit": "Edit",
+  "history.addPerson": "Added {name}",
+  "history.editPerson": "Edited {name}",
+  "history.removePerson": "Removed {name}",
+  "history.addLink": "Link {parent} → {child}",
+  "history.removeLink": "Removed link {parent} → {child}",
+  "history.addUnion": "Couple {a} + {b}",
+  "history.removeUnion": "Removed couple {a} + {b}",
+  "history.attachChild": "{child} attached to a couple",
+  "history.deleteOnCanvas": "Deleted on the chart",
+  "history.merge": "Merged {drop} into {keep}",
+  "history.demo": "Loaded the example",
+  "history.parser": "Parsed a phrase",
+  "history.parserMerge": "Added from a phrase",
+  "history.import": "Imported {format}",
+  "history.move": "Moved node {name}",
+  "history.relayout": "Re-laid out the chart",
+  "history.pin": "Pinned node {name}",
+  "history.unpin": "Unpinned node {name}",
+  "issue.title": "Problems",
+  "issue.none": "No problems found.",
+  "issue.refused": "Edit refused — it creates errors:\n{list}",
+  "issue.confirm": "This edit creates errors:\n{list}\nApply anyway?",
+  "issue.afterImport": "The loaded data has {count} error(s). See the Problems panel for details.",
+  "issue.dangling": "A link points to a missing person ({id}).",
+  "issue.cycle": "Cycle in the pedigree: {names}.",
+  "issue.tooManyParents": "“{child}” has {count} biological parents (more than two).",
+  "issue.twoFathers": "“{child}” has more than one father: {names}.",
+  "issue.twoMothers": "“{child}” has more than one mother: {names}.",
+  "issue.parentYounger": "“{parent}” was born no earlier than their child “{child}”.",
+  "issue.birthOrder": "Birth order puts “{first}” before “{second}”, but their birth dates say the opposite.",
+  "issue.parentTooYoung": "“{parent}” may have been younger than {age} when “{child}” was born.",
+  "issue.bornAfterDeath": "“{child}” was born after the death of their parent “{parent}”.",
+  "issue.diedBeforeBirth": "“{name}” has a death date before the birth date.",
+  "issue.aliveWithDeath": "“{name}” is marked as living but has a death date.",
+  "analysis.pickTwo": "Pick two people to analyse.",
+  "analysis.hint": "Tip: add common ancestors so that siblings, aunts/uncles, cousins etc. are recognised.",
+  "coef.title": "Coefficients (Wright's method)",
+  "coef.kinship": "Kinship coefficient f = {f}",
+  "coef.inbreeding": "Inbreeding: F(A) = {FA}, F(B) = {FB}",
+  "coef.dna": "DNA: expected ≈ {cM} cM",
+  "coef.dnaRange": " (typically {min}–{max} cM)",
+  "coef.cM": "cM",
+  "coef.noData": "no data",
+  "parser.title": "Quick parser (demo, Russian input)",
+  "parser.intro": "Enter a Russian phrase such as",
+  "parser.or": "or",
+  "parser.introTail": "and press Convert.",
+  "parser.scenario": "Several sentences with names work too; a closing question picks persons A and B: «Анна — дочь Петра. Пётр — брат Марии. Кто Анна для сына Марии?»",
+  "parser.button": "Convert to diagram",
+  "parser.shortcut": "Tip: ⌘/Ctrl+Enter converts",
+  "parser.failed": "Could not parse the phrase: {error}",
+  "parser.grammar": "Terms: мать, отец, сын, дочь, брат, сестра, (пра)дед, (пра)бабушка, (пра)внук, дядя, тётя, племянник, муж, жена, тесть, свекровь, зять… Qualifiers: младший/старший (siblings, uncles and aunts), двоюродный, троюродный…, внучатый, «по отцу», «по материнской линии». A chain ends with «его», «её» or «мой» before its last term.",
+  "parser.mode.replace": "Replace tree",
+  "parser.mode.add": "Add to current",
+  "parser.preview": "Changes to the tree",
+  "parser.newPerson": "new person",
+  "parser.match.name": "— matches by name",
+  "parser.match.picked": "— chosen manually",
+  "parser.match.parent": "— shared parent",
+  "parser.match.ambiguous": "— {count} namesakes in the tree, pick one",
+  "parser.match.none": "— will be added",
+  "parser.match.sex": "— chosen person has the other sex",
+  "parser.unified": "«{a}» is {b} (parent of «{via}»)",
+  "parser.addPeople": "+ people ({count}): {list}",
+  "parser.addLinks": "+ links ({count}): {list}",
+  "parser.addUnions": "+ couples ({count}): {list}",
+  "parser.changePeople": "Will be filled in: {list}",
+  "parser.noChanges": "The tree already says all of this.",
+  "parser.mergeErrors": "This would add errors — adjust the matches:",
+  "parser.accept": "Accept",
+  "parser.cancel": "Cancel",
+  "rel.none": "—",
+  "rel.notFound": "No relation found",
+  "rel.same": "the same person",
+  "rel.and": " and ",
+  "rel.commonPath": "Common path: {path}",
+  "rel.commonAncestors": "Common ancestors: {names}",
+  "rel.commonAncestor": "Common ancestor: {name}",
+  "rel.halfPaternal": " (half-blood, through the father)",
+  "rel.halfMaternal": " (half-blood, through the mother)",
+  "rel.halfUnknown": " (half-blood, through a single ancestor)",
+  "rel.lines": "Lines: {a} / {b}",
+  "rel.pathsFound": "Lines of descent found: {n}",
+  "rel.couple": "Couple: {a} + {b} ({union})",
+  "rel.viaSpouse": "Via spouse: {a} + {b}",
+  "rel.parentOf": "{a} is a parent of {b}",
+  "rel.childOf": "{a} is a child of {b}",
+  "rel.siblings": "{a} and {b} are siblings",
+  "rel.parentsCouple": "Parents are a couple: {a} + {b}",
+  "rel.stepParents": "{p} is a parent of {a}, {q} is a parent of {b}",
+  "rel.childrenCouple": "Children are a couple: {a} + {b}",
+  "rel.wivesSisters": "Wives are sisters: {a} and {b}",
+  "rel.husbandsBrothers": "Husbands are brothers: {a} and {b}",
+  "rel.termTo": "{a} → {b}: {term}",
+};
+
+function makeLocale(code, name, strings, kinship) {
+  const t = (key, params = {}) =>
+    (strings[key] ?? RU_STRINGS[key] ?? key).replace(/\{(\w+)\}/g, (_, p) => (p in params ? String(params[p]) : `{${p}}`));
+  return { code, name, strings, kinship, t };
+}
+
+const LOCALES = {
+  ru: makeLocale("ru", "Русский", RU_STRINGS, ruKinship),
+  en: makeLocale("en", "English", EN_STRINGS, enKinship),
+};
+
 // База цветов и бейджей
-const sexBadge = (sex) => {
+const sexBadge = (sex, L = LOCALES.ru) => {
   switch (sex) {
     case "male":
-      return { text: "Мужчина", cls: "bg-blue-100 text-blue-700" };
+      return { text: L.t("sex.male"), cls: "bg-blue-100 text-blue-700" };
     case "female":
-      return { text: "Женщина", cls: "bg-pink-100 text-pink-700" };
+      return { text: L.t("sex.female"), cls: "bg-pink-100 text-pink-700" };
     default:
-      return { text: "Пол не указан", cls: "bg-slate-100 text-slate-600" };
+      return { text: L.t("sex.unknown"), cls: "bg-slate-100 text-slate-600" };
   }
 };
 
-const applyParsed = ({ people: P, rels: R }) => {
-  setPeople(P);
-  setRels(R);
-  const he = P.find((x) => x.name === "Он");
-  const she = P.find((x) => x.name === "Она");
-  if (he) setFromSel(he.id);
-  if (she) setToSel(she.id);
+// Виды союзов (подписи — в строках локали, «union.<вид>»)
+const UNION_KINDS = ["marriage", "civil", "cohabitation", "divorced"];
+
+const unionLabel = (u, L = LOCALES.ru) => {
+  const kind = L.t(`union.${UNION_KINDS.includes(u.kind) ? u.kind : "marriage"}`);
+  if (!u.startYear && !u.endYear) return kind;
+  return `${kind}, ${u.startYear || "?"}–${u.endYear || ""}`;
+};
+
+const unionEdgeStyle = (kind) => ({
+  stroke: "#db2777",
+  strokeWidth: 2.4,
+  strokeLinecap: "round",
+  strokeDasharray: kind === "divorced" ? "2 6" : kind === "cohabitation" ? "8 6" : undefined,
+});
+
+// ===== Карточка человека: имена, даты, места =====
+// Имя хранится структурно (имя, отчество, фамилия, девичья фамилия), а `name` — готовая
+// подпись для схемы и списков. Даты — «нечёткие»: точно / около / до / после / между,
+// по григорианскому или юлианскому календарю, с точностью до года, месяца или дня.
+
+const SCHEMA_VERSION = 3;
+
+const DATE_QUALIFIERS = ["exact", "about", "before", "after", "between"];
+
+const composeName = ({ given, patronymic, surname }) =>
+  [given, patronymic, surname].map((x) => (x || "").trim()).filter(Boolean).join(" ");
+
+const hasStructuredName = (p) => Boolean(p.given || p.patronymic || p.surname);
+
+// Отчество узнаём по суффиксу: Иванович, Сергеевна, Ильич, Кузьминична
+const isPatronymic = (word) => /(ович|евич|овна|евна|ична|ич)$/i.test(word || "");
+
+// Отчества, которые не сводятся к общему правилу
+const PATRONYMIC_EXCEPTIONS = {
+  ильич: "Илья",
+  ильинична: "Илья",
+  кузьмич: "Кузьма",
+  кузьминична: "Кузьма",
+  фомич: "Фома",
+  фоминична: "Фома",
+  лукич: "Лука",
+  лукинична: "Лука",
+  саввич: "Савва",
+  саввична: "Савва",
+  львович: "Лев",
+  львовна: "Лев",
+  павлович: "Павел",
+  павловна: "Павел",
+  петрович: "Пётр",
+  петровна: "Пётр",
+};
+
+// Имя отца по отчеству: «Сергеевич» → «Сергей», «Игоревна» → «Игорь», «Никитич» → «Никита»
+function fatherNameFromPatronymic(patronymic) {
+  const word = (patronymic || "").trim().toLowerCase();
+  if (!word) return null;
+  let name = PATRONYMIC_EXCEPTIONS[word];
+  if (!name) {
+    let m;
+    if ((m = word.match(/^(.+)(ович|овна)$/))) name = m[1];
+    else if ((m = word.match(/^(.+)(евич|евна)$/))) {
+      const stem = m[1];
+      if (/[аеиоуя]$/.test(stem)) name = stem + "й";
+      else if (stem.endsWith("ь")) name = stem.slice(0, -1) + "ий";
+      else name = stem + "ь";
+    } else if ((m = word.match(/^(.+?)(инична|ична|ич)$/))) name = m[1] + "а";
+    else return null;
+  }
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+const sameGivenName = (a, b) => (a || "").trim().toLowerCase().replace(/ё/g, "е") === (b || "").trim().toLowerCase().replace(/ё/g, "е");
+
+// Подсказки по отчествам для указанных людей: имя отца, которого нет в дереве или
+// у которого имя не заполнено, и расхождения отчества с именем отца
+function patronymicHints(ids, people, edges, L = LOCALES.ru) {
+  const { byId, parentsOf } = buildIndexes(people, edges);
+  const hints = [];
+  for (const id of new Set(ids)) {
+    const p = byId[id];
+    const expected = fatherNameFromPatronymic(p?.patronymic);
+    if (!expected) continue;
+    const father = (parentsOf[id] || []).map((x) => byId[x]).find((x) => x?.sex === "male");
+    const params = { person: p.name, patronymic: p.patronymic, given: expected, father: father?.name };
+    if (!father) hints.push(L.t("hint.noFather", params));
+    else if (!father.given) hints.push(L.t("hint.fatherName", params));
+    else if (!sameGivenName(father.given, expected)) hints.push(L.t("hint.mismatch", { ...params, actual: father.given }));
+  }
+  return hints;
+}
+
+/** @typedef {{ year: number, month?: number, day?: number }} DatePart */
+/** @typedef {{ qualifier: "exact"|"about"|"before"|"after"|"between", calendar: "gregorian"|"julian", date?: DatePart, date2?: DatePart, phrase?: string }} FuzzyDate */
+/** @typedef {{ date?: FuzzyDate, place?: string }} LifeEvent */
+
+// «1895», «03.1895», «12.03.1895» или «1895-03-12» → DatePart
+function parseDatePart(text) {
+  const s = (text || "").trim();
+  let m;
+  if ((m = s.match(/^(\d{1,4})$/))) return { year: Number(m[1]) };
+  if ((m = s.match(/^(\d{1,2})\.(\d{1,4})$/))) return validDatePart({ year: Number(m[2]), month: Number(m[1]) });
+  if ((m = s.match(/^(\d{1,2})\.(\d{1,2})\.(\d{1,4})$/))) return validDatePart({ year: Number(m[3]), month: Number(m[2]), day: Number(m[1]) });
+  if ((m = s.match(/^(\d{4})-(\d{2})(?:-(\d{2}))?$/))) return validDatePart({ year: Number(m[1]), month: Number(m[2]), day: m[3] ? Number(m[3]) : undefined });
+  return null;
+}
+
+function validDatePart(d) {
+  if (d.month !== undefined && (d.month < 1 || d.month > 12)) return null;
+  if (d.day !== undefined && (d.day < 1 || d.day > 31)) return null;
+  if (d.day === undefined) delete d.day;
+  return d;
+}
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+const formatDatePart = (d) => (!d ? "" : [d.day && pad2(d.day), d.month && pad2(d.month), d.year].filter(Boolean).join("."));
+
+// Подпись даты для людей: «ок. 1901», «между 1900 и 1905», «12.03.1700 ст. ст.»
+function formatFuzzyDate(fd, L = LOCALES.ru, yearOnly = false) {
+  if (!fd) return "";
+  if (!fd.date) return fd.phrase || "";
+  const part = (d) => (yearOnly ? String(d.year) : formatDatePart(d));
+  const text = fd.qualifier === "exact" ? part(fd.date) : L.t(`date.fmt.${fd.qualifier}`, { date: part(fd.date), date2: fd.date2 ? part(fd.date2) : "?" });
+  return fd.calendar === "julian" && !yearOnly ? L.t("date.fmt.julian", { date: text }) : text;
+}
+
+// Годы жизни для узла схемы: «ок. 1901 – 1975», «1930 –», «? – †»
+function lifeSpan(p, L = LOCALES.ru) {
+  const birth = formatFuzzyDate(p.birth?.date, L, true);
+  const death = formatFuzzyDate(p.death?.date, L, true) || (isDeceased(p) ? "†" : "");
+  if (!birth && !death) return "";
+  return `${birth || "?"} – ${death}`.trim();
+}
+
+const isDeceased = (p) => p.alive === false || Boolean(p.death);
+
+// Приведение загруженных данных к текущей схеме. Старые файлы (без schemaVersion) хранили
+// только birthYear, экспорт GEDCOM-импорта первой версии — дату строкой.
+function normalizeTree(data) {
+  const people = data.people.map((raw) => {
+    const { birthYear, ...p } = raw;
+    for (const key of ["birth", "death"]) {
+      if (typeof p[key]?.date === "string") p[key] = { ...p[key], date: parseGedcomDate(p[key].date) };
+    }
+    if (birthYear && !p.birth?.date) p.birth = { ...p.birth, date: { qualifier: "exact", calendar: "gregorian", date: { year: Number(birthYear) } } };
+    return p;
+  });
+  const unions = Array.isArray(data.unions) ? data.unions : [];
+  // новые id не должны совпасть с загруженными; id пар — это "u" + genId()
+  const loadedIds = [...people.map((p) => Number(p.id)), ...unions.map((u) => Number(String(u.id).replace(/^u/, "")))];
+  const maxId = Math.max(0, ...loadedIds.filter(Number.isFinite));
+  if (maxId >= _id) _id = maxId + 1;
+  // positions появились в версии 3; до этого схема раскладывалась заново при каждой загрузке
+  const positions = data.positions && typeof data.positions === "object" ? data.positions : {};
+  return { people, rels: data.relations ?? data.rels, unions, positions };
+}
+
+// Слияние дубликатов: dropId растворяется в keepId. Связи и пары перенаправляются на keepId,
+// возникшие дубли и петли убираются; поля keepId важнее, пустые дополняются из dropId.
+function mergePeople(keepId, dropId, { people, rels, unions }) {
+  const keep = people.find((p) => p.id === keepId);
+  const drop = people.find((p) => p.id === dropId);
+  if (!keep || !drop || keepId === dropId) return { people, rels, unions };
+  const merged = { ...drop, ...Object.fromEntries(Object.entries(keep).filter(([, v]) => v !== undefined && v !== "")) };
+  if (merged.sex === "unknown" && drop.sex !== "unknown") merged.sex = drop.sex;
+  if (keep.note && drop.note && keep.note !== drop.note) merged.note = `${keep.note}\n${drop.note}`;
+  merged.id = keepId;
+
+  const swap = (id) => (id === dropId ? keepId : id);
+  // пары: переносим партнёра, пара с самим собой исчезает, совпавшие пары склеиваются
+  const unionAlias = {};
+  const nextUnions = [];
+  for (const u of unions) {
+    const partners = u.partners.map(swap);
+    if (partners[0] === partners[1]) {
+      unionAlias[u.id] = null;
+      continue;
+    }
+    const twin = nextUnions.find((x) => x.kind === u.kind && x.partners.includes(partners[0]) && x.partners.includes(partners[1]));
+    if (twin) unionAlias[u.id] = twin.id;
+    else nextUnions.push({ ...u, partners });
+  }
+
+  const nextRels = [];
+  for (const r of rels) {
+    const parentId = swap(r.parentId);
+    const childId = swap(r.childId);
+    if (parentId === childId) continue;
+    const unionId = r.unionId && (r.unionId in unionAlias ? unionAlias[r.unionId] : r.unionId);
+    const dup = nextRels.find((x) => x.parentId === parentId && x.childId === childId);
+    if (dup) {
+      if (!dup.unionId && unionId) dup.unionId = unionId;
+      continue;
+    }
+    nextRels.push(unionId ? { parentId, childId, unionId } : { parentId, childId });
+  }
+
+  return {
+    people: people.filter((p) => p.id !== dropId).map((p) => (p.id === keepId ? merged : p)),
+    rels: nextRels,
+    unions: nextUnions,
+  };
+}
+
+// Рамка узла с ошибкой или предупреждением проверки целостности
+const ISSUE_BORDER = { error: "border-rose-500 ring-2 ring-rose-300", warning: "border-amber-400 ring-2 ring-amber-200" };
+
+// Всплывающая подсказка узла: девичья фамилия, даты и места
+function personTooltip(p, L = LOCALES.ru) {
+  const event = (key, ev) => {
+    if (!ev) return null;
+    const text = [formatFuzzyDate(ev.date, L), ev.place].filter(Boolean).join(", ");
+    return text ? `${L.t(key)}: ${text}` : null;
+  };
+  return [
+    p.name,
+    p.maidenSurname ? L.t("person.maidenShort", { surname: p.maidenSurname }) : null,
+    event("person.birth", p.birth),
+    event("person.death", p.death),
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Роль узла на подсвеченной линии родства: A, B, общий предок или промежуточное звено
+const PATH_ROLE_RING = {
+  a: "ring-2 ring-indigo-500",
+  b: "ring-2 ring-emerald-500",
+  ancestor: "ring-2 ring-amber-500",
+  path: "ring-2 ring-indigo-300",
+};
+const PATH_ROLE_BADGE = {
+  a: "bg-indigo-100 text-indigo-800",
+  b: "bg-emerald-100 text-emerald-800",
+  ancestor: "bg-amber-100 text-amber-800",
 };
 
 // Компонент узла для ReactFlow
 const PersonNode = ({ data }) => {
-  const badge = sexBadge(data.sex);
+  const L = LOCALES[data.locale] || LOCALES.ru;
+  const lr = data.direction === "LR";
+  const badge = sexBadge(data.sex, L);
+  const span = lifeSpan(data, L);
   return (
-    <div className="rounded-2xl shadow-sm border border-slate-200 bg-white dark:bg-slate-900 dark:border-slate-800 w-[220px] h-[86px] overflow-hidden">
+    <div className={`rounded-2xl shadow-sm border bg-white dark:bg-slate-900 w-[220px] h-[86px] overflow-hidden ${ISSUE_BORDER[data.issue] || "border-slate-200 dark:border-slate-800"} ${PATH_ROLE_RING[data.pathRole] || ""}`} title={personTooltip(data, L)}>
       <div className="px-3 py-2 flex items-center justify-between bg-gradient-to-r from-slate-50 to-white dark:from-slate-800 dark:to-slate-900">
-        <div className="font-semibold text-slate-800 dark:text-slate-100 truncate" title={data.name}>
+        <div className="font-semibold text-slate-800 dark:text-slate-100 truncate">
+          {data.badge ? <span className="mr-1.5 text-[11px] font-mono text-indigo-600">{data.badge}</span> : null}
           {data.name}
         </div>
-        <Users className="w-4 h-4 text-slate-500" />
+        {data.pathRole && data.pathRole !== "path" ? (
+          <span className={`text-[10px] px-1.5 rounded-full shrink-0 ${PATH_ROLE_BADGE[data.pathRole]}`}>{L.t(`path.role.${data.pathRole}`)}</span>
+        ) : data.pinned ? (
+          <Pin className="w-4 h-4 text-indigo-500 shrink-0" aria-label={L.t("flow.pinned")} />
+        ) : (
+          <Users className="w-4 h-4 text-slate-500 shrink-0" />
+        )}
       </div>
-      <div className="px-3 py-2 flex items-center gap-2">
-        <span className={`text-[11px] px-2 py-0.5 rounded-full ${badge.cls}`}>{badge.text}</span>
+      <div className="px-3 py-2 flex items-center gap-2 min-w-0">
+        <span className={`text-[11px] px-2 py-0.5 rounded-full shrink-0 ${badge.cls}`}>{badge.text}</span>
+        {span ? <span className="text-[11px] text-slate-500 whitespace-nowrap">{span}</span> : null}
         {data.note ? (
-          <span className="text-[11px] px-2 py-0.5 rounded-full bg-amber-100 text-amber-700" title={data.note}>
+          <span className="text-[11px] px-2 py-0.5 rounded-full bg-amber-100 text-amber-700 truncate" title={data.note}>
             {data.note}
           </span>
         ) : null}
       </div>
-      {/* Контактные площадки для рёбер */}
-      <Handle type="target" id="t" position={Position.Top} className="!w-2 !h-2 !bg-slate-400 !border-0 hover:!bg-slate-600" />
-      <Handle type="source" id="s" position={Position.Bottom} className="!w-2 !h-2 !bg-slate-400 !border-0 hover:!bg-slate-600" />
+      {/* Контактные площадки для рёбер: поперёк рядов — родство, вдоль ряда — пары.
+          При раскладке слева направо ряды вертикальные, и площадки поворачиваются вместе с ними. */}
+      <Handle type="target" id="t" position={lr ? Position.Left : Position.Top} className="!w-2 !h-2 !bg-slate-400 !border-0 hover:!bg-slate-600" />
+      <Handle type="source" id="s" position={lr ? Position.Right : Position.Bottom} className="!w-2 !h-2 !bg-slate-400 !border-0 hover:!bg-slate-600" />
+      <Handle type="target" id="l" position={lr ? Position.Top : Position.Left} className="!w-2 !h-2 !bg-pink-300 !border-0 hover:!bg-pink-500" />
+      <Handle type="source" id="r" position={lr ? Position.Bottom : Position.Right} className="!w-2 !h-2 !bg-pink-300 !border-0 hover:!bg-pink-500" />
     </div>
   );
 };
 
-const nodeTypes = { person: PersonNode };
+// Соединитель пары между партнёрами: годы союза, от него к общим детям идут линии
+const UNION_NODE_HEIGHT = 20;
+
+const UnionNode = ({ data }) => (
+  <div className="flex items-center justify-center" style={{ width: COUPLE_GAP, height: UNION_NODE_HEIGHT }} title={data.label}>
+    <span className="inline-flex items-center gap-0.5 max-w-full truncate text-[10px] leading-4 px-1.5 rounded-full border border-pink-200 bg-pink-50 text-pink-800">
+      <Heart className="w-2.5 h-2.5 shrink-0" />
+      {data.years}
+    </span>
+    <Handle type="source" id="s" position={data.direction === "LR" ? Position.Right : Position.Bottom} isConnectable={false} className="!w-1.5 !h-1.5 !min-w-0 !min-h-0 !bg-pink-400 !border-0" />
+  </div>
+);
+
+const nodeTypes = { person: PersonNode, union: UnionNode };
+
+const fieldCls = "w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800";
+const toolSelectCls = "px-2 py-1 rounded-lg border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-xs";
+
+// Поле нечёткой даты: уточнение, календарь и одна-две даты в виде «ДД.ММ.ГГГГ», «ММ.ГГГГ» или «ГГГГ»
+function DateField({ value, onChange, t }) {
+  const [text, setText] = useState(value?.date ? formatDatePart(value.date) : value?.phrase || "");
+  const [text2, setText2] = useState(formatDatePart(value?.date2));
+  const qualifier = value?.qualifier || "exact";
+  const calendar = value?.calendar || "gregorian";
+  const commit = (patch) => {
+    const next = { qualifier, calendar, text, text2, ...patch };
+    if (!next.text.trim()) return onChange(undefined);
+    const date = parseDatePart(next.text);
+    const date2 = next.qualifier === "between" ? parseDatePart(next.text2) : undefined;
+    // нераспознанный текст сохраняем как фразу, чтобы не терять ввод
+    const fd = date ? { qualifier: next.qualifier, calendar: next.calendar, date } : { qualifier: "exact", calendar: next.calendar, phrase: next.text.trim() };
+    if (date && date2) fd.date2 = date2;
+    onChange(fd);
+  };
+  const invalid = Boolean(text.trim() && !parseDatePart(text)) || (qualifier === "between" && !parseDatePart(text2));
+  return (
+    <div className="space-y-1">
+      <div className="flex gap-2">
+        <select value={qualifier} onChange={(e) => commit({ qualifier: e.target.value })} className={fieldCls}>
+          {DATE_QUALIFIERS.map((q) => (
+            <option key={q} value={q}>{t(`date.${q}`)}</option>
+          ))}
+        </select>
+        <select value={calendar} onChange={(e) => commit({ calendar: e.target.value })} className={fieldCls}>
+          <option value="gregorian">{t("date.gregorian")}</option>
+          <option value="julian">{t("date.julian")}</option>
+        </select>
+      </div>
+      <div className="flex gap-2">
+        <input value={text} onChange={(e) => setText(e.target.value)} onBlur={() => commit({})} placeholder={t("date.placeholder")} className={fieldCls} />
+        {qualifier === "between" ? (
+          <input value={text2} onChange={(e) => setText2(e.target.value)} onBlur={() => commit({})} placeholder={t("date.placeholder")} className={fieldCls} />
+        ) : null}
+      </div>
+      {invalid ? <div className="text-[11px] text-amber-600">{t("date.invalid")}</div> : null}
+    </div>
+  );
+}
+
+// ===== Поиск людей =====
+// Нечёткий поиск по имени, годам жизни и именам родителей: каждое слово запроса ищется
+// с начала слова, затем как подстрока, затем как буквы по порядку («ивпет» → «Иван Петров»).
+// «ё» и «е» не различаются. Счёт -1 — не найдено.
+const searchNorm = (s) => (s || "").toLowerCase().replace(/ё/g, "е");
+
+function fuzzyScore(query, text) {
+  const words = searchNorm(query).split(/\s+/).filter(Boolean);
+  const s = searchNorm(text);
+  let score = 0;
+  for (const w of words) {
+    const at = s.indexOf(w);
+    if (at === 0 || (at > 0 && /[\s(«"-]/.test(s[at - 1]))) score += 3;
+    else if (at > 0) score += 2;
+    else {
+      let i = 0;
+      for (const ch of s) if (ch === w[i]) i++;
+      if (i < w.length) return -1;
+      score += 1;
+    }
+  }
+  return score;
+}
+
+// Строки для выбора человека: годы жизни и родители отличают тёзок
+function personSearchEntries(people, rels, L = LOCALES.ru) {
+  const byId = Object.fromEntries(people.map((p) => [p.id, p]));
+  const parents = {};
+  rels.forEach((r) => byId[r.parentId] && (parents[r.childId] ||= []).push(byId[r.parentId].name));
+  return people.map((p) => {
+    const span = lifeSpan(p, L);
+    const parentNames = (parents[p.id] || []).join(", ");
+    return { id: p.id, name: p.name, span, parents: parentNames, text: [p.name, p.maidenSurname, span, parentNames].filter(Boolean).join(" ") };
+  });
+}
+
+// Совпадение в самом имени важнее совпадения в годах или именах родителей
+function searchPeople(entries, query, limit = 50) {
+  if (!query.trim()) return entries.slice(0, limit);
+  return entries
+    .map((e) => ({ e, score: fuzzyScore(query, e.text) }))
+    .filter((x) => x.score >= 0)
+    .map((x) => ({ ...x, score: x.score + Math.max(0, fuzzyScore(query, x.e.name)) * 2 }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map((x) => x.e);
+}
+
+// Выбор человека с поиском; стрелки, Enter и Esc работают как в обычном списке
+function PersonPicker({ value, onChange, entries, placeholder, exclude, autoFocus, t }) {
+  const [query, setQuery] = useState(/** @type {string|null} */ (null)); // null — список закрыт
+  const [active, setActive] = useState(0);
+  const current = entries.find((e) => e.id === value);
+  const options = query === null ? [] : searchPeople(exclude ? entries.filter((e) => e.id !== exclude) : entries, query);
+  const open = (q) => {
+    setQuery(q);
+    setActive(0);
+  };
+  const pick = (id) => {
+    onChange(id);
+    setQuery(null);
+  };
+  const onKeyDown = (e) => {
+    if (query === null) {
+      if (e.key === "ArrowDown") open("");
+      return;
+    }
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      const n = Math.max(1, options.length);
+      setActive((i) => (i + (e.key === "ArrowDown" ? 1 : n - 1)) % n);
+    } else if (e.key === "Enter") {
+      e.preventDefault();
+      if (options[active]) pick(options[active].id);
+    } else if (e.key === "Escape") {
+      e.stopPropagation();
+      setQuery(null);
+    }
+  };
+  return (
+    <div className="relative">
+      <input
+        value={query ?? (current ? [current.name, current.span].filter(Boolean).join(", ") : "")}
+        onChange={(e) => open(e.target.value)}
+        onFocus={() => open("")}
+        onBlur={() => setQuery(null)}
+        onKeyDown={onKeyDown}
+        placeholder={placeholder || t("picker.search")}
+        autoFocus={autoFocus}
+        role="combobox"
+        aria-expanded={query !== null}
+        className={`${fieldCls} pr-8`}
+      />
+      {value ? (
+        <button onMouseDown={(e) => e.preventDefault()} onClick={() => onChange("")} title={t("picker.clear")} className="absolute right-2 top-1/2 -translate-y-1/2 px-1 text-slate-400 hover:text-slate-700">
+          ×
+        </button>
+      ) : null}
+      {query !== null ? (
+        <div role="listbox" className="absolute z-30 mt-1 w-full max-h-64 overflow-auto rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 shadow-lg">
+          {options.length ? (
+            options.map((o, i) => (
+              <div
+                key={o.id}
+                role="option"
+                aria-selected={i === active}
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  pick(o.id);
+                }}
+                onMouseEnter={() => setActive(i)}
+                className={`px-3 py-1.5 cursor-pointer ${i === active ? "bg-indigo-50 dark:bg-indigo-900/40" : ""}`}
+              >
+                <div className="text-sm truncate">
+                  {o.name}
+                  {o.span ? <span className="text-xs text-slate-500"> · {o.span}</span> : null}
+                </div>
+                {o.parents ? <div className="text-[11px] text-slate-500 truncate">{t("picker.parents", { names: o.parents })}</div> : null}
+              </div>
+            ))
+          ) : (
+            <div className="px-3 py-2 text-xs text-slate-500">{t("picker.none")}</div>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Инспектор человека: части имени, даты и места рождения/смерти, статус, заметка,
+// а также родители, дети и пары с удалением отдельных связей и слиянием дубликатов
+function PersonDetails({ person, people, rels, unions, pinned, onChange, onUnlink, onRemoveUnion, onMerge, onRemove, onTogglePin, onSelect, onClose, t, L }) {
+  const [mergeSel, setMergeSel] = useState("");
+  const byId = Object.fromEntries(people.map((p) => [p.id, p]));
+  const parents = rels.filter((r) => r.childId === person.id);
+  const children = rels.filter((r) => r.parentId === person.id);
+  const partnerships = unions.filter((u) => u.partners.includes(person.id));
+  const linkRow = (key, other, onDrop, suffix = "") => (
+    <div key={key} className="flex items-center justify-between gap-2">
+      <button onClick={() => onSelect(other)} className="truncate text-left hover:text-indigo-600">
+        {byId[other]?.name}
+        {suffix ? <span className="text-xs text-slate-500"> · {suffix}</span> : null}
+      </button>
+      <button onClick={onDrop} title={t("person.unlink")} className="text-[12px] px-2 py-0.5 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-rose-100 hover:text-rose-700">×</button>
+    </div>
+  );
+  const section = (title, items) => (
+    <div>
+      <div className="text-xs text-slate-500">{title}</div>
+      {items.length ? items : <div className="text-xs text-slate-400">—</div>}
+    </div>
+  );
+  // Части имени пересобирают подпись; подпись без частей имени редактируется напрямую
+  const setNamePart = (key, value) => {
+    const next = { ...person, [key]: value.trim() ? value : undefined };
+    onChange({ [key]: next[key], ...(hasStructuredName(next) ? { name: composeName(next) } : {}) });
+  };
+  const setEvent = (key, patch) => {
+    const ev = { ...person[key], ...patch };
+    Object.keys(ev).forEach((k) => ev[k] === undefined && delete ev[k]);
+    onChange({ [key]: Object.keys(ev).length ? ev : undefined, ...(key === "death" && Object.keys(ev).length ? { alive: false } : {}) });
+  };
+  const aliveValue = person.alive === true ? "yes" : person.alive === false ? "no" : "";
+  return (
+    <div className="space-y-2 text-sm">
+      <label className="text-sm">{t("person.display")}</label>
+      <input value={person.name} disabled={hasStructuredName(person)} onChange={(e) => onChange({ name: e.target.value })} className={`${fieldCls} disabled:opacity-60`} />
+      <div className="grid grid-cols-2 gap-2">
+        {["given", "patronymic", "surname", "maidenSurname"].map((key) => (
+          <div key={key}>
+            <label className="text-xs text-slate-500">{t(`person.${key}`)}</label>
+            <input value={person[key] || ""} onChange={(e) => (key === "maidenSurname" ? onChange({ maidenSurname: e.target.value || undefined }) : setNamePart(key, e.target.value))} className={fieldCls} />
+          </div>
+        ))}
+      </div>
+      <label className="text-sm">{t("people.sex")}</label>
+      <select value={person.sex} onChange={(e) => onChange({ sex: e.target.value })} className={fieldCls}>
+        <option value="unknown">{t("sex.unset")}</option>
+        <option value="male">{t("sex.male")}</option>
+        <option value="female">{t("sex.female")}</option>
+      </select>
+      {["birth", "death"].map((key) => (
+        <div key={key} className="p-2 rounded-xl border border-slate-200 dark:border-slate-800 space-y-1">
+          <div className="font-medium">{t(`person.${key}`)}</div>
+          <DateField value={person[key]?.date} onChange={(date) => setEvent(key, { date })} t={t} />
+          <input value={person[key]?.place || ""} onChange={(e) => setEvent(key, { place: e.target.value || undefined })} placeholder={t("person.place")} className={fieldCls} />
+        </div>
+      ))}
+      <label className="text-sm">{t("person.birthOrder")}</label>
+      <input
+        type="number"
+        min={1}
+        value={person.birthOrder ?? ""}
+        onChange={(e) => onChange({ birthOrder: Number(e.target.value) >= 1 ? Math.round(Number(e.target.value)) : undefined })}
+        placeholder={t("person.birthOrderHint")}
+        className={fieldCls}
+      />
+      <label className="text-sm">{t("person.alive")}</label>
+      <select value={aliveValue} onChange={(e) => onChange({ alive: e.target.value === "" ? undefined : e.target.value === "yes" })} className={fieldCls}>
+        <option value="">{t("person.aliveUnknown")}</option>
+        <option value="yes">{t("person.aliveYes")}</option>
+        <option value="no">{t("person.aliveNo")}</option>
+      </select>
+      <label className="text-sm">{t("person.note")}</label>
+      <textarea value={person.note || ""} onChange={(e) => onChange({ note: e.target.value || undefined })} rows={2} className={fieldCls} />
+
+      <div className="p-2 rounded-xl border border-slate-200 dark:border-slate-800 space-y-2">
+        <div className="font-medium">{t("person.links")}</div>
+        {section(t("person.parents"), parents.map((r) => linkRow(r.parentId, r.parentId, () => onUnlink(r.parentId, person.id))))}
+        {section(t("person.children"), children.map((r) => linkRow(r.childId, r.childId, () => onUnlink(person.id, r.childId))))}
+        {section(
+          t("person.partners"),
+          partnerships.map((u) => {
+            const other = u.partners.find((x) => x !== person.id);
+            return linkRow(u.id, other, () => onRemoveUnion(u.id), unionLabel(u, L));
+          })
+        )}
+      </div>
+
+      <div className="p-2 rounded-xl border border-slate-200 dark:border-slate-800 space-y-1">
+        <div className="font-medium">{t("person.merge")}</div>
+        <div className="text-xs text-slate-500">{t("person.mergeHint")}</div>
+        <div className="flex gap-2">
+          <div className="flex-1 min-w-0">
+            <PersonPicker value={mergeSel} onChange={setMergeSel} entries={personSearchEntries(people, rels, L)} exclude={person.id} t={t} />
+          </div>
+          <button
+            onClick={() => {
+              if (mergeSel && confirm(t("person.mergeConfirm", { drop: byId[mergeSel]?.name, keep: person.name }))) {
+                onMerge(mergeSel);
+                setMergeSel("");
+              }
+            }}
+            className="px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+            disabled={!mergeSel}
+          >
+            {t("person.mergeDo")}
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <button onClick={onClose} className="flex-1 px-3 py-2 rounded-xl bg-slate-100 dark:bg-slate-800 hover:bg-slate-200">{t("person.close")}</button>
+        <button onClick={onTogglePin} title={t(pinned ? "person.unpin" : "person.pin")} className={`px-3 py-2 rounded-xl ${pinned ? "bg-indigo-100 text-indigo-700" : "bg-slate-100 dark:bg-slate-800"} hover:bg-indigo-200`}>
+          <Pin className="w-4 h-4" />
+        </button>
+        <button onClick={onRemove} className="px-3 py-2 rounded-xl bg-slate-100 dark:bg-slate-800 hover:bg-rose-100 hover:text-rose-700">{t("list.remove")}</button>
+      </div>
+    </div>
+  );
+}
 
 // Главная логика анализа родства
-function buildIndexes(people, edges) {
+function buildIndexes(people, edges, unions = []) {
   /** @type {Record<string, Person>} */
   const byId = {};
   people.forEach((p) => (byId[p.id] = p));
@@ -166,7 +1843,17 @@ function buildIndexes(people, edges) {
     childrenOf[e.parentId].push(e.childId);
   });
 
-  return { byId, parentsOf, childrenOf };
+  /** @type {Record<string, { id: string, union: Union }[]>} */
+  const partnersOf = {};
+  people.forEach((p) => (partnersOf[p.id] = []));
+  unions.forEach((u) => {
+    const [a, b] = u.partners;
+    if (!partnersOf[a] || !partnersOf[b]) return;
+    partnersOf[a].push({ id: b, union: u });
+    partnersOf[b].push({ id: a, union: u });
+  });
+
+  return { byId, parentsOf, childrenOf, partnersOf };
 }
 
 function getAncestors(id, parentsOf) {
@@ -191,7 +1878,7 @@ function getAncestors(id, parentsOf) {
 function findLCA(a, b, parentsOf) {
   const A = getAncestors(a, parentsOf);
   const B = getAncestors(b, parentsOf);
-  let best = null; // { id, dA, dB }
+  let best = null; // { id, dA, dB, shared }
   for (const id of Object.keys(A)) {
     if (id in B) {
       const dA = A[id];
@@ -206,15 +1893,51 @@ function findLCA(a, b, parentsOf) {
       }
     }
   }
-  return best; // может быть null, если нет общего предка в графе
+  if (!best) return null; // нет общего предка в графе
+  // Все общие предки на том же уровне: обычно это пара (полнородное родство) или один человек (неполнородное)
+  best.shared = Object.keys(A).filter((id) => id in B && A[id] === best.dA && B[id] === best.dB);
+  return best;
+}
+
+// Неполнородное родство: общий предок на этом уровне один (shared), а у обеих «развилок» —
+// его детей на путях к A и B — известны другие родители, и они разные.
+// Возвращает "paternal" | "maternal" | "unknown" или null, если неполнородность не доказана.
+function halfBloodSide(forkA, forkB, shared, byId, parentsOf) {
+  if (shared.length >= 2) return null;
+  const [anc] = shared;
+  const otherParent = (x) => (parentsOf[x] || []).find((p) => p !== anc);
+  // если хоть у одной стороны второй родитель не записан, им может оказаться тот же человек —
+  // полнородность не утверждаем и не отрицаем
+  const otherA = otherParent(forkA);
+  const otherB = otherParent(forkB);
+  if (!otherA || !otherB || otherA === otherB) return null;
+  const sex = byId[anc]?.sex;
+  return sex === "male" ? "paternal" : sex === "female" ? "maternal" : "unknown";
 }
 
+const halfBloodWord = (side, sex) =>
+  side === "paternal"
+    ? sexNoun(sex, "единокровный", "единокровная")
+    : side === "maternal"
+      ? sexNoun(sex, "единоутробный", "единоутробная")
+      : sexNoun(sex, "неполнородный", "неполнородная");
+
 function isAncestorOf(a, b, parentsOf) {
   // a — предок b ?
   const ancestors = getAncestors(b, parentsOf);
   return a in ancestors ? ancestors[a] : -1;
 }
 
+// Проверка новой связи «родитель → ребёнок»: ключ сообщения об ошибке или null
+function parentLinkError(parentId, childId, people, rels) {
+  if (parentId === childId) return "link.errSelf";
+  if (rels.some((r) => r.parentId === parentId && r.childId === childId)) return "link.errDuplicate";
+  const { parentsOf } = buildIndexes(people, rels);
+  if (isAncestorOf(childId, parentId, parentsOf) >= 0) return "link.errCycle";
+  if ((parentsOf[childId] || []).length >= 2) return "link.errTooMany";
+  return null;
+}
+
 function pathToAncestor(fromId, ancestorId, parentsOf) {
   // Один из возможных путей "вверх" до предка (для объяснений)
   const res = [];
@@ -248,176 +1971,1395 @@ function pathToAncestor(fromId, ancestorId, parentsOf) {
   return [fromId];
 }
 
-function describeLine(byId, path) {
+function describeLine(byId, path, L = LOCALES.ru) {
   // Возвращает «по материнской/отцовской линии», если первый шаг — мать/отец
   if (!path || path.length < 2) return "";
   const firstParent = byId[path[1]];
   if (!firstParent) return "";
-  if (firstParent.sex === "female") return "по материнской линии";
-  if (firstParent.sex === "male") return "по отцовской линии";
+  if (firstParent.sex === "female") return L.kinship.line("maternal");
+  if (firstParent.sex === "male") return L.kinship.line("paternal");
   return "";
 }
 
-function relationLabel(fromId, toId, people, edges) {
-  const { byId, parentsOf } = buildIndexes(people, edges);
-  const A = byId[fromId];
-  const B = byId[toId];
-  if (!A || !B) return { title: "—", details: [], reverseTitle: "—" };
-
-  // Прямое восхождение/нисхождение
-  const up = isAncestorOf(fromId, toId, parentsOf); // from — предок to?
-  const down = isAncestorOf(toId, fromId, parentsOf); // to — предок from?
+// Термины по расстоянию до общего предка: k — шагов вверх от A, l — от B.
+// k = 0 — A сам является предком B, l = 0 — наоборот. Заголовок описывает A по отношению к B.
+//
+// Боковое родство строится из двух чисел: c = min(k, l) − 1 — степень кузенства «развилки»
+// (0 — родные, 1 — двоюродные, …) и r = |k − l| — разница поколений. Старшая сторона:
+// r = 1 — «c-юродный дядя», r ≥ 2 — «(c+1)-юродный пра…дед» (брат деда — двоюродный дед).
+// Младшая: r = 1 — «c-юродный племянник», r ≥ 2 — «c-юродный пра…внучатый племянник».
+function kinshipTerms(k, l, sexA, sexB, half = null) {
+  const pair = (sex, male, female) => sexNoun(sex, male, female, `${male}/${female}`);
+  const ancestor = (d, sex) =>
+    d === 1 ? sexNoun(sex, "отец", "мать", "родитель") : pair(sex, `${pra(d - 2)}дед`, `${pra(d - 2)}бабушка`);
+  const descendant = (d, sex) =>
+    d === 1 ? sexNoun(sex, "сын", "дочь", "ребёнок") : pair(sex, `${pra(d - 2)}внук`, `${pra(d - 2)}внучка`);
+  const degreeAdj = (c, sex) => (c > 0 ? adjective(cousinDegreeWord(c), sex) + " " : "");
+  const withHalf = (term, sex) => (half ? `${halfBloodWord(half, sex)} ${term}` : term);
 
-  const describeAncestor = (d, sex) => {
-    if (d === 1) return sexNoun(sex, "отец", "мать", "родитель");
-    if (d === 2) return sexNoun(sex, "дед", "бабушка", "предок");
-    if (d === 3) return sexNoun(sex, "прадед", "прабабушка", "предок в 3-м колене");
-    return `предок в ${d}-м колене`;
-  };
-  const describeDescendant = (d, sex) => {
-    if (d === 1) return sexNoun(sex, "сын", "дочь", "ребёнок");
-    if (d === 2) return sexNoun(sex, "внук", "внучка", "потомок");
-    if (d === 3) return sexNoun(sex, "правнук", "правнучка", "потомок в 3-м колене");
-    return `потомок в ${d}-м колене`;
-  };
+  if (k === 0) return { title: ancestor(l, sexA), reverseTitle: descendant(l, sexB) };
+  if (l === 0) return { title: descendant(k, sexA), reverseTitle: ancestor(k, sexB) };
 
-  const details = [];
+  const c = Math.min(k, l) - 1;
+  const r = Math.abs(k - l);
 
-  if (up >= 1) {
-    const path = pathToAncestor(toId, fromId, parentsOf); // to -> ... -> from
-    const line = describeLine(byId, path);
-    const t = describeAncestor(up, A.sex);
-    const title = line ? `${t} (${line})` : t;
-    // reverse
-    const reverse = describeDescendant(up, B.sex);
-    const revTitle = line ? `${reverse} (${line})` : reverse;
-    details.push(`Общий путь: ${path.map((id) => byId[id]?.name).join(" → ")}`);
-    return { title, details, reverseTitle: revTitle };
-  }
-  if (down >= 1) {
-    const path = pathToAncestor(fromId, toId, parentsOf); // from -> ... -> to
-    const line = describeLine(byId, path);
-    const t = describeDescendant(down, A.sex);
-    const title = line ? `${t} (${line})` : t;
-    const reverse = describeAncestor(down, B.sex);
-    const revTitle = line ? `${reverse} (${line})` : reverse;
-    details.push(`Общий путь: ${path.map((id) => byId[id]?.name).join(" → ")}`);
-    return { title, details, reverseTitle: revTitle };
+  if (r === 0) {
+    const same = (sex) =>
+      withHalf(c === 0 ? sexNoun(sex, "брат", "сестра", "сиблинг") : degreeAdj(c, sex) + pair(sex, "брат", "сестра"), sex);
+    return { title: same(sexA), reverseTitle: same(sexB) };
   }
 
-  const lca = findLCA(fromId, toId, parentsOf);
-  if (!lca) return { title: "Связь не найдена", details: [], reverseTitle: "Связь не найдена" };
+  const older = (sex) =>
+    r === 1
+      ? degreeAdj(c, sex) + pair(sex, "дядя", "тётя")
+      : degreeAdj(c + 1, sex) + pair(sex, `${pra(r - 2)}дед`, `${pra(r - 2)}бабушка`);
+  const younger = (sex) =>
+    r === 1
+      ? degreeAdj(c, sex) + pair(sex, "племянник", "племянница")
+      : degreeAdj(c, sex) + adjective(`${pra(r - 2)}внучат`, sex) + " " + pair(sex, "племянник", "племянница");
+  // старшая сторона — та, что ближе к общему предку
+  return k < l
+    ? { title: older(sexA), reverseTitle: younger(sexB) }
+    : { title: younger(sexA), reverseTitle: older(sexB) };
+}
 
-  const { id: anc, dA: k, dB: l } = lca;
-  // Сиблинги
-  if (k === 1 && l === 1) {
-    const title = sexNoun(B.sex, "брат", "сестра", "сиблинг");
-    const rev = sexNoun(A.sex, "брат", "сестра", "сиблинг");
-    const pathA = pathToAncestor(fromId, anc, parentsOf);
-    const pathB = pathToAncestor(toId, anc, parentsOf);
-    const lineA = describeLine(byId, pathA);
-    const lineB = describeLine(byId, pathB);
-    const det = [
-      `Общий предок: ${byId[anc]?.name}`,
-      `Линии: ${lineA || "—"} / ${lineB || "—"}`,
-    ];
-    return { title, details: det, reverseTitle: rev };
-  }
-
-  // Тётя/дядя ↔ племянник/племянница (удалённые или нет)
-  if (Math.min(k, l) === 1) {
-    // Один на 1 поколение от LCA — это брат/сестра родителя/деда...
-    const olderIsA = k === 1; // A ближе к предку → A старше по поколению
-    const degree = Math.max(k, l) - 1; // 1 => тётя/дядя; 2 => двоюродный дед/бабушка и т.д.
-
-    if (degree === 1) {
-      // классическая тётя/дядя
-      if (olderIsA) {
-        const title = sexNoun(A.sex, "дядя", "тётя", "тётя/дядя");
-        const reverseTitle = sexNoun(B.sex, "племянник", "племянница", "племянник/племянница");
-        const det = [
-          `Общий предок: ${byId[anc]?.name}`,
-        ];
-        return { title, details: det, reverseTitle };
-      } else {
-        const title = sexNoun(A.sex, "племянник", "племянница", "племянник/племянница");
-        const reverseTitle = sexNoun(B.sex, "дядя", "тётя", "тётя/дядя");
-        const det = [
-          `Общий предок: ${byId[anc]?.name}`,
-        ];
-        return { title, details: det, reverseTitle };
-      }
-    } else {
-      // удалённые: двоюродный дед/бабушка, троюродный дед/бабушка и пр.
-      if (olderIsA) {
-        const base = degree === 2 ? sexNoun(A.sex, "двоюродный дед", "двоюродная бабушка", "двоюродный предок")
-          : degree === 3 ? sexNoun(A.sex, "троюродный дед", "троюродная бабушка", "троюродный предок")
-          : `предок (удаление ${degree - 1})`;
-        const title = base;
-        const reverseTitle = degree === 2 ? sexNoun(B.sex, "двоюродный внук", "двоюродная внучка", "двоюродный потомок")
-          : degree === 3 ? sexNoun(B.sex, "троюродный внук", "троюродная внучка", "троюродный потомок")
-          : `потомок (удаление ${degree - 1})`;
-        return { title, details: [`Общий предок: ${byId[anc]?.name}`], reverseTitle };
-      } else {
-        const base = degree === 2 ? sexNoun(A.sex, "двоюродный внук", "двоюродная внучка", "двоюродный потомок")
-          : degree === 3 ? sexNoun(A.sex, "троюродный внук", "троюродная внучка", "троюродный потомок")
-          : `потомок (удаление ${degree - 1})`;
-        const title = base;
-        const reverseTitle = degree === 2 ? sexNoun(B.sex, "двоюродный дед", "двоюродная бабушка", "двоюродный предок")
-          : degree === 3 ? sexNoun(B.sex, "троюродный дед", "троюродная бабушка", "троюродный предок")
-          : `предок (удаление ${degree - 1})`;
-        return { title, details: [`Общий предок: ${byId[anc]?.name}`], reverseTitle };
-      }
+// Все простые пути «вверх» от id: ancestorId -> [[id, ..., ancestorId], ...]; сам id — путь [id].
+// Глубина и число путей ограничены, чтобы сильно переплетённые деревья не «взрывали» перебор.
+function ancestorPaths(id, parentsOf, maxDepth = 16, limit = 5000) {
+  const res = { [id]: [[id]] };
+  let count = 0;
+  const walk = (path) => {
+    if (path.length > maxDepth || count >= limit) return;
+    const cur = path[path.length - 1];
+    for (const p of parentsOf[cur] || []) {
+      if (path.includes(p)) continue; // цикл в данных
+      const next = [...path, p];
+      (res[p] = res[p] || []).push(next);
+      count++;
+      walk(next);
     }
-  }
-
-  // Кузены (двоюродные/троюродные ...) и удаление
-  const degree = Math.min(k, l) - 1; // 1 => двоюродные, 2 => троюродные, ...
-  const removal = Math.abs(k - l);
+  };
+  walk([id]);
+  return res;
+}
+
+// Путь «A → … → предок ← … ← B» для объяснений
+const describeRelationPath = (byId, rp) =>
+  [...rp.pathA, ...rp.pathB.slice(0, -1).reverse()]
+    .map((id, i) => (i === 0 ? "" : i < rp.pathA.length ? " → " : " ← ") + byId[id]?.name)
+    .join("");
+
+// Пары путей A и B к каждому общему предку, сходящиеся только в нём (пути Райта)
+function commonAncestorPaths(fromId, toId, parentsOf) {
+  const PA = ancestorPaths(fromId, parentsOf);
+  const PB = ancestorPaths(toId, parentsOf);
+  const res = [];
+  for (const anc of Object.keys(PA)) {
+    if (!PB[anc]) continue;
+    for (const pa of PA[anc]) {
+      for (const pb of PB[anc]) {
+        if (pa.slice(0, -1).some((x) => pb.includes(x))) continue;
+        res.push({ anc, pathA: pa, pathB: pb });
+      }
+    }
+  }
+  return res;
+}
+
+// Термины боковой линии; братья и сёстры с известным старшинством — «старший брат», «младшая сестра»
+function sideTerms(k, l, A, B, half, L) {
+  const { title, reverseTitle } = L.kinship.terms(k, l, A.sex, B.sex, half);
+  const rank = k === 1 && l === 1 ? birthRank(A, B) : null;
+  const back = rank && (rank === "elder" ? "younger" : "elder");
+  return { title: L.kinship.withRank(title, rank, A.sex), reverseTitle: L.kinship.withRank(reverseTitle, back, B.sex) };
+}
 
-  const base = cousinDegreeWord(degree);
-  if (removal === 0) {
-    // Двоюродный брат/сестра
-    const title = base
-      ? sexNoun(B.sex, `${base}ый брат`, `${base}ая сестра`, `${base}ые родственники`)
-      : "родственники";
-    const reverseTitle = base
-      ? sexNoun(A.sex, `${base}ый брат`, `${base}ая сестра`, `${base}ые родственники`)
-      : "родственники";
-    const det = [`Общий предок: ${people.find((p) => p.id === anc)?.name}`];
-    return { title, details: det, reverseTitle };
+// Все линии родства A и B. Пути, различающиеся лишь верхней вершиной
+// (супружеская пара предков), считаются одной линией.
+function allRelationPaths(fromId, toId, byId, parentsOf, L = LOCALES.ru) {
+  /** @type {Map<string, { ancestors: string[], pathA: string[], pathB: string[] }>} */
+  const groups = new Map();
+  for (const { anc, pathA, pathB } of commonAncestorPaths(fromId, toId, parentsOf)) {
+    const key = pathA.slice(0, -1).join(">") + "|" + pathB.slice(0, -1).join(">");
+    const g = groups.get(key);
+    if (g) g.ancestors.push(anc);
+    else groups.set(key, { ancestors: [anc], pathA, pathB });
   }
 
-  // Удалённые кузены: «двоюродный дядя/тётя» и «двоюродный племянник/племянница» на 1 удалении
-  if (removal === 1) {
-    // Старшая сторона (ближе к LCA) — становится «двоюродный дядя/тётя»
-    const olderIsA = k < l; // меньше шагов вверх до LCA → старше
-    const labelOlder = `${base}ый ${sexNoun(olderIsA ? A.sex : B.sex, "дядя", "тётя", "дядя/тётя")}`;
-    const labelYounger = `${base}ая ${sexNoun(olderIsA ? B.sex : A.sex, "племянник", "племянница", "племянник/племянница")}`;
-    if (olderIsA) {
+  const A = byId[fromId];
+  const B = byId[toId];
+  return [...groups.values()]
+    .map((g) => {
+      const k = g.pathA.length - 1;
+      const l = g.pathB.length - 1;
+      const half = k && l ? halfBloodSide(g.pathA.at(-2), g.pathB.at(-2), g.ancestors, byId, parentsOf) : null;
+      const { title, reverseTitle } = k && l ? sideTerms(k, l, A, B, half, L) : L.kinship.terms(k, l, A.sex, B.sex, half);
       return {
-        title: labelOlder,
-        details: [`Общий предок: ${people.find((p) => p.id === anc)?.name}`],
-        reverseTitle: labelYounger,
+        ...g,
+        k,
+        l,
+        half,
+        title,
+        reverseTitle,
+        line: describeLine(byId, g.pathB, L),
+        reverseLine: describeLine(byId, g.pathA, L),
+        ancestorsText: g.ancestors.map((id) => byId[id]?.name).join(L.t("rel.and")),
+        text: describeRelationPath(byId, g),
       };
-    } else {
+    })
+    .sort((x, y) => x.k + x.l - (y.k + y.l) || Math.max(x.k, x.l) - Math.max(y.k, y.l));
+}
+
+// Что подсветить на схеме для одной линии родства: людей на пути, связи «родитель → ребёнок»
+// (ключи «родитель>ребёнок») и общих предков. Пара общих предков — обе связи к ребёнку на пути.
+function relationPathHighlight(rp) {
+  // прямая линия: вершина пути — сам A или B, а не общий предок
+  const tops = rp.pathA.length === 1 || rp.pathB.length === 1 ? [rp.pathA.at(-1)] : rp.ancestors;
+  const ids = new Set([...rp.pathA, ...rp.pathB, ...tops]);
+  const links = new Set();
+  [rp.pathA, rp.pathB].forEach((path) => {
+    for (let i = 0; i + 2 < path.length; i++) links.add(`${path[i + 1]}>${path[i]}`);
+    if (path.length > 1) tops.forEach((top) => links.add(`${top}>${path.at(-2)}`));
+  });
+  return { ids, links, ancestors: new Set(tops) };
+}
+
+// ===== Коэффициенты родства и инбридинга (метод путей Райта) =====
+// f(A,B) — коэффициент кровного родства (kinship): Σ (1/2)^(n+1) · (1 + F_X) по всем путям через общих предков X,
+// n — число шагов в пути A → X ← B. F(X) — инбридинг: f(отец X, мать X). r(A,B) = 2f / √((1+F_A)(1+F_B)).
+
+function makeCoefficientContext(parentsOf) {
+  const kinMemo = new Map();
+  const inbMemo = new Map();
+  const inProgress = new Set(); // защита от циклов в данных
+
+  const inbreeding = (id) => {
+    if (inbMemo.has(id)) return inbMemo.get(id);
+    const ps = parentsOf[id] || [];
+    if (ps.length < 2 || inProgress.has(id)) return 0;
+    inProgress.add(id);
+    const F = kinship(ps[0], ps[1]);
+    inProgress.delete(id);
+    inbMemo.set(id, F);
+    return F;
+  };
+
+  const kinship = (a, b) => {
+    if (a === b) return (1 + inbreeding(a)) / 2;
+    const key = a < b ? a + "|" + b : b + "|" + a;
+    if (kinMemo.has(key)) return kinMemo.get(key);
+    let f = 0;
+    for (const { anc, pathA, pathB } of commonAncestorPaths(a, b, parentsOf)) {
+      f += Math.pow(0.5, pathA.length + pathB.length - 1) * (1 + inbreeding(anc));
+    }
+    kinMemo.set(key, f);
+    return f;
+  };
+
+  return { kinship, inbreeding };
+}
+
+// Примерные диапазоны общих сантиморган по Shared cM Project (Bettinger, v4): среднее и 99% интервал.
+// Ключ — «ближняя-дальняя» дистанция до общей пары предков, h — неполнородное родство.
+const SHARED_CM = {
+  "0-1": [3485, 2376, 3720],
+  "1-1": [2613, 1613, 3488],
+  "1-1h": [1759, 1160, 2436],
+  "0-2": [1754, 984, 2462],
+  "1-2": [1740, 1201, 2282],
+  "1-2h": [871, 492, 1315],
+  "0-3": [887, 485, 1486],
+  "1-3": [850, 330, 1467],
+  "1-3h": [431, 125, 782],
+  "2-2": [866, 396, 1397],
+  "2-2h": [449, 156, 979],
+  "2-3": [433, 102, 980],
+  "2-3h": [224, 57, 530],
+  "2-4": [221, 33, 471],
+  "3-3": [229, 41, 592],
+  "3-3h": [117, 9, 397],
+  "3-4": [122, 14, 353],
+  "4-4": [73, 0, 234],
+  "4-5": [48, 0, 192],
+  "5-5": [35, 0, 139],
+};
+// Условная длина аутосомного генома для оценки «r × геном», если пары нет в таблице
+const GENOME_CM = 6950;
+
+function sharedCMRange(k, l, half) {
+  const key = `${Math.min(k, l)}-${Math.max(k, l)}${half ? "h" : ""}`;
+  const row = SHARED_CM[key];
+  return row ? { avg: row[0], min: row[1], max: row[2] } : null;
+}
+
+const formatShare = (x) => (x === 0 ? "0" : `${+(x * 100).toFixed(x < 0.001 ? 4 : 2)}%`);
+
+function relationshipCoefficients(fromId, toId, people, edges, L = LOCALES.ru) {
+  const { byId, parentsOf } = buildIndexes(people, edges);
+  if (!byId[fromId] || !byId[toId]) return null;
+  const { kinship, inbreeding } = makeCoefficientContext(parentsOf);
+  const FA = inbreeding(fromId);
+  const FB = inbreeding(toId);
+  const terms = fromId === toId ? [] : commonAncestorPaths(fromId, toId, parentsOf).map(({ anc, pathA, pathB }) => {
+    const n = pathA.length + pathB.length - 2;
+    const FX = inbreeding(anc);
+    return {
+      anc,
+      n,
+      FX,
+      contribution: Math.pow(0.5, n + 1) * (1 + FX),
+      text: describeRelationPath(byId, { pathA, pathB }),
+    };
+  });
+  const f = fromId === toId ? kinship(fromId, fromId) : terms.reduce((sum, t) => sum + t.contribution, 0);
+  const r = (2 * f) / Math.sqrt((1 + FA) * (1 + FB));
+
+  // Ожидаемые общие cM: по таблице для каждой линии (пара предков — одна линия), иначе r × геном
+  const lines = fromId === toId ? [] : allRelationPaths(fromId, toId, byId, parentsOf, L);
+  const ranges = lines.map((rp) => ({ title: rp.line ? `${rp.title} ${rp.line}` : rp.title, range: sharedCMRange(rp.k, rp.l, rp.half) }));
+  const tabulated = ranges.length > 0 && ranges.every((x) => x.range);
+  const cM = {
+    expected: tabulated ? ranges.reduce((sum, x) => sum + x.range.avg, 0) : Math.round(r * GENOME_CM),
+    min: tabulated ? ranges.reduce((sum, x) => sum + x.range.min, 0) : null,
+    max: tabulated ? ranges.reduce((sum, x) => sum + x.range.max, 0) : null,
+    ranges,
+  };
+
+  return { r, f, FA, FB, terms, cM };
+}
+
+// Кровное родство через общих предков; null — если общего предка в графе нет
+function bloodRelationLabel(fromId, toId, people, edges, L = LOCALES.ru) {
+  const { byId, parentsOf } = buildIndexes(people, edges);
+  const A = byId[fromId];
+  const B = byId[toId];
+  if (!A || !B) return null;
+
+  // Прямое восхождение/нисхождение
+  const up = isAncestorOf(fromId, toId, parentsOf); // from — предок to?
+  const down = isAncestorOf(toId, fromId, parentsOf); // to — предок from?
+
+  const paths = allRelationPaths(fromId, toId, byId, parentsOf, L);
+  const details = [];
+
+  if (up >= 1) {
+    const path = pathToAncestor(toId, fromId, parentsOf); // to -> ... -> from
+    const line = describeLine(byId, path, L);
+    const { title: t, reverseTitle: reverse } = L.kinship.terms(0, up, A.sex, B.sex);
+    const title = L.kinship.withLine(t, line);
+    const revTitle = L.kinship.withLine(reverse, line);
+    details.push(L.t("rel.commonPath", { path: path.map((id) => byId[id]?.name).join(" → ") }));
+    return { title, details, reverseTitle: revTitle, paths };
+  }
+  if (down >= 1) {
+    const path = pathToAncestor(fromId, toId, parentsOf); // from -> ... -> to
+    const line = describeLine(byId, path, L);
+    const { title: t, reverseTitle: reverse } = L.kinship.terms(down, 0, A.sex, B.sex);
+    const title = L.kinship.withLine(t, line);
+    const revTitle = L.kinship.withLine(reverse, line);
+    details.push(L.t("rel.commonPath", { path: path.map((id) => byId[id]?.name).join(" → ") }));
+    return { title, details, reverseTitle: revTitle, paths };
+  }
+
+  const lca = findLCA(fromId, toId, parentsOf);
+  if (!lca) return null;
+
+  const { id: anc, dA: k, dB: l } = lca;
+  const half = halfBloodSide(
+    pathToAncestor(fromId, anc, parentsOf).at(-2),
+    pathToAncestor(toId, anc, parentsOf).at(-2),
+    lca.shared,
+    byId,
+    parentsOf
+  );
+  const ancDetail = lca.shared.length >= 2
+    ? L.t("rel.commonAncestors", { names: lca.shared.map((id) => byId[id]?.name).join(L.t("rel.and")) })
+    : L.t("rel.commonAncestor", { name: byId[anc]?.name }) +
+      (half ? L.t(half === "paternal" ? "rel.halfPaternal" : half === "maternal" ? "rel.halfMaternal" : "rel.halfUnknown") : "");
+  const { title, reverseTitle } = sideTerms(k, l, A, B, half, L);
+  details.push(ancDetail);
+
+  if (k === 1 && l === 1) {
+    const lineA = describeLine(byId, pathToAncestor(fromId, anc, parentsOf), L);
+    const lineB = describeLine(byId, pathToAncestor(toId, anc, parentsOf), L);
+    details.push(L.t("rel.lines", { a: lineA || "—", b: lineB || "—" }));
+  }
+  if (paths.length > 1) details.push(L.t("rel.pathsFound", { n: paths.length }));
+  return { title, details, reverseTitle, paths };
+}
+
+// Родительный падеж для составных терминов: «двоюродная сестра» → «двоюродной сестры».
+// Пояснения в скобках («(по материнской линии)») не склоняются.
+const GENITIVE_WORDS = {
+  отец: "отца",
+  мать: "матери",
+  дочь: "дочери",
+  свекровь: "свекрови",
+  муж: "мужа",
+  мой: "моего",
+  моя: "моей",
+  ребёнок: "ребёнка",
+  младший: "младшего",
+  младшая: "младшей",
+  старший: "старшего",
+  старшая: "старшей",
+  сиблинг: "сиблинга",
+};
+
+function genitiveWord(w) {
+  if (GENITIVE_WORDS[w]) return GENITIVE_WORDS[w];
+  if (w.includes("/")) return w.split("/").map(genitiveWord).join("/");
+  if (/(ый|ой)$/.test(w)) return w.slice(0, -2) + "ого";
+  if (/ий$/.test(w)) return w.slice(0, -2) + (/[гкхжшщч]ий$/.test(w) ? "ого" : "его");
+  if (/ая$/.test(w)) return w.slice(0, -2) + "ой";
+  if (/яя$/.test(w)) return w.slice(0, -2) + "ей";
+  if (/[гкхжшщч]а$/.test(w)) return w.slice(0, -1) + "и";
+  if (/а$/.test(w)) return w.slice(0, -1) + "ы";
+  if (/[яь]$/.test(w)) return w.slice(0, -1) + (w.endsWith("ь") ? "я" : "и");
+  if (/[бвгджзклмнпрстфхцчшщ]$/.test(w)) return w + "а";
+  return w;
+}
+
+function genitive(phrase) {
+  const words = phrase.split(" ");
+  const out = [];
+  let inParens = false;
+  for (const w of words) {
+    if (w.startsWith("(")) inParens = true;
+    out.push(inParens ? w : genitiveWord(w));
+    if (w.endsWith(")")) inParens = false;
+  }
+  return out.join(" ");
+}
+
+// Название партнёра в зависимости от вида союза
+function partnerTerm(sex, kind) {
+  switch (kind) {
+    case "divorced":
+      return sexNoun(sex, "бывший муж", "бывшая жена", "бывший супруг");
+    case "cohabitation":
+      return sexNoun(sex, "сожитель", "сожительница", "партнёр");
+    case "civil":
+      return sexNoun(sex, "партнёр", "партнёрша", "партнёр");
+    default:
+      return sexNoun(sex, "муж", "жена", "супруг");
+  }
+}
+
+const isParentOf = (p, c, parentsOf) => (parentsOf[c] || []).includes(p);
+const areSiblings = (a, b, parentsOf) =>
+  a !== b && (parentsOf[a] || []).some((p) => (parentsOf[b] || []).includes(p));
+
+// Свойство (родство через браки). Возвращает null, если связи через пары нет.
+// withGeneric = false отключает составные термины вида «двоюродный брат жены» —
+// при наличии кровного родства они обычно лишь повторяют его другими словами.
+function affinalRelationLabel(fromId, toId, people, edges, unions, withGeneric = true, L = LOCALES.ru) {
+  const { byId, parentsOf, childrenOf, partnersOf } = buildIndexes(people, edges, unions);
+  const A = byId[fromId];
+  const B = byId[toId];
+  if (!A || !B || !unions.length) return null;
+  const name = (id) => byId[id]?.name;
+  const K = L.kinship;
+
+  // 1) Супруги
+  const direct = partnersOf[fromId].find((x) => x.id === toId);
+  if (direct) {
+    return {
+      title: K.partner(A.sex, direct.union.kind),
+      reverseTitle: K.partner(B.sex, direct.union.kind),
+      details: [L.t("rel.couple", { a: name(fromId), b: name(toId), union: unionLabel(direct.union, L) })],
+    };
+  }
+
+  // 2) A — родственник супруга B (свёкор, тёща, деверь, шурин, золовка, свояченица)
+  for (const { id: S } of partnersOf[toId]) {
+    const viaSpouse = L.t("rel.viaSpouse", { a: name(toId), b: name(S) });
+    if (isParentOf(fromId, S, parentsOf)) {
+      return {
+        title: K.affinal("spouseParent", A.sex, byId[S].sex),
+        reverseTitle: K.affinal("childSpouse", B.sex),
+        details: [viaSpouse, L.t("rel.parentOf", { a: name(fromId), b: name(S) })],
+      };
+    }
+    if (areSiblings(fromId, S, parentsOf)) {
+      return {
+        title: K.affinal("spouseSibling", A.sex, byId[S].sex),
+        reverseTitle: K.affinal("siblingSpouse", B.sex),
+        details: [viaSpouse, L.t("rel.siblings", { a: name(fromId), b: name(S) })],
+      };
+    }
+  }
+
+  // 3) A — супруг родственника B (зять, невестка, отчим, мачеха)
+  for (const { id: T, union } of partnersOf[fromId]) {
+    const viaSpouse = L.t("rel.viaSpouse", { a: name(fromId), b: name(T) });
+    if (isParentOf(toId, T, parentsOf)) {
+      return {
+        title: K.affinal("childSpouse", A.sex),
+        reverseTitle: K.affinal("spouseParent", B.sex, byId[T].sex),
+        details: [viaSpouse, L.t("rel.childOf", { a: name(T), b: name(toId) })],
+      };
+    }
+    if (areSiblings(T, toId, parentsOf)) {
+      return {
+        title: K.affinal("siblingSpouse", A.sex),
+        reverseTitle: K.affinal("spouseSibling", B.sex, byId[T].sex),
+        details: [viaSpouse, L.t("rel.siblings", { a: name(T), b: name(toId) })],
+      };
+    }
+    if (isParentOf(T, toId, parentsOf) && !isParentOf(fromId, toId, parentsOf) && union.kind !== "divorced") {
       return {
-        title: labelYounger,
-        details: [`Общий предок: ${people.find((p) => p.id === anc)?.name}`],
-        reverseTitle: labelOlder,
+        title: K.affinal("stepParent", A.sex),
+        reverseTitle: K.affinal("stepChild", B.sex),
+        details: [viaSpouse, L.t("rel.parentOf", { a: name(T), b: name(toId) })],
+      };
+    }
+  }
+
+  // 3б) Сводные братья и сёстры: родитель A в паре с родителем B, общих родителей нет
+  if (!areSiblings(fromId, toId, parentsOf)) {
+    for (const P of parentsOf[fromId] || []) {
+      for (const { id: Q } of partnersOf[P] || []) {
+        if (!isParentOf(Q, toId, parentsOf) || isParentOf(Q, fromId, parentsOf)) continue;
+        return {
+          title: K.affinal("stepSibling", A.sex),
+          reverseTitle: K.affinal("stepSibling", B.sex),
+          details: [
+            L.t("rel.parentsCouple", { a: name(P), b: name(Q) }),
+            L.t("rel.stepParents", { p: name(P), q: name(Q), a: name(fromId), b: name(toId) }),
+          ],
+        };
+      }
+    }
+  }
+
+  // 4) Сваты: дети A и B состоят в паре
+  for (const C of childrenOf[fromId] || []) {
+    for (const { id: D } of partnersOf[C] || []) {
+      if (isParentOf(toId, D, parentsOf)) {
+        return {
+          title: K.affinal("coParentInLaw", A.sex),
+          reverseTitle: K.affinal("coParentInLaw", B.sex),
+          details: [L.t("rel.childrenCouple", { a: name(C), b: name(D) })],
+        };
+      }
+    }
+  }
+
+  // 5) Свояки и ятровки: супруги сиблингов
+  for (const { id: T } of partnersOf[fromId]) {
+    for (const { id: S } of partnersOf[toId]) {
+      if (!areSiblings(T, S, parentsOf)) continue;
+      const both = A.sex === B.sex ? A.sex : "unknown";
+      if (both === "male" && byId[T].sex === "female") {
+        const term = K.affinal("wifeSisterHusband", A.sex);
+        return { title: term, reverseTitle: term, details: [L.t("rel.wivesSisters", { a: name(T), b: name(S) })] };
+      }
+      if (both === "female" && byId[T].sex === "male") {
+        const term = K.affinal("husbandBrotherWife", A.sex);
+        return { title: term, reverseTitle: term, details: [L.t("rel.husbandsBrothers", { a: name(T), b: name(S) })] };
+      }
+    }
+  }
+
+  if (!withGeneric) return null;
+
+  // 6) Общий случай: кровный родственник супруга или супруг кровного родственника
+  for (const { id: S, union } of partnersOf[toId]) {
+    const r = bloodRelationLabel(fromId, S, people, edges, L);
+    if (!r) continue;
+    return {
+      title: K.ofSpouse(r.title, K.partner(byId[S].sex, union.kind)),
+      reverseTitle: K.spouseOf(K.partner(B.sex, union.kind), r.reverseTitle),
+      details: [
+        L.t("rel.viaSpouse", { a: name(toId), b: name(S) }),
+        L.t("rel.termTo", { a: name(fromId), b: name(S), term: r.title }),
+        ...r.details,
+      ],
+    };
+  }
+  for (const { id: T, union } of partnersOf[fromId]) {
+    const r = bloodRelationLabel(T, toId, people, edges, L);
+    if (!r) continue;
+    return {
+      title: K.spouseOf(K.partner(A.sex, union.kind), r.title),
+      reverseTitle: K.ofSpouse(r.reverseTitle, K.partner(byId[T].sex, union.kind)),
+      details: [
+        L.t("rel.viaSpouse", { a: name(fromId), b: name(T) }),
+        L.t("rel.termTo", { a: name(T), b: name(toId), term: r.title }),
+        ...r.details,
+      ],
+    };
+  }
+
+  return null;
+}
+
+// Итоговое отношение: кровное родство приоритетно, свойство — дополнительно в `extra`
+function relationLabel(fromId, toId, people, edges, unions = [], L = LOCALES.ru) {
+  if (!people.some((p) => p.id === fromId) || !people.some((p) => p.id === toId)) {
+    return { title: L.t("rel.none"), details: [], reverseTitle: L.t("rel.none"), extra: [] };
+  }
+  if (fromId === toId) return { title: L.t("rel.same"), details: [], reverseTitle: L.t("rel.same"), extra: [] };
+
+  const blood = bloodRelationLabel(fromId, toId, people, edges, L);
+  const affinal = affinalRelationLabel(fromId, toId, people, edges, unions, !blood, L);
+  // отчества участников и людей на линиях родства подсказывают имена отцов
+  const onPaths = (blood?.paths || []).flatMap((rp) => [...rp.pathA, ...rp.pathB]);
+  const hints = patronymicHints([fromId, toId, ...onPaths], people, edges, L);
+  if (blood) return { ...blood, extra: affinal ? [affinal] : [], hints };
+  if (affinal) return { ...affinal, extra: [], hints };
+  return { title: L.t("rel.notFound"), details: [], reverseTitle: L.t("rel.notFound"), extra: [], hints };
+}
+
+// ===== Проверка целостности =====
+// validateTree просматривает всё дерево и возвращает список проблем: ошибки (так не бывает)
+// и предупреждения (бывает, но подозрительно). Нечёткие даты сравниваются по границам:
+// «около 1900» — это 1898…1903, «1900» — весь год; ошибка — только когда границы не пересекаются.
+
+/** @typedef {{ severity: "error"|"warning", code: string, ids: string[], message: string, ref?: string }} Issue */
+// ref — что именно сломано, когда ids этого не различают: у оборванной ссылки в ids только существующие люди
+
+// Минимальный возраст родителя, младше которого рождение ребёнка считаем подозрительным
+const MIN_PARENT_AGE = 12;
+// Сколько может пройти от смерти отца до рождения ребёнка
+const POSTHUMOUS_BIRTH_YEARS = 0.8;
+
+// Границы нечёткой даты в дробных годах: [самое раннее, самое позднее]
+function dateBounds(fd) {
+  if (!fd?.date) return null;
+  const point = (d, end) => {
+    let y = d.year;
+    if (d.month) y += (d.month - 1) / 12 + (d.day ? (d.day - 1) / 365.25 : 0);
+    // конец периода точности: год, месяц или день
+    if (end) y += d.day ? 1 / 365.25 : d.month ? 1 / 12 : 1;
+    // юлианская дата отстаёт от григорианской на 10–13 дней (на столетия раньше — меньше)
+    if (fd.calendar === "julian") y += (Math.floor(d.year / 100) - Math.floor(d.year / 400) - 2) / 365.25;
+    return y;
+  };
+  switch (fd.qualifier) {
+    case "about":
+      return [point(fd.date, false) - 2, point(fd.date, true) + 2];
+    case "before":
+      return [-Infinity, point(fd.date, true)];
+    case "after":
+      return [point(fd.date, false), Infinity];
+    case "between":
+      return [point(fd.date, false), point(fd.date2 || fd.date, true)];
+    default:
+      return [point(fd.date, false), point(fd.date, true)];
+  }
+}
+
+function validateTree({ people, rels, unions = [] }, L = LOCALES.ru) {
+  /** @type {Issue[]} */
+  const issues = [];
+  const byId = Object.fromEntries(people.map((p) => [p.id, p]));
+  const name = (id) => byId[id]?.name ?? id;
+  const add = (severity, code, ids, params = {}, ref) => issues.push({ severity, code, ids, message: L.t(`issue.${code}`, params), ...(ref ? { ref } : {}) });
+
+  // Ссылки на несуществующих людей
+  rels.forEach((r) => {
+    const missing = [r.parentId, r.childId].filter((id) => !byId[id]);
+    if (missing.length) add("error", "dangling", [r.parentId, r.childId].filter((id) => byId[id]), { id: missing.join(", ") }, `${r.parentId}>${r.childId}`);
+  });
+  unions.forEach((u) => {
+    const missing = u.partners.filter((id) => !byId[id]);
+    if (missing.length) add("error", "dangling", u.partners.filter((id) => byId[id]), { id: missing.join(", ") }, u.id);
+  });
+
+  const edges = rels.filter((r) => byId[r.parentId] && byId[r.childId]);
+  const { parentsOf, childrenOf } = buildIndexes(people, edges);
+
+  // Циклы: человек оказывается собственным предком. Обход в глубину по родителям, серый — в стеке.
+  const state = {};
+  const reported = new Set();
+  const visit = (id, stack) => {
+    state[id] = "grey";
+    stack.push(id);
+    for (const p of parentsOf[id] || []) {
+      if (state[p] === "grey") {
+        const cycle = stack.slice(stack.indexOf(p));
+        const key = [...cycle].sort().join(">");
+        if (!reported.has(key)) {
+          reported.add(key);
+          add("error", "cycle", cycle, { names: [...cycle, p].map(name).join(" → ") });
+        }
+      } else if (!state[p]) visit(p, stack);
+    }
+    stack.pop();
+    state[id] = "black";
+  };
+  people.forEach((p) => !state[p.id] && visit(p.id, []));
+
+  for (const child of people) {
+    const parents = (parentsOf[child.id] || []).map((id) => byId[id]);
+    if (parents.length > 2) add("error", "tooManyParents", [child.id, ...parents.map((p) => p.id)], { child: child.name, count: parents.length });
+    for (const sex of ["male", "female"]) {
+      const same = parents.filter((p) => p.sex === sex);
+      if (same.length > 1) add("error", sex === "male" ? "twoFathers" : "twoMothers", [child.id, ...same.map((p) => p.id)], { child: child.name, names: same.map((p) => p.name).join(", ") });
+    }
+
+    const born = dateBounds(child.birth?.date);
+    if (!born) continue;
+    for (const parent of parents) {
+      const params = { child: child.name, parent: parent.name };
+      const parentBorn = dateBounds(parent.birth?.date);
+      if (parentBorn && parentBorn[0] >= born[1]) add("error", "parentYounger", [parent.id, child.id], params);
+      else if (parentBorn && parentBorn[0] + MIN_PARENT_AGE > born[1]) add("warning", "parentTooYoung", [parent.id, child.id], { ...params, age: MIN_PARENT_AGE });
+      const died = dateBounds(parent.death?.date);
+      const grace = parent.sex === "male" ? POSTHUMOUS_BIRTH_YEARS : 0;
+      if (died && born[0] > died[1] + grace) add("error", "bornAfterDeath", [parent.id, child.id], params);
+    }
+  }
+
+  // Порядок рождения братьев и сестёр противоречит их датам рождения
+  const orderPairs = new Set();
+  for (const parent of people) {
+    const kids = (childrenOf[parent.id] || []).map((id) => byId[id]).filter((c) => c.birthOrder && dateBounds(c.birth?.date));
+    for (const a of kids) {
+      for (const b of kids) {
+        const key = `${a.id}>${b.id}`;
+        if (a.birthOrder >= b.birthOrder || orderPairs.has(key) || birthRank(a, b) !== "younger") continue;
+        orderPairs.add(key);
+        add("error", "birthOrder", [a.id, b.id], { first: a.name, second: b.name });
+      }
+    }
+  }
+
+  // Смерть раньше рождения
+  for (const p of people) {
+    const born = dateBounds(p.birth?.date);
+    const died = dateBounds(p.death?.date);
+    if (born && died && died[1] <= born[0]) add("error", "diedBeforeBirth", [p.id], { name: p.name });
+    if (p.alive === true && p.death) add("warning", "aliveWithDeath", [p.id], { name: p.name });
+  }
+
+  return issues;
+}
+
+// Ошибки, которых не было до правки: по ним правка отклоняется или требует подтверждения
+const issueKey = (i) => `${i.code}:${[...i.ids].sort().join(",")}${i.ref ? "@" + i.ref : ""}`;
+
+function newErrors(before, after) {
+  const seen = new Set(before.filter((i) => i.severity === "error").map(issueKey));
+  return after.filter((i) => i.severity === "error" && !seen.has(issueKey(i)));
+}
+
+// Скачивание файла из браузера: текст или готовый Blob (картинка)
+function downloadFile(content, filename, type) {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+// ===== Экспорт схемы: SVG, PNG и плакат для печати =====
+// Схема рисуется заново в самостоятельный SVG по тем же узлам и рёбрам, что получает React Flow:
+// картинка не зависит от стилей страницы и одинаково выглядит в файле, в PNG и на печати.
+// Плакат режется на листы A4/A3 с перекрытием; линии перекрытия помогают склеить листы.
+
+const SVG_SEX = { male: ["#dbeafe", "#1d4ed8"], female: ["#fce7f3", "#be185d"], unknown: ["#f1f5f9", "#475569"] };
+const SVG_ROLE = { a: "#6366f1", b: "#10b981", ancestor: "#f59e0b", path: "#a5b4fc" };
+const SVG_ISSUE = { error: "#f43f5e", warning: "#fbbf24" };
+const EXPORT_PADDING = 24;
+
+const xmlEscape = (s) => String(s ?? "").replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+const clipText = (s, n) => (s.length > n ? `${s.slice(0, n - 1)}…` : s);
+
+// Точка крепления ребра: те же площадки, что у узлов на схеме (при LR повёрнуты)
+function handlePoint(node, handle) {
+  const union = node.type === "union";
+  const w = union ? COUPLE_GAP : nodeWidth;
+  const h = union ? UNION_NODE_HEIGHT : nodeHeight;
+  const { x, y } = node.position;
+  const lr = node.data?.direction === "LR";
+  const side = { t: lr ? "left" : "top", s: lr ? "right" : "bottom", l: lr ? "top" : "left", r: lr ? "bottom" : "right" }[handle || "s"];
+  if (side === "top") return [x + w / 2, y];
+  if (side === "bottom") return [x + w / 2, y + h];
+  if (side === "left") return [x, y + h / 2];
+  return [x + w, y + h / 2];
+}
+
+// Ступенчатая линия как у smoothstep: поперёк рядов, вдоль ряда, снова поперёк
+function edgePath(e, a, b, lr) {
+  if (e.type === "straight") return `M ${a[0]} ${a[1]} L ${b[0]} ${b[1]}`;
+  if (lr) {
+    const mx = (a[0] + b[0]) / 2;
+    return `M ${a[0]} ${a[1]} H ${mx} V ${b[1]} H ${b[0]}`;
+  }
+  const my = (a[1] + b[1]) / 2;
+  return `M ${a[0]} ${a[1]} V ${my} H ${b[0]} V ${b[1]}`;
+}
+
+function personSvg(n, L) {
+  const d = n.data;
+  const { x, y } = n.position;
+  const [bg, fg] = SVG_SEX[d.sex] || SVG_SEX.unknown;
+  const badge = sexBadge(d.sex, L).text;
+  const span = lifeSpan(d, L);
+  const stroke = SVG_ROLE[d.pathRole] || SVG_ISSUE[d.issue] || "#e2e8f0";
+  const number = d.badge ? `<tspan fill="#4f46e5" font-family="monospace" font-size="11">${xmlEscape(d.badge)} </tspan>` : "";
+  const role = d.pathRole && d.pathRole !== "path" ? `<text x="${x + nodeWidth - 12}" y="${y + 22}" text-anchor="end" font-size="10" fill="${SVG_ROLE[d.pathRole]}">${xmlEscape(L.t(`path.role.${d.pathRole}`))}</text>` : "";
+  const badgeW = badge.length * 6 + 14;
+  return [
+    `<g opacity="${n.style?.opacity ?? 1}">`,
+    `<rect x="${x}" y="${y}" width="${nodeWidth}" height="${nodeHeight}" rx="16" fill="#fff" stroke="${stroke}" stroke-width="${d.pathRole || d.issue ? 2 : 1}"/>`,
+    `<text x="${x + 12}" y="${y + 26}" font-size="14" font-weight="600" fill="#1e293b">${number}${xmlEscape(clipText(d.name || "", role ? 17 : 24))}</text>`,
+    role,
+    `<rect x="${x + 12}" y="${y + 50}" width="${badgeW}" height="18" rx="9" fill="${bg}"/>`,
+    `<text x="${x + 12 + badgeW / 2}" y="${y + 63}" text-anchor="middle" font-size="11" fill="${fg}">${xmlEscape(badge)}</text>`,
+    span ? `<text x="${x + 20 + badgeW}" y="${y + 63}" font-size="11" fill="#64748b">${xmlEscape(span)}</text>` : "",
+    `</g>`,
+  ].join("");
+}
+
+function unionSvg(n) {
+  const { x, y } = n.position;
+  const cx = x + COUPLE_GAP / 2;
+  const label = `♥ ${n.data.years || ""}`.trim();
+  const w = Math.min(COUPLE_GAP, label.length * 6 + 12);
+  return (
+    `<g opacity="${n.style?.opacity ?? 1}"><rect x="${cx - w / 2}" y="${y + 2}" width="${w}" height="16" rx="8" fill="#fdf2f8" stroke="#fbcfe8"/>` +
+    `<text x="${cx}" y="${y + 14}" text-anchor="middle" font-size="10" fill="#9d174d">${xmlEscape(label)}</text></g>`
+  );
+}
+
+// Самостоятельный SVG из узлов и рёбер React Flow. crop — видимая область в координатах схемы,
+// без него берётся вся схема с полями. Возвращает разметку и размер в пикселях схемы.
+function diagramSvg(nodes, edges, L = LOCALES.ru, crop = null) {
+  const byId = Object.fromEntries(nodes.map((n) => [n.id, n]));
+  let box = crop;
+  if (!box) {
+    const size = (n) => (n.type === "union" ? [COUPLE_GAP, UNION_NODE_HEIGHT] : [nodeWidth, nodeHeight]);
+    const xs = nodes.flatMap((n) => [n.position.x, n.position.x + size(n)[0]]);
+    const ys = nodes.flatMap((n) => [n.position.y, n.position.y + size(n)[1]]);
+    const [x0, y0] = nodes.length ? [Math.min(...xs), Math.min(...ys)] : [0, 0];
+    const [x1, y1] = nodes.length ? [Math.max(...xs), Math.max(...ys)] : [0, 0];
+    box = { x: x0 - EXPORT_PADDING, y: y0 - EXPORT_PADDING, width: x1 - x0 + EXPORT_PADDING * 2, height: y1 - y0 + EXPORT_PADDING * 2 };
+  }
+  const width = Math.ceil(box.width);
+  const height = Math.ceil(box.height);
+  const markers = new Map();
+  const lines = edges
+    .filter((e) => byId[e.source] && byId[e.target])
+    .sort((a, b) => (a.zIndex || 0) - (b.zIndex || 0))
+    .map((e) => {
+      const src = byId[e.source];
+      const a = handlePoint(src, e.sourceHandle);
+      const b = handlePoint(byId[e.target], e.targetHandle);
+      const st = e.style || {};
+      let marker = "";
+      if (e.markerEnd) {
+        const color = e.markerEnd.color || st.stroke || "#334155";
+        const id = `arrow-${markers.size}`;
+        if (![...markers.values()].includes(color)) markers.set(id, color);
+        marker = ` marker-end="url(#${[...markers].find(([, c]) => c === color)[0]})"`;
+      }
+      const dash = st.strokeDasharray ? ` stroke-dasharray="${st.strokeDasharray}"` : "";
+      return `<path d="${edgePath(e, a, b, src.data?.direction === "LR")}" fill="none" stroke="${st.stroke || "#334155"}" stroke-width="${st.strokeWidth || 2}" stroke-linecap="round" opacity="${st.opacity ?? 1}"${dash}${marker}/>`;
+    });
+  const defs = [...markers]
+    .map(([id, color]) => `<marker id="${id}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M0 0 L10 5 L0 10 z" fill="${color}"/></marker>`)
+    .join("");
+  const shapes = nodes.map((n) => (n.type === "union" ? unionSvg(n) : personSvg(n, L)));
+  const svg =
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${box.x} ${box.y} ${width} ${height}" font-family="Inter, 'Segoe UI', Arial, sans-serif">` +
+    `<defs>${defs}</defs><rect x="${box.x}" y="${box.y}" width="${width}" height="${height}" fill="#fff"/>${lines.join("")}${shapes.join("")}</svg>`;
+  return { svg, width, height };
+}
+
+// Уже нарисованный SVG (веер предков) со стилями, вычисленными браузером: классы Tailwind
+// вне страницы не работают, поэтому цвета и шрифты переносятся в атрибуты
+function inlineSvg(el) {
+  const copy = /** @type {SVGSVGElement} */ (el.cloneNode(true));
+  const src = el.querySelectorAll("*");
+  copy.querySelectorAll("*").forEach((node, i) => {
+    const cs = getComputedStyle(src[i]);
+    ["fill", "stroke", "font-size", "font-weight"].forEach((k) => node.setAttribute(k, cs.getPropertyValue(k)));
+  });
+  const { width, height } = el.viewBox.baseVal;
+  copy.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  copy.setAttribute("width", String(width));
+  copy.setAttribute("height", String(height));
+  copy.setAttribute("font-family", "Inter, 'Segoe UI', Arial, sans-serif");
+  copy.removeAttribute("class");
+  return { svg: new XMLSerializer().serializeToString(copy), width, height };
+}
+
+// PNG нужного масштаба: SVG рисуется в canvas на белом фоне
+function svgToPng({ svg, width, height }, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext("2d");
+      ctx.fillStyle = "#fff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("toBlob"))), "image/png");
+    };
+    img.onerror = () => reject(new Error("svg"));
+    img.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+  });
+}
+
+// ----- Плакат -----
+const PAPER_MM = { A4: [210, 297], A3: [297, 420] };
+const POSTER_MARGIN_MM = 10;
+const POSTER_CAPTION_MM = 8; // подпись листа внизу
+const POSTER_OVERLAP_MM = 10;
+const MM_PER_PX = 25.4 / 96;
+
+// Нарезка схемы width×height (пиксели схемы) на листы при масштабе scale. Соседние листы
+// перекрываются на POSTER_OVERLAP_MM; из книжной и альбомной ориентации берётся та, где листов меньше.
+function posterTiles(width, height, paper = "A4", scale = 1) {
+  const [pw, ph] = PAPER_MM[paper];
+  const variants = [
+    [pw, ph, false],
+    [ph, pw, true],
+  ].map(([w, h, landscape]) => {
+    const mm = MM_PER_PX * scale;
+    const tw = (w - POSTER_MARGIN_MM * 2) / mm;
+    const th = (h - POSTER_MARGIN_MM * 2 - POSTER_CAPTION_MM) / mm;
+    const ov = POSTER_OVERLAP_MM / mm;
+    const cols = Math.max(1, Math.ceil((width - ov) / (tw - ov)));
+    const rows = Math.max(1, Math.ceil((height - ov) / (th - ov)));
+    const tiles = [];
+    for (let row = 0; row < rows; row++)
+      for (let col = 0; col < cols; col++) tiles.push({ row, col, x: col * (tw - ov), y: row * (th - ov), width: tw, height: th });
+    return { paper, landscape, pageW: w, pageH: h, scale, overlap: ov, cols, rows, tiles };
+  });
+  return variants[1].tiles.length < variants[0].tiles.length ? variants[1] : variants[0];
+}
+
+// Условные обозначения плаката: линии родства и пар, подсветка линии A ↔ B
+function posterLegend(L, withPath) {
+  const line = (style, text) => {
+    const dash = style.strokeDasharray ? ` stroke-dasharray="${style.strokeDasharray}"` : "";
+    return `<div class="li"><svg width="48" height="10"><line x1="2" y1="5" x2="46" y2="5" stroke="${style.stroke}" stroke-width="2.4" stroke-linecap="round"${dash}/></svg>${xmlEscape(text)}</div>`;
+  };
+  const swatch = (color, text) => `<div class="li"><svg width="48" height="14"><rect x="8" y="1" width="32" height="12" rx="6" fill="#fff" stroke="${color}" stroke-width="2"/></svg>${xmlEscape(text)}</div>`;
+  return [
+    line({ stroke: "#334155" }, L.t("export.legend.child")),
+    ...UNION_KINDS.map((k) => line(unionEdgeStyle(k), L.t(`union.${k}`))),
+    ...(withPath ? ["a", "b", "ancestor"].map((r) => swatch(SVG_ROLE[r], L.t(`path.role.${r}`))) : []),
+  ].join("");
+}
+
+// Страница для печати: обложка (название, легенда, анализ A ↔ B, схема листов), затем листы.
+// Сохранить в PDF — через печать браузера.
+function posterHtml(image, layout, { title, analysis, withPath, L }) {
+  const { pageW, pageH, scale, overlap, cols, rows, tiles } = layout;
+  const mm = MM_PER_PX * scale;
+  const inner = image.svg.replace(/^<svg /, `<svg x="0" y="0" `);
+  const pageCss = `@page{size:${pageW}mm ${pageH}mm;margin:0}*{box-sizing:border-box}body{margin:0;font-family:Inter,'Segoe UI',Arial,sans-serif;color:#1e293b}` +
+    `.page{width:${pageW}mm;height:${pageH}mm;padding:${POSTER_MARGIN_MM}mm;position:relative;overflow:hidden;break-after:page}` +
+    `.cap{position:absolute;left:${POSTER_MARGIN_MM}mm;right:${POSTER_MARGIN_MM}mm;bottom:${POSTER_MARGIN_MM}mm;font-size:9pt;color:#64748b;display:flex;justify-content:space-between}` +
+    `h1{font-size:20pt;margin:0 0 4mm}h2{font-size:11pt;margin:6mm 0 2mm;text-transform:uppercase;letter-spacing:.05em;color:#64748b}.li{display:flex;align-items:center;gap:3mm;font-size:10pt;margin:1mm 0}.an div{margin:1mm 0}`;
+  // обзор: вся схема с сеткой листов
+  const ovW = pageW - POSTER_MARGIN_MM * 2;
+  const ovH = Math.min(pageH * 0.45, (ovW * image.height) / image.width);
+  const grid = tiles
+    .map((t) => `<rect x="${t.x}" y="${t.y}" width="${t.width}" height="${t.height}" fill="none" stroke="#6366f1" stroke-width="${2 / (ovW / image.width)}" stroke-dasharray="8 6"/>` +
+      `<text x="${t.x + t.width / 2}" y="${t.y + t.height / 2}" text-anchor="middle" font-size="${Math.max(14, t.height / 8)}" fill="#6366f1" opacity=".7">${t.row + 1}–${t.col + 1}</text>`)
+    .join("");
+  const cover =
+    `<section class="page"><h1>${xmlEscape(title)}</h1>` +
+    `<div>${xmlEscape(L.t("export.poster.sheets", { n: tiles.length, cols, rows }))}</div>` +
+    (analysis.length ? `<h2>${xmlEscape(L.t("analysis.title"))}</h2><div class="an">${analysis.map((s) => `<div>${xmlEscape(s)}</div>`).join("")}</div>` : "") +
+    `<h2>${xmlEscape(L.t("export.legend"))}</h2>${posterLegend(L, withPath)}` +
+    `<h2>${xmlEscape(L.t("export.poster.overview"))}</h2>` +
+    `<svg width="${ovW}mm" height="${ovH}mm" viewBox="0 0 ${image.width} ${image.height}" preserveAspectRatio="xMidYMin meet">${inner}${grid}</svg>` +
+    `<div class="cap"><span>${xmlEscape(title)}</span><span>${new Date().toLocaleDateString(L.code)}</span></div></section>`;
+  // листы: линии перекрытия со стороны соседей — по ним лист накладывается на соседний
+  const sheets = tiles.map((t) => {
+    const mark = (x1, y1, x2, y2) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#94a3b8" stroke-width="${0.3 / mm}" stroke-dasharray="${2 / mm} ${1.5 / mm}"/>`;
+    const marks = [
+      t.col > 0 && mark(t.x + overlap, t.y, t.x + overlap, t.y + t.height),
+      t.col < cols - 1 && mark(t.x + t.width - overlap, t.y, t.x + t.width - overlap, t.y + t.height),
+      t.row > 0 && mark(t.x, t.y + overlap, t.x + t.width, t.y + overlap),
+      t.row < rows - 1 && mark(t.x, t.y + t.height - overlap, t.x + t.width, t.y + t.height - overlap),
+    ].filter(Boolean).join("");
+    return (
+      `<section class="page"><svg width="${t.width * mm}mm" height="${t.height * mm}mm" viewBox="${t.x} ${t.y} ${t.width} ${t.height}">${inner}${marks}</svg>` +
+      `<div class="cap"><span>${xmlEscape(title)}</span><span>${xmlEscape(L.t("export.poster.sheet", { row: t.row + 1, col: t.col + 1, rows, cols }))}</span></div></section>`
+    );
+  });
+  return `<!doctype html><html lang="${L.code}"><head><meta charset="utf-8"><title>${xmlEscape(title)}</title><style>${pageCss}</style></head><body>${cover}${sheets.join("")}</body></html>`;
+}
+
+// ===== История правок =====
+// Команда — подпись и список операций над сущностями (человек, связь, пара, позиция узла):
+// что было (before) и что стало (after). Команды сериализуемы и сохраняются вместе с деревом;
+// отмена применяет те же операции в обратную сторону.
+
+const HISTORY_LIMIT = 100;
+// Серия однотипных правок (набор имени по буквам) в пределах этого окна склеивается в одну команду
+const HISTORY_COALESCE_MS = 1500;
+
+const ENTITY_KEYS = {
+  people: (p) => p.id,
+  rels: (r) => `${r.parentId}>${r.childId}`,
+  unions: (u) => u.id,
+};
+
+/** @typedef {{ coll: "people"|"rels"|"unions"|"positions", key: string, before: any, after: any, index?: number, indexAfter?: number }} HistoryOp */
+/** @typedef {{ label: string, at: number, group?: string, ops: HistoryOp[] }} HistoryCommand */
+
+const sameValue = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+// Операции, переводящие одно состояние дерева в другое; index — место в массиве до и после
+function diffCollections(before, after) {
+  /** @type {HistoryOp[]} */
+  const ops = [];
+  for (const [coll, keyOf] of Object.entries(ENTITY_KEYS)) {
+    if (before[coll] === after[coll]) continue;
+    const oldByKey = new Map(before[coll].map((x, i) => [keyOf(x), { x, i }]));
+    const newByKey = new Map(after[coll].map((x, i) => [keyOf(x), { x, i }]));
+    oldByKey.forEach(({ x, i }, key) => {
+      const n = newByKey.get(key);
+      if (!n) ops.push({ coll, key, before: x, after: null, index: i });
+      else if (!sameValue(x, n.x)) ops.push({ coll, key, before: x, after: n.x, index: i, indexAfter: n.i });
+    });
+    newByKey.forEach(({ x, i }, key) => {
+      if (!oldByKey.has(key)) ops.push({ coll, key, before: null, after: x, indexAfter: i });
+    });
+  }
+  // Позиции узлов — словарь id → { x, y, pinned? }
+  const was = before.positions || {};
+  const now = after.positions || {};
+  if (was !== now) {
+    new Set([...Object.keys(was), ...Object.keys(now)]).forEach((key) => {
+      if (!sameValue(was[key], now[key])) ops.push({ coll: "positions", key, before: was[key] ?? null, after: now[key] ?? null });
+    });
+  }
+  return ops;
+}
+
+// Применение операций к { people, rels, unions, positions }; undo — в обратную сторону.
+// Нетронутые коллекции возвращаются теми же массивами.
+function applyHistoryOps(doc, ops, undo = false) {
+  const list = undo ? ops.map((op) => ({ ...op, before: op.after, after: op.before, index: op.indexAfter, indexAfter: op.index })) : ops;
+  const next = { ...doc };
+  for (const [coll, keyOf] of Object.entries(ENTITY_KEYS)) {
+    const mine = list.filter((op) => op.coll === coll);
+    if (!mine.length) continue;
+    const changed = new Map(mine.filter((op) => op.before && op.after).map((op) => [op.key, op.after]));
+    const removed = new Set(mine.filter((op) => op.before && !op.after).map((op) => op.key));
+    const arr = doc[coll].filter((x) => !removed.has(keyOf(x))).map((x) => changed.get(keyOf(x)) ?? x);
+    mine
+      .filter((op) => !op.before && op.after)
+      .sort((a, b) => a.indexAfter - b.indexAfter)
+      .forEach((op) => arr.splice(Math.min(op.indexAfter, arr.length), 0, op.after));
+    next[coll] = arr;
+  }
+  const moves = list.filter((op) => op.coll === "positions");
+  if (moves.length) {
+    next.positions = { ...doc.positions };
+    moves.forEach((op) => (op.after ? (next.positions[op.key] = op.after) : delete next.positions[op.key]));
+  }
+  return next;
+}
+
+// Склейка двух команд одной серии: от первого «до» к последнему «после»
+function mergeHistoryOps(first, second) {
+  const out = first.map((op) => ({ ...op }));
+  for (const op of second) {
+    const prev = out.find((x) => x.coll === op.coll && x.key === op.key);
+    if (prev) {
+      prev.after = op.after;
+      prev.indexAfter = op.indexAfter;
+    } else out.push(op);
+  }
+  return out.filter((op) => !sameValue(op.before, op.after));
+}
+
+// ===== Хранилище: IndexedDB =====
+// База «genealogy»: trees — деревья целиком (данные в формате экспорта JSON и вид: позиции
+// узлов, выбранные A/B, настройки рёбер), meta — служебные ключи (последнее открытое дерево).
+
+const DB_NAME = "genealogy";
+const DB_VERSION = 1;
+
+/** @typedef {{ id: string, name: string, updatedAt: number, data: object, view?: object, history?: { past: HistoryCommand[], future: HistoryCommand[] } }} TreeRecord */
+
+function openTreeDb() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") return reject(new Error("IndexedDB недоступен"));
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains("trees")) db.createObjectStore("trees", { keyPath: "id" });
+      if (!db.objectStoreNames.contains("meta")) db.createObjectStore("meta");
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Один запрос в своей транзакции; промис завершается вместе с транзакцией
+function dbRequest(db, store, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const treeStore = {
+  list: (db) => dbRequest(db, "trees", "readonly", (s) => s.getAll()),
+  get: (db, id) => dbRequest(db, "trees", "readonly", (s) => s.get(id)),
+  put: (db, tree) => dbRequest(db, "trees", "readwrite", (s) => s.put(tree)),
+  remove: (db, id) => dbRequest(db, "trees", "readwrite", (s) => s.delete(id)),
+  getLastId: (db) => dbRequest(db, "meta", "readonly", (s) => s.get("lastTreeId")),
+  setLastId: (db, id) => dbRequest(db, "meta", "readwrite", (s) => s.put(id, "lastTreeId")),
+};
+
+const newTreeId = () => "t" + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+// ===== GEDCOM 5.5.1 / 7.0 =====
+// Импорт: INDI (NAME с GIVN/SURN и девичьей фамилией, SEX, BIRT/DEAT с DATE и PLAC, NOTE) и FAM (HUSB, WIFE, CHIL, MARR, DIV)
+// превращаются в people/unions/rels. Всё, что не сопоставлено, попадает в отчёт `unmapped`
+// («INDI.OCCU» × 3), а не теряется молча. Экспорт пишет те же структуры обратно.
+
+// Теги, которые читаются косвенно (ссылки FAMC/FAMS восстанавливаются из FAM)
+const GEDCOM_DERIVED_TAGS = new Set(["FAMC", "FAMS", "CHAN", "CONT", "CONC"]);
+
+const GEDCOM_MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// Дата GEDCOM → FuzzyDate: «ABT 1900», «BET 1900 AND 1905», «@#DJULIAN@ 12 MAR 1700» (5.5.1),
+// «JULIAN 12 MAR 1700» (7.0). Нераспознанное сохраняется как фраза.
+function parseGedcomDate(text) {
+  const raw = (text || "").trim();
+  let calendar = "gregorian";
+  const s = raw
+    .replace(/@#D([A-Z ]+)@\s*|\b(JULIAN|GREGORIAN)\s+/gi, (_, esc, cal) => {
+      if ((esc || cal).trim().toUpperCase() === "JULIAN") calendar = "julian";
+      return "";
+    })
+    .trim()
+    .toUpperCase();
+  const part = (x) => {
+    const m = x.trim().match(/^(?:(\d{1,2}) )?(?:([A-Z]{3}) )?(\d{1,4})$/);
+    if (!m || (m[2] && !GEDCOM_MONTHS.includes(m[2])) || (m[1] && !m[2])) return null;
+    return validDatePart({ year: Number(m[3]), month: m[2] ? GEDCOM_MONTHS.indexOf(m[2]) + 1 : undefined, day: m[1] ? Number(m[1]) : undefined });
+  };
+  const make = (qualifier, a, b) => {
+    const date = part(a);
+    const date2 = b !== undefined ? part(b) : undefined;
+    if (!date || date2 === null) return null;
+    return date2 ? { qualifier, calendar, date, date2 } : { qualifier, calendar, date };
+  };
+  let m;
+  const fd =
+    ((m = s.match(/^(?:ABT|EST|CAL|INT) (.+?)(?: \(.*\))?$/)) && make("about", m[1])) ||
+    ((m = s.match(/^(?:BEF|TO) (.+)$/)) && make("before", m[1])) ||
+    ((m = s.match(/^(?:BET|FROM) (.+) (?:AND|TO) (.+)$/)) && make("between", m[1], m[2])) ||
+    ((m = s.match(/^(?:AFT|FROM) (.+)$/)) && make("after", m[1])) ||
+    make("exact", s);
+  return fd || { qualifier: "exact", calendar, phrase: raw.replace(/^\((.*)\)$/, "$1") };
+}
+
+// FuzzyDate → значение DATE. Дата-фраза без даты пишется отдельно (см. writeGedcom)
+function gedcomDate(fd, v7) {
+  const cal = fd.calendar === "julian" ? (v7 ? "JULIAN " : "@#DJULIAN@ ") : "";
+  const part = (d) => cal + [d.day, d.month && GEDCOM_MONTHS[d.month - 1], d.year].filter(Boolean).join(" ");
+  switch (fd.qualifier) {
+    case "about":
+      return `ABT ${part(fd.date)}`;
+    case "before":
+      return `BEF ${part(fd.date)}`;
+    case "after":
+      return `AFT ${part(fd.date)}`;
+    case "between":
+      return `BET ${part(fd.date)} AND ${part(fd.date2 || fd.date)}`;
+    default:
+      return part(fd.date);
+  }
+}
+
+function parseGedcomLines(text) {
+  /** @type {{ tag: string, xref?: string, value: string, children: any[] }} */
+  const root = { tag: "ROOT", value: "", children: [] };
+  const stack = [{ level: -1, node: root }];
+  const lines = text.replace(/^\uFEFF/, "").split(/\r\n|\r|\n/);
+  lines.forEach((raw, i) => {
+    if (!raw.trim()) return;
+    const m = raw.match(/^\s*(\d+)\s+(?:(@[^@]+@)\s+)?([A-Za-z0-9_]+)(?: (.*))?$/);
+    if (!m) throw new Error(`Строка ${i + 1}: не похоже на запись GEDCOM — «${raw.slice(0, 40)}»`);
+    const level = Number(m[1]);
+    const node = { tag: m[3].toUpperCase(), xref: m[2], value: m[4] ?? "", children: [] };
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    const parent = stack[stack.length - 1];
+    if (!parent || level > parent.level + 1) throw new Error(`Строка ${i + 1}: неверный уровень ${level}`);
+    // продолжения значения склеиваем сразу
+    if (node.tag === "CONT") parent.node.value += "\n" + node.value;
+    else if (node.tag === "CONC") parent.node.value += node.value;
+    else parent.node.children.push(node);
+    stack.push({ level, node });
+  });
+  return root.children;
+}
+
+function parseGedcom(text) {
+  const records = parseGedcomLines(text);
+  const head = records.find((r) => r.tag === "HEAD");
+  const gedc = head?.children.find((c) => c.tag === "GEDC");
+  const version = gedc?.children.find((c) => c.tag === "VERS")?.value || "5.5.1";
+
+  const unmapped = new Map();
+  const report = (path) => unmapped.set(path, (unmapped.get(path) || 0) + 1);
+  const child = (node, tag) => node.children.find((c) => c.tag === tag);
+  // Отмечаем все узлы поддерева, кроме перечисленных, как несопоставленные
+  const reportRest = (node, path, known) => {
+    for (const c of node.children) {
+      if (known.has(c.tag) || GEDCOM_DERIVED_TAGS.has(c.tag)) continue;
+      report(`${path}.${c.tag}`);
+    }
+  };
+
+  const notes = {};
+  records.filter((r) => (r.tag === "NOTE" || r.tag === "SNOTE") && r.xref).forEach((r) => (notes[r.xref] = r.value));
+  const noteText = (n) => (/^@[^@]+@$/.test(n.value) ? notes[n.value] ?? "" : n.value);
+
+  const readEvent = (node, path) => {
+    if (!node) return undefined;
+    const dateNode = child(node, "DATE");
+    const place = child(node, "PLAC")?.value;
+    reportRest(node, path, new Set(["DATE", "PLAC"]));
+    if (dateNode) reportRest(dateNode, `${path}.DATE`, new Set(["PHRASE"]));
+    const ev = {};
+    const phrase = dateNode && child(dateNode, "PHRASE")?.value;
+    if (dateNode?.value) ev.date = parseGedcomDate(dateNode.value);
+    else if (phrase) ev.date = { qualifier: "exact", calendar: "gregorian", phrase };
+    if (place) ev.place = place;
+    return ev;
+  };
+
+  // NAME «Иван Петрович /Смирнов/» (+ GIVN/SURN); отчество — последнее слово имени с суффиксом отчества
+  const readName = (node) => {
+    const value = node.value || "";
+    const slash = value.match(/^([^/]*)\/([^/]*)\/?(.*)$/);
+    // имя без фамилии в слэшах и без GIVN/SURN — просто подпись, на части не разбираем
+    if (!slash && !child(node, "GIVN") && !child(node, "SURN")) {
+      reportRest(node, "INDI.NAME", new Set(["TYPE"]));
+      return { type: child(node, "TYPE")?.value?.toUpperCase(), text: value.trim() };
+    }
+    const givenPart = (child(node, "GIVN")?.value ?? (slash ? slash[1] : value)).trim();
+    const surname = (child(node, "SURN")?.value ?? (slash ? slash[2] : "")).trim();
+    const words = givenPart.split(/\s+/).filter(Boolean);
+    const patronymic = words.length > 1 && isPatronymic(words.at(-1)) ? words.pop() : "";
+    reportRest(node, "INDI.NAME", new Set(["GIVN", "SURN", "TYPE"]));
+    return { given: words.join(" "), patronymic, surname, type: child(node, "TYPE")?.value?.toUpperCase(), text: value.replace(/\//g, "").replace(/\s+/g, " ").trim() };
+  };
+
+  /** @type {Person[]} */
+  const people = [];
+  /** @type {Union[]} */
+  const unions = [];
+  /** @type {ParentEdge[]} */
+  const rels = [];
+  const byXref = {};
+
+  for (const r of records) {
+    if (r.tag !== "INDI") continue;
+    const names = r.children.filter((c) => c.tag === "NAME").map(readName);
+    const primary = names.find((n) => n.type !== "BIRTH" && n.type !== "MAIDEN") || names[0];
+    const maiden = names.find((n) => n !== primary && (n.type === "BIRTH" || n.type === "MAIDEN"));
+    const sexValue = child(r, "SEX")?.value?.trim().toUpperCase();
+    const p = { id: genId(), name: r.xref, sex: sexValue === "M" ? "male" : sexValue === "F" ? "female" : "unknown" };
+    if (primary) {
+      for (const key of ["given", "patronymic", "surname"]) if (primary[key]) p[key] = primary[key];
+      p.name = composeName(primary) || primary.text || r.xref;
+    }
+    if (maiden?.surname) p.maidenSurname = maiden.surname;
+    const birth = readEvent(child(r, "BIRT"), "INDI.BIRT");
+    const death = readEvent(child(r, "DEAT"), "INDI.DEAT");
+    if (birth && Object.keys(birth).length) p.birth = birth;
+    if (death && Object.keys(death).length) p.death = death;
+    if (child(r, "DEAT")) p.alive = false;
+    const noteNodes = r.children.filter((c) => c.tag === "NOTE" || c.tag === "SNOTE");
+    if (noteNodes.length) p.note = noteNodes.map(noteText).join("\n");
+    reportRest(r, "INDI", new Set(["NAME", "SEX", "BIRT", "DEAT", "NOTE", "SNOTE"]));
+    people.push(p);
+    byXref[r.xref] = p.id;
+  }
+
+  const warnings = [];
+  for (const r of records) {
+    if (r.tag !== "FAM") continue;
+    const partners = ["HUSB", "WIFE"].map((tag) => byXref[child(r, tag)?.value]).filter(Boolean);
+    let union = null;
+    if (partners.length === 2) {
+      const marr = child(r, "MARR");
+      const div = child(r, "DIV");
+      const type = marr && child(marr, "TYPE")?.value?.toLowerCase();
+      union = {
+        id: "u" + genId(),
+        partners,
+        kind: div ? "divorced" : type === "civil" || type === "cohabitation" ? type : "marriage",
       };
+      const start = marr && child(marr, "DATE")?.value?.match(/\d{3,4}/);
+      const end = div && child(div, "DATE")?.value?.match(/\d{3,4}/);
+      if (start) union.startYear = Number(start[0]);
+      if (end) union.endYear = Number(end[0]);
+      if (marr) reportRest(marr, "FAM.MARR", new Set(["DATE", "TYPE"]));
+      if (div) reportRest(div, "FAM.DIV", new Set(["DATE"]));
+      unions.push(union);
+    }
+    for (const c of r.children.filter((x) => x.tag === "CHIL")) {
+      const childId = byXref[c.value];
+      if (!childId) {
+        warnings.push(`${r.xref}: ребёнок ${c.value} не найден`);
+        continue;
+      }
+      for (const parentId of partners) {
+        rels.push(union ? { parentId, childId, unionId: union.id } : { parentId, childId });
+      }
+    }
+    reportRest(r, "FAM", new Set(["HUSB", "WIFE", "CHIL", "MARR", "DIV"]));
+  }
+
+  for (const r of records) {
+    if (!["HEAD", "TRLR", "INDI", "FAM", "NOTE", "SNOTE", "SUBM"].includes(r.tag)) report(r.tag);
+  }
+
+  return {
+    people,
+    rels,
+    unions,
+    version,
+    warnings,
+    unmapped: [...unmapped.entries()].map(([path, count]) => ({ path, count })),
+  };
+}
+
+// Запись GEDCOM. version: "5.5.1" | "7.0"
+function writeGedcom({ people, rels, unions }, version = "5.5.1") {
+  const v7 = version.startsWith("7");
+  const out = [];
+  // Длинные и многострочные значения: CONT для переносов, в 5.5.1 ещё и CONC для строк > 200 символов
+  const line = (level, tag, value = "", xref = "") => {
+    const [first, ...rest] = String(value).split("\n");
+    const chunks = (s) => (v7 || s.length <= 200 ? [s] : s.match(/[\s\S]{1,200}/g));
+    const [head, ...conc] = chunks(first);
+    out.push([level, xref, tag, head].filter((x) => x !== "").join(" "));
+    conc.forEach((c) => out.push(`${level + 1} CONC ${c}`));
+    rest.forEach((r) => {
+      const [h, ...cc] = chunks(r);
+      out.push(h ? `${level + 1} CONT ${h}` : `${level + 1} CONT`);
+      cc.forEach((c) => out.push(`${level + 1} CONC ${c}`));
+    });
+  };
+
+  line(0, "HEAD");
+  line(1, "GEDC");
+  line(2, "VERS", v7 ? "7.0" : "5.5.1");
+  if (!v7) {
+    line(2, "FORM", "LINEAGE-LINKED");
+    line(1, "CHAR", "UTF-8");
+    line(1, "SUBM", "@SUBM1@");
+  }
+  line(1, "SOUR", "GENEALOGY-ANALYZER");
+
+  // Семьи: каждая пара — FAM; связи без пары группируем по набору родителей ребёнка
+  const families = unions.map((u) => ({ xref: "", partners: u.partners, union: u, children: [] }));
+  const byUnion = Object.fromEntries(families.map((f) => [f.union.id, f]));
+  const looseParents = {};
+  rels.forEach((r) => {
+    if (r.unionId && byUnion[r.unionId]) {
+      const f = byUnion[r.unionId];
+      if (!f.children.includes(r.childId)) f.children.push(r.childId);
+    } else {
+      (looseParents[r.childId] = looseParents[r.childId] || []).push(r.parentId);
+    }
+  });
+  Object.entries(looseParents).forEach(([childId, parentIds]) => {
+    for (let i = 0; i < parentIds.length; i += 2) {
+      const pair = parentIds.slice(i, i + 2).sort();
+      let f = families.find((x) => !x.union && x.partners.length === pair.length && x.partners.every((id, j) => id === pair[j]));
+      if (!f) {
+        f = { xref: "", partners: pair, union: null, children: [] };
+        families.push(f);
+      }
+      f.children.push(childId);
+    }
+  });
+  families.forEach((f, i) => (f.xref = `@F${i + 1}@`));
+
+  const byId = Object.fromEntries(people.map((p) => [p.id, p]));
+  const indiXref = (id) => `@I${id}@`;
+  const roles = (f) => {
+    // HUSB — мужчина, WIFE — женщина; при неизвестном поле сохраняем порядок партнёров
+    const [a, b] = f.partners;
+    if (!b) return byId[a]?.sex === "female" ? { WIFE: a } : { HUSB: a };
+    return byId[a]?.sex === "female" || byId[b]?.sex === "male" ? { HUSB: b, WIFE: a } : { HUSB: a, WIFE: b };
+  };
+
+  for (const p of people) {
+    line(0, "INDI", "", indiXref(p.id));
+    if (hasStructuredName(p)) {
+      const given = [p.given, p.patronymic].filter(Boolean).join(" ");
+      line(1, "NAME", `${given} /${p.surname || ""}/`.trim());
+      if (given) line(2, "GIVN", given);
+      if (p.surname) line(2, "SURN", p.surname);
+    } else {
+      line(1, "NAME", p.name);
+    }
+    if (p.maidenSurname) {
+      line(1, "NAME", `${[p.given, p.patronymic].filter(Boolean).join(" ")} /${p.maidenSurname}/`.trim());
+      line(2, "TYPE", v7 ? "BIRTH" : "birth");
+    }
+    line(1, "SEX", p.sex === "male" ? "M" : p.sex === "female" ? "F" : "U");
+    for (const [tag, ev] of [["BIRT", p.birth], ["DEAT", p.death]]) {
+      if (!ev) continue;
+      line(1, tag, ev.date || ev.place ? "" : "Y");
+      if (ev.date?.date) line(2, "DATE", gedcomDate(ev.date, v7));
+      else if (ev.date?.phrase && v7) {
+        line(2, "DATE");
+        line(3, "PHRASE", ev.date.phrase);
+      } else if (ev.date?.phrase) line(2, "DATE", `(${ev.date.phrase})`);
+      if (ev.place) line(2, "PLAC", ev.place);
+    }
+    if (!p.death && p.alive === false) line(1, "DEAT", "Y");
+    if (p.note) line(1, "NOTE", p.note);
+    families.filter((f) => f.children.includes(p.id)).forEach((f) => line(1, "FAMC", f.xref));
+    families.filter((f) => f.partners.includes(p.id)).forEach((f) => line(1, "FAMS", f.xref));
+  }
+
+  for (const f of families) {
+    line(0, "FAM", "", f.xref);
+    const r = roles(f);
+    if (r.HUSB) line(1, "HUSB", indiXref(r.HUSB));
+    if (r.WIFE) line(1, "WIFE", indiXref(r.WIFE));
+    if (f.union) {
+      const u = f.union;
+      // «MARR Y» — событие известно, но без подробностей
+      line(1, "MARR", u.startYear || u.kind === "civil" || u.kind === "cohabitation" ? "" : "Y");
+      if (u.startYear) line(2, "DATE", String(u.startYear));
+      if (u.kind === "civil" || u.kind === "cohabitation") line(2, "TYPE", u.kind);
+      if (u.kind === "divorced") {
+        line(1, "DIV", u.endYear ? "" : "Y");
+        if (u.endYear) line(2, "DATE", String(u.endYear));
+      }
     }
+    f.children.forEach((c) => line(1, "CHIL", indiXref(c)));
   }
 
-  // Обобщённый случай удалённых кузенов > 1
-  const olderIsA = k < l;
-  const title = olderIsA
-    ? `${base}ый ${sexNoun(A.sex, "дядя", "тётя", "дядя/тётя")} (удаление ${removal})`
-    : `${base}ая ${sexNoun(A.sex, "племянник", "племянница", "племянник/племянница")} (удаление ${removal})`;
-  const reverseTitle = olderIsA
-    ? `${base}ая ${sexNoun(B.sex, "племянник", "племянница", "племянник/племянница")} (удаление ${removal})`
-    : `${base}ый ${sexNoun(B.sex, "дядя", "тётя", "дядя/тётя")} (удаление ${removal})`;
-  return { title, details: [`Общий предок: ${people.find((p) => p.id === anc)?.name}`], reverseTitle };
+  if (!v7) {
+    line(0, "SUBM", "", "@SUBM1@");
+    line(1, "NAME", "Genealogy Analyzer");
+  }
+  line(0, "TRLR");
+  return out.join("\n") + "\n";
 }
 
 // Набор демо-данных из фразы «его мать — младшая сестра её деда по материнской линии»
@@ -427,13 +3369,21 @@ function buildDemo() {
   const people = [];
   /** @type {ParentEdge[]} */
   const rels = [];
+  /** @type {Union[]} */
+  const unions = [];
 
   const add = (name, sex, note) => {
     const p = { id: genId(), name, sex, note };
     people.push(p);
     return p;
   };
-  const link = (parent, child) => rels.push({ parentId: parent.id, childId: child.id });
+  const link = (parent, child, union) =>
+    rels.push(union ? { parentId: parent.id, childId: child.id, unionId: union.id } : { parentId: parent.id, childId: child.id });
+  const marry = (a, b) => {
+    const u = { id: "u" + genId(), partners: [a.id, b.id], kind: "marriage" };
+    unions.push(u);
+    return u;
+  };
 
   const she = add("Она", "female");
   const herMother = add("Её мать", "female");
@@ -441,22 +3391,27 @@ function buildDemo() {
   const herMGM = add("Её бабушка (по материнской линии)", "female");
 
   link(herMother, she);
-  link(herMGF, herMother);
-  link(herMGM, herMother);
+  const herMGP = marry(herMGF, herMGM);
+  link(herMGF, herMother, herMGP);
+  link(herMGM, herMother, herMGP);
 
   const hisMother = add("Его мать", "female", "младшая сестра её деда");
   const he = add("Он", "male");
   link(hisMother, he);
+  // «младшая сестра»: порядок рождения среди детей общих родителей
+  herMGF.birthOrder = 1;
+  hisMother.birthOrder = 2;
 
   // Общие родители для её деда и его матери — чтобы зафиксировать «сиблинговость»
   const commonGF = add("Общий прадед", "male");
   const commonGM = add("Общая прабабушка", "female");
-  link(commonGF, herMGF);
-  link(commonGM, herMGF);
-  link(commonGF, hisMother);
-  link(commonGM, hisMother);
+  const commonGP = marry(commonGF, commonGM);
+  link(commonGF, herMGF, commonGP);
+  link(commonGM, herMGF, commonGP);
+  link(commonGF, hisMother, commonGP);
+  link(commonGM, hisMother, commonGP);
 
-  return { people, rels };
+  return { people, rels, unions };
 }
 
 // Простые самотесты логики отношений (консольные)
@@ -521,6 +3476,924 @@ function runSelfTests() {
     assert(/материнской/i.test(r.title), `Ожидали пометку «по материнской линии», получили: ${r.title}`);
   });
 
+  // Тест 4: свойство — брат жены и родители мужа
+  addTest("Свойство: шурин ↔ зять, свекровь ↔ невестка", () => {
+    _id = 3000;
+    const people = [];
+    const rels = [];
+    const add = (name, sex) => {
+      const p = { id: genId(), name, sex };
+      people.push(p);
+      return p;
+    };
+    const hisMom = add("Мать мужа", "female");
+    const husband = add("Муж", "male");
+    const wifeDad = add("Отец жены", "male");
+    const wife = add("Жена", "female");
+    const wifeBro = add("Брат жены", "male");
+    rels.push(
+      { parentId: hisMom.id, childId: husband.id },
+      { parentId: wifeDad.id, childId: wife.id },
+      { parentId: wifeDad.id, childId: wifeBro.id }
+    );
+    const unions = [{ id: "u1", partners: [husband.id, wife.id], kind: "marriage" }];
+    const r1 = relationLabel(wifeBro.id, husband.id, people, rels, unions);
+    assert(r1.title === "шурин" && r1.reverseTitle === "зять", `Ожидали «шурин / зять», получили: ${r1.title} / ${r1.reverseTitle}`);
+    const r2 = relationLabel(hisMom.id, wife.id, people, rels, unions);
+    assert(r2.title === "свекровь" && /невестка/.test(r2.reverseTitle), `Ожидали «свекровь / невестка», получили: ${r2.title} / ${r2.reverseTitle}`);
+    const r3 = relationLabel(husband.id, wife.id, people, rels, unions);
+    assert(r3.title === "муж" && r3.reverseTitle === "жена", `Ожидали «муж / жена», получили: ${r3.title} / ${r3.reverseTitle}`);
+  });
+
+  // Тесты 5–9: полнородные, единокровные, единоутробные, сводные, неполнородные кузены
+  const halfFamily = () => {
+    _id = 4000;
+    const people = [];
+    const rels = [];
+    const add = (name, sex) => {
+      const p = { id: genId(), name, sex };
+      people.push(p);
+      return p;
+    };
+    const link = (parent, ...children) => children.forEach((c) => rels.push({ parentId: parent.id, childId: c.id }));
+    const dad = add("Отец", "male");
+    const mom = add("Мать", "female");
+    const dad2 = add("Второй муж матери", "male");
+    const mom2 = add("Вторая жена отца", "female");
+    const stepMom2Son = add("Сын второй жены от прошлого брака", "male");
+    const full = add("Старший сын", "male");
+    const fullSis = add("Дочь", "female");
+    const paternal = add("Сын от второй жены", "male");
+    const maternal = add("Дочь от второго мужа", "female");
+    link(dad, full, fullSis, paternal);
+    link(mom, full, fullSis, maternal);
+    link(mom2, paternal, stepMom2Son);
+    link(dad2, maternal);
+    const unions = [{ id: "u1", partners: [dad.id, mom2.id], kind: "marriage" }];
+    // дети единокровных брата и сестры — неполнородные двоюродные
+    const c1 = add("Внук по старшему", "male");
+    const c2 = add("Внучка по сыну от второй жены", "female");
+    link(full, c1);
+    link(paternal, c2);
+    return { people, rels, unions, dad, full, fullSis, paternal, maternal, stepMom2Son, c1, c2 };
+  };
+
+  addTest("Полнородные сиблинги: брат ↔ сестра без приставки", () => {
+    const f = halfFamily();
+    const r = relationLabel(f.full.id, f.fullSis.id, f.people, f.rels, f.unions);
+    assert(r.title === "брат" && r.reverseTitle === "сестра", `Ожидали «брат / сестра», получили: ${r.title} / ${r.reverseTitle}`);
+  });
+
+  addTest("Единокровные сиблинги (общий отец)", () => {
+    const f = halfFamily();
+    const r = relationLabel(f.full.id, f.paternal.id, f.people, f.rels, f.unions);
+    assert(r.title === "единокровный брат", `Ожидали «единокровный брат», получили: ${r.title}`);
+  });
+
+  addTest("Второй родитель не записан — неполнородность не утверждается", () => {
+    const f = halfFamily();
+    const orphan = { id: genId(), name: "Сын без записанной матери", sex: "male" };
+    const people = [...f.people, orphan];
+    const rels = [...f.rels, { parentId: f.dad.id, childId: orphan.id }];
+    const r = relationLabel(f.full.id, orphan.id, people, rels, f.unions);
+    assert(r.title === "брат" && r.reverseTitle === "брат", `Ожидали «брат / брат», получили: ${r.title} / ${r.reverseTitle}`);
+  });
+
+  addTest("Единоутробные сиблинги (общая мать)", () => {
+    const f = halfFamily();
+    const r = relationLabel(f.maternal.id, f.full.id, f.people, f.rels, f.unions);
+    assert(r.title === "единоутробная сестра" && r.reverseTitle === "единоутробный брат", `Ожидали «единоутробная сестра / единоутробный брат», получили: ${r.title} / ${r.reverseTitle}`);
+  });
+
+  addTest("Сводные сиблинги через пару родителей", () => {
+    const f = halfFamily();
+    const r = relationLabel(f.full.id, f.stepMom2Son.id, f.people, f.rels, f.unions);
+    assert(r.title === "сводный брат", `Ожидали «сводный брат», получили: ${r.title}`);
+  });
+
+  addTest("Неполнородные двоюродные (дети единокровных)", () => {
+    const f = halfFamily();
+    const r = relationLabel(f.c1.id, f.c2.id, f.people, f.rels, f.unions);
+    assert(r.title === "единокровный двоюродный брат" && r.reverseTitle === "единокровная двоюродная сестра", `Ожидали «единокровный двоюродный брат / единокровная двоюродная сестра», получили: ${r.title} / ${r.reverseTitle}`);
+  });
+
+  // Тест 10: родство по двум линиям (двоюродные по отцу и троюродные по матери)
+  addTest("Несколько линий родства, пара предков считается один раз", () => {
+    _id = 5000;
+    const people = [];
+    const rels = [];
+    const add = (name, sex) => {
+      const p = { id: genId(), name, sex };
+      people.push(p);
+      return p;
+    };
+    const link = (parent, ...children) => children.forEach((c) => rels.push({ parentId: parent.id, childId: c.id }));
+    const gf = add("Дед", "male");
+    const gm = add("Бабушка", "female");
+    const fa = add("Отец А", "male");
+    const fb = add("Отец Б", "male");
+    const a = add("А", "male");
+    const b = add("Б", "female");
+    const ma = add("Мать А", "female");
+    const mb = add("Мать Б", "female");
+    const ga = add("Бабушка А по матери", "female");
+    const gb = add("Дед Б по матери", "male");
+    const ggf = add("Прадед", "male");
+    const ggm = add("Прабабушка", "female");
+    link(gf, fa, fb);
+    link(gm, fa, fb);
+    link(fa, a);
+    link(fb, b);
+    link(ma, a);
+    link(mb, b);
+    link(ga, ma);
+    link(gb, mb);
+    link(ggf, ga, gb);
+    link(ggm, ga, gb);
+    const r = relationLabel(a.id, b.id, people, rels);
+    assert(r.paths.length === 2, `Ожидали 2 линии родства, получили: ${r.paths.length}`);
+    assert(/двоюродный брат/.test(r.paths[0].title) && /отцовской/.test(r.paths[0].line), `Первая линия: ${r.paths[0].title} ${r.paths[0].line}`);
+    assert(/троюродный брат/.test(r.paths[1].title) && /материнской/.test(r.paths[1].line), `Вторая линия: ${r.paths[1].title} ${r.paths[1].line}`);
+  });
+
+  // Тест 11: коэффициенты Райта — двоюродные r = 1/8, их ребёнок F = 1/16
+  addTest("Коэффициенты родства и инбридинга", () => {
+    _id = 6000;
+    const people = [];
+    const rels = [];
+    const add = (name, sex) => {
+      const p = { id: genId(), name, sex };
+      people.push(p);
+      return p;
+    };
+    const link = (parent, ...children) => children.forEach((c) => rels.push({ parentId: parent.id, childId: c.id }));
+    const gf = add("Дед", "male");
+    const gm = add("Бабушка", "female");
+    const son = add("Сын", "male");
+    const daughter = add("Дочь", "female");
+    const c1 = add("Внук", "male");
+    const c2 = add("Внучка", "female");
+    const child = add("Ребёнок двоюродных", "male");
+    link(gf, son, daughter);
+    link(gm, son, daughter);
+    link(son, c1);
+    link(daughter, c2);
+    link(c1, child);
+    link(c2, child);
+    const eq = (x, y) => Math.abs(x - y) < 1e-9;
+    const sib = relationshipCoefficients(son.id, daughter.id, people, rels);
+    assert(eq(sib.r, 0.5), `Сиблинги: ожидали r = 0.5, получили ${sib.r}`);
+    const cousins = relationshipCoefficients(c1.id, c2.id, people, rels);
+    assert(eq(cousins.r, 0.125), `Двоюродные: ожидали r = 0.125, получили ${cousins.r}`);
+    assert(cousins.cM.expected === 866, `Двоюродные: ожидали ≈866 сМ, получили ${cousins.cM.expected}`);
+    const inbred = relationshipCoefficients(child.id, gf.id, people, rels);
+    assert(eq(inbred.FA, 1 / 16), `Ребёнок двоюродных: ожидали F = 1/16, получили ${inbred.FA}`);
+  });
+
+  // Тест 12: генератор терминов для k, l ≤ 6 — [k, l, пол A, пол B, A для B, B для A]
+  addTest("Генератор терминов по дистанции (k, l ≤ 6)", () => {
+    const table = [
+    [0, 1, "male", "female", "отец", "дочь"],
+    [0, 2, "male", "female", "дед", "внучка"],
+    [0, 3, "male", "female", "прадед", "правнучка"],
+    [0, 4, "male", "female", "прапрадед", "праправнучка"],
+    [0, 5, "male", "female", "прапрапрадед", "прапраправнучка"],
+    [0, 6, "male", "female", "прапрапрапрадед", "прапрапраправнучка"],
+    [1, 1, "male", "female", "брат", "сестра"],
+    [1, 2, "male", "female", "дядя", "племянница"],
+    [1, 3, "male", "female", "двоюродный дед", "внучатая племянница"],
+    [1, 4, "male", "female", "двоюродный прадед", "правнучатая племянница"],
+    [1, 5, "male", "female", "двоюродный прапрадед", "праправнучатая племянница"],
+    [1, 6, "male", "female", "двоюродный прапрапрадед", "прапраправнучатая племянница"],
+    [2, 2, "male", "female", "двоюродный брат", "двоюродная сестра"],
+    [2, 3, "male", "female", "двоюродный дядя", "двоюродная племянница"],
+    [2, 4, "male", "female", "троюродный дед", "двоюродная внучатая племянница"],
+    [2, 5, "male", "female", "троюродный прадед", "двоюродная правнучатая племянница"],
+    [2, 6, "male", "female", "троюродный прапрадед", "двоюродная праправнучатая племянница"],
+    [3, 3, "male", "female", "троюродный брат", "троюродная сестра"],
+    [3, 4, "male", "female", "троюродный дядя", "троюродная племянница"],
+    [3, 5, "male", "female", "четвероюродный дед", "троюродная внучатая племянница"],
+    [3, 6, "male", "female", "четвероюродный прадед", "троюродная правнучатая племянница"],
+    [4, 4, "male", "female", "четвероюродный брат", "четвероюродная сестра"],
+    [4, 5, "male", "female", "четвероюродный дядя", "четвероюродная племянница"],
+    [4, 6, "male", "female", "пятиюродный дед", "четвероюродная внучатая племянница"],
+    [5, 5, "male", "female", "пятиюродный брат", "пятиюродная сестра"],
+    [5, 6, "male", "female", "пятиюродный дядя", "пятиюродная племянница"],
+    [6, 6, "male", "female", "шестиюродный брат", "шестиюродная сестра"],
+    [3, 1, "female", "male", "внучатая племянница", "двоюродный дед"],
+    [4, 2, "female", "female", "двоюродная внучатая племянница", "троюродная бабушка"],
+    [1, 5, "female", "male", "двоюродная прапрабабушка", "праправнучатый племянник"],
+    [0, 4, "female", "male", "прапрабабушка", "праправнук"],
+    [5, 4, "male", "male", "четвероюродный племянник", "четвероюродный дядя"],
+    [0, 1, "unknown", "unknown", "родитель", "ребёнок"],
+    [0, 3, "unknown", "male", "прадед/прабабушка", "правнук"],
+    [1, 1, "unknown", "female", "сиблинг", "сестра"],
+    [2, 2, "unknown", "unknown", "двоюродный брат/сестра", "двоюродный брат/сестра"],
+    [1, 3, "unknown", "unknown", "двоюродный дед/бабушка", "внучатый племянник/племянница"],
+    [3, 4, "male", "unknown", "троюродный дядя", "троюродный племянник/племянница"],
+    ];
+    for (const [k, l, sexA, sexB, title, reverseTitle] of table) {
+      const t = kinshipTerms(k, l, sexA, sexB);
+      assert(t.title === title && t.reverseTitle === reverseTitle, `(${k}, ${l}): ожидали «${title} / ${reverseTitle}», получили «${t.title} / ${t.reverseTitle}»`);
+      // симметрия: B → A даёт те же термины в обратном порядке
+      const back = kinshipTerms(l, k, sexB, sexA);
+      assert(back.title === reverseTitle && back.reverseTitle === title, `(${l}, ${k}): нарушена симметрия`);
+    }
+  });
+
+  // Тест 13: английская терминология через локаль
+  addTest("Локаль en: cousins, great-grand-uncle, in-laws", () => {
+    const en = LOCALES.en.kinship;
+    const table = [
+      [2, 2, "male", "female", "first cousin", "first cousin"],
+      [2, 3, "female", "male", "first cousin once removed", "first cousin once removed"],
+      [3, 5, "male", "male", "second cousin twice removed", "second cousin twice removed"],
+      [1, 4, "male", "female", "great-grand-uncle", "great-grandniece"],
+      [1, 3, "female", "male", "great-aunt", "grandnephew"],
+      [0, 4, "female", "male", "great-great-grandmother", "great-great-grandson"],
+      [0, 5, "male", "unknown", "3rd great-grandfather", "3rd great-grandchild"],
+    ];
+    for (const [k, l, sexA, sexB, title, reverseTitle] of table) {
+      const t = en.terms(k, l, sexA, sexB);
+      assert(t.title === title && t.reverseTitle === reverseTitle, `(${k}, ${l}): ожидали «${title} / ${reverseTitle}», получили «${t.title} / ${t.reverseTitle}»`);
+    }
+    const { people, rels, unions } = buildDemo();
+    const he = people.find((p) => p.name === "Он");
+    const she = people.find((p) => p.name === "Она");
+    const r = relationLabel(he.id, she.id, people, rels, unions, LOCALES.en);
+    assert(r.title === "first cousin once removed", `Демо на английском: ${r.title}`);
+    assert(r.details.some((d) => d.startsWith("Common ancestors")), `Детали не переведены: ${r.details.join("; ")}`);
+    const m = relationLabel(he.id, people.find((p) => p.name === "Его мать").id, people, rels, unions, LOCALES.en);
+    assert(m.title === "son (on the maternal line)", `Линия на английском: ${m.title}`);
+  });
+
+  // Фикстуры GEDCOM: 5.5.1 с заметкой-записью и лишними тегами, 7.0 с SNOTE и разводом
+  const GEDCOM_551 = [
+    "0 HEAD",
+    "1 GEDC",
+    "2 VERS 5.5.1",
+    "2 FORM LINEAGE-LINKED",
+    "1 CHAR UTF-8",
+    "0 @I1@ INDI",
+    "1 NAME Иван Петрович /Смирнов/",
+    "2 GIVN Иван Петрович",
+    "2 SURN Смирнов",
+    "1 SEX M",
+    "1 BIRT",
+    "2 DATE ABT 1901",
+    "2 PLAC Тверь",
+    "1 DEAT",
+    "2 DATE @#DJULIAN@ 12 MAR 1975",
+    "1 OCCU Инженер",
+    "1 FAMS @F1@",
+    "0 @I2@ INDI",
+    "1 NAME Анна /Смирнова/",
+    "1 NAME Анна /Кузнецова/",
+    "2 TYPE birth",
+    "1 SEX F",
+    "1 NOTE @N1@",
+    "1 FAMS @F1@",
+    "0 @I3@ INDI",
+    "1 NAME Пётр /Смирнов/",
+    "1 SEX M",
+    "1 BIRT",
+    "2 DATE 1930",
+    "2 SOUR @S1@",
+    "1 FAMC @F1@",
+    "0 @F1@ FAM",
+    "1 HUSB @I1@",
+    "1 WIFE @I2@",
+    "1 MARR",
+    "2 DATE 1925",
+    "2 PLAC Москва",
+    "1 CHIL @I3@",
+    "0 @N1@ NOTE Урождённая Кузнецова.",
+    "1 CONT Вторая строка заметки, раз",
+    "1 CONC ная по CONC.",
+    "0 @S1@ SOUR",
+    "1 TITL Метрическая книга",
+    "0 TRLR",
+  ].join("\n");
+  const GEDCOM_70 = [
+    "0 HEAD",
+    "1 GEDC",
+    "2 VERS 7.0",
+    "0 @I1@ INDI",
+    "1 NAME John /Smith/",
+    "1 SEX M",
+    "0 @I2@ INDI",
+    "1 NAME Mary /Brown/",
+    "1 SEX F",
+    "1 SNOTE @N1@",
+    "0 @I3@ INDI",
+    "1 NAME Kim /Smith/",
+    "1 SEX X",
+    "1 BIRT",
+    "2 DATE BET 1960 AND 1962",
+    "1 DEAT",
+    "2 DATE",
+    "3 PHRASE Зимой после войны",
+    "0 @I4@ INDI",
+    "1 NAME Lee /Smith/",
+    "1 SEX U",
+    "0 @F1@ FAM",
+    "1 HUSB @I1@",
+    "1 WIFE @I2@",
+    "1 MARR Y",
+    "1 DIV",
+    "2 DATE 1970",
+    "1 CHIL @I3@",
+    "0 @F2@ FAM",
+    "1 HUSB @I1@",
+    "1 CHIL @I4@",
+    "0 @N1@ SNOTE Shared note",
+    "0 TRLR",
+  ].join("\n");
+
+  // Сравнимый «слепок» дерева: без внутренних id, только имена
+  const gedcomSnapshot = ({ people, rels, unions }) => {
+    const name = (id) => people.find((p) => p.id === id).name;
+    return JSON.stringify({
+      people: people.map((p) => [p.name, p.given, p.patronymic, p.surname, p.maidenSurname, p.sex, p.birth, p.death, isDeceased(p), p.note || ""].map(String)).sort(),
+      unions: unions.map((u) => [u.partners.map(name).sort().join("+"), u.kind, u.startYear, u.endYear]).sort(),
+      rels: rels.map((r) => `${name(r.parentId)}→${name(r.childId)}${r.unionId ? "*" : ""}`).sort(),
+    });
+  };
+
+  // Тест 14: импорт GEDCOM 5.5.1 — люди, семьи, заметки и отчёт о несопоставленных тегах
+  addTest("GEDCOM 5.5.1: импорт INDI/FAM и отчёт", () => {
+    const g = parseGedcom(GEDCOM_551);
+    assert(g.version === "5.5.1", `Версия: ${g.version}`);
+    const ivan = g.people.find((p) => p.name === "Иван Петрович Смирнов");
+    const anna = g.people.find((p) => p.name === "Анна Смирнова");
+    const petr = g.people.find((p) => p.name === "Пётр Смирнов");
+    assert(ivan && anna && petr, `Имена: ${g.people.map((p) => p.name).join(", ")}`);
+    assert(ivan.sex === "male" && anna.sex === "female", "Пол не перенесён");
+    assert(ivan.given === "Иван" && ivan.patronymic === "Петрович" && ivan.surname === "Смирнов", "Части имени Ивана");
+    assert(anna.maidenSurname === "Кузнецова", "Девичья фамилия Анны");
+    const b = ivan.birth.date;
+    assert(b.qualifier === "about" && b.date.year === 1901 && ivan.birth.place === "Тверь", "Рождение Ивана");
+    const d = ivan.death.date;
+    assert(d.calendar === "julian" && d.date.day === 12 && d.date.month === 3 && d.date.year === 1975 && ivan.alive === false, "Смерть Ивана");
+    assert(anna.note === "Урождённая Кузнецова.\nВторая строка заметки, разная по CONC.", `Заметка: ${anna.note}`);
+    assert(g.unions.length === 1 && g.unions[0].kind === "marriage" && g.unions[0].startYear === 1925, "Брак F1");
+    assert(g.rels.length === 2 && g.rels.every((r) => r.childId === petr.id && r.unionId === g.unions[0].id), "Связи F1");
+    const paths = g.unmapped.map((u) => u.path).sort().join(", ");
+    assert(paths === "FAM.MARR.PLAC, INDI.BIRT.SOUR, INDI.OCCU, SOUR", `Несопоставленные: ${paths}`);
+    const r = relationLabel(petr.id, anna.id, g.people, g.rels, g.unions);
+    assert(r.title.startsWith("сын"), `Анализ после импорта: ${r.title}`);
+  });
+
+  // Тест 15: круговая проверка — запись и повторное чтение дают то же дерево (5.5.1 и 7.0)
+  addTest("GEDCOM: круговая проверка 5.5.1 и 7.0", () => {
+    for (const [fixture, version] of [[GEDCOM_551, "5.5.1"], [GEDCOM_70, "7.0"]]) {
+      const first = parseGedcom(fixture);
+      for (const outVersion of ["5.5.1", "7.0"]) {
+        const text = writeGedcom(first, outVersion);
+        const second = parseGedcom(text);
+        assert(second.version === outVersion, `${version}→${outVersion}: версия ${second.version}`);
+        assert(second.unmapped.length === 0, `${version}→${outVersion}: лишние теги ${second.unmapped.map((u) => u.path).join(", ")}`);
+        const a = gedcomSnapshot(first);
+        const b = gedcomSnapshot(second);
+        assert(a === b, `${version}→${outVersion}: дерево изменилось\n${a}\n${b}`);
+      }
+    }
+    const g7 = parseGedcom(GEDCOM_70);
+    assert(g7.unions.length === 1 && g7.unions[0].kind === "divorced" && g7.unions[0].endYear === 1970, "Развод F1");
+    assert(g7.rels.filter((r) => !r.unionId).length === 1, "F2 без пары — связь без союза");
+    assert(g7.people.find((p) => p.name === "Mary Brown").note === "Shared note", "SNOTE");
+    const kim = g7.people.find((p) => p.name === "Kim Smith");
+    assert(kim.birth.date.qualifier === "between" && kim.birth.date.date2.year === 1962, "BET … AND …");
+    assert(kim.death.date.phrase === "Зимой после войны", "Дата-фраза");
+    // демо-дерево тоже переживает запись и чтение
+    const demo = buildDemo();
+    assert(gedcomSnapshot(parseGedcom(writeGedcom(demo))) === gedcomSnapshot(demo), "Демо не пережило GEDCOM");
+  });
+
+  // Тест 16: даты, отчества и перенос старых файлов на новую схему
+  addTest("Карточка человека: даты, отчества, миграция схемы", () => {
+    const en = LOCALES.en;
+    assert(parseDatePart("12.03.1895").day === 12 && parseDatePart("03.1895").month === 3 && parseDatePart("1895").year === 1895, "Разбор дат");
+    assert(parseDatePart("31.13.1900") === null && parseDatePart("весна") === null, "Неверные даты");
+    const julian = parseGedcomDate("JULIAN 1 JAN 1700");
+    assert(julian.calendar === "julian" && formatFuzzyDate(julian) === "01.01.1700 ст. ст.", `Юлианская дата: ${formatFuzzyDate(julian)}`);
+    assert(gedcomDate(julian, false) === "@#DJULIAN@ 1 JAN 1700" && gedcomDate(julian, true) === "JULIAN 1 JAN 1700", "Запись юлианской даты");
+    assert(formatFuzzyDate(parseGedcomDate("BEF 1900"), en) === "bef. 1900", "Дата на английском");
+    assert(formatFuzzyDate(parseGedcomDate("FROM 1900 TO 1905")) === "1900–1905", "FROM … TO …");
+    const names = [
+      ["Иванович", "Иван"],
+      ["Сергеевна", "Сергей"],
+      ["Игоревич", "Игорь"],
+      ["Васильевна", "Василий"],
+      ["Дмитриевич", "Дмитрий"],
+      ["Николаевна", "Николай"],
+      ["Ильинична", "Илья"],
+      ["Никитич", "Никита"],
+      ["Петрович", "Пётр"],
+    ];
+    for (const [patronymic, given] of names) {
+      assert(fatherNameFromPatronymic(patronymic) === given, `${patronymic} → ${fatherNameFromPatronymic(patronymic)}`);
+    }
+    _id = 16000;
+    const people = [
+      { id: "f", name: "Отец", sex: "male" },
+      { id: "c", name: "Анна Сергеевна", given: "Анна", patronymic: "Сергеевна", sex: "female" },
+    ];
+    const rels = [{ parentId: "f", childId: "c" }];
+    const hint = relationLabel("c", "f", people, rels).hints;
+    assert(hint.length === 1 && hint[0].includes("Сергей"), `Подсказка имени отца: ${hint.join("; ")}`);
+    people[0].given = "Пётр";
+    assert(relationLabel("c", "f", people, rels).hints[0]?.includes("Пётр"), "Расхождение отчества не замечено");
+    people[0].given = "Сергей";
+    assert(relationLabel("c", "f", people, rels).hints.length === 0, "Лишняя подсказка при совпадении");
+    const old = normalizeTree({ people: [{ id: "16050", name: "Старый", sex: "male", birthYear: 1900 }], relations: [] });
+    assert(old.people[0].birth.date.date.year === 1900 && !("birthYear" in old.people[0]), "Миграция birthYear");
+    assert(Number(genId()) > 16050, "Счётчик id не сдвинут за загруженные id");
+    normalizeTree({ people: [], relations: [], unions: [{ id: "u26000", partners: ["a", "b"], kind: "marriage" }] });
+    assert(Number(genId()) > 26000, "Счётчик id не сдвинут за id загруженных пар");
+  });
+
+  // Тест 17: слияние дубликатов перенаправляет связи и пары
+  addTest("Слияние дубликатов", () => {
+    const people = [
+      { id: "f", name: "Отец", sex: "male" },
+      { id: "m", name: "Мать", sex: "female" },
+      { id: "a", name: "Иван", sex: "male", note: "из переписи" },
+      { id: "b", name: "Иван (дубль)", sex: "unknown", patronymic: "Петрович", note: "из метрики" },
+      { id: "w", name: "Жена", sex: "female" },
+      { id: "k", name: "Сын", sex: "male" },
+    ];
+    const unions = [
+      { id: "u1", partners: ["f", "m"], kind: "marriage" },
+      { id: "u2", partners: ["a", "w"], kind: "marriage" },
+      { id: "u3", partners: ["w", "b"], kind: "marriage" },
+    ];
+    const rels = [
+      { parentId: "f", childId: "a", unionId: "u1" },
+      { parentId: "m", childId: "a", unionId: "u1" },
+      { parentId: "f", childId: "b" },
+      { parentId: "b", childId: "k", unionId: "u3" },
+      { parentId: "w", childId: "k", unionId: "u3" },
+      { parentId: "a", childId: "b" },
+    ];
+    const tree = mergePeople("a", "b", { people, rels, unions });
+    const ivan = tree.people.find((p) => p.id === "a");
+    assert(tree.people.length === 5 && !tree.people.some((p) => p.id === "b"), "Дубликат не удалён");
+    assert(ivan.name === "Иван" && ivan.sex === "male" && ivan.patronymic === "Петрович", "Поля не объединены");
+    assert(ivan.note === "из переписи\nиз метрики", `Заметки: ${ivan.note}`);
+    assert(tree.unions.length === 2 && tree.unions.some((u) => u.id === "u2"), "Совпавшие пары не склеены");
+    const key = (r) => `${r.parentId}>${r.childId}:${r.unionId || ""}`;
+    const got = tree.rels.map(key).sort().join(" ");
+    assert(got === "a>k:u2 f>a:u1 m>a:u1 w>k:u2", `Связи после слияния: ${got}`);
+    const r = relationLabel("k", "f", tree.people, tree.rels, tree.unions);
+    assert(r.title.startsWith("внук"), `Анализ после слияния: ${r.title}`);
+  });
+
+  // Тест 18: проверка связей, протянутых на схеме
+  addTest("Связь «родитель → ребёнок»: самосвязь, дубль, цикл, третий родитель", () => {
+    const people = ["g", "p", "c", "x", "y"].map((id) => ({ id, name: id, sex: "unknown" }));
+    const rels = [
+      { parentId: "g", childId: "p" },
+      { parentId: "p", childId: "c" },
+      { parentId: "x", childId: "c" },
+    ];
+    assert(parentLinkError("c", "c", people, rels) === "link.errSelf", "Самосвязь");
+    assert(parentLinkError("p", "c", people, rels) === "link.errDuplicate", "Дубль");
+    assert(parentLinkError("c", "g", people, rels) === "link.errCycle", "Цикл через поколение");
+    assert(parentLinkError("y", "c", people, rels) === "link.errTooMany", "Третий родитель");
+    assert(parentLinkError("y", "p", people, rels) === null, "Допустимая связь отклонена");
+  });
+
+  // Тест 19: проверка целостности — циклы, лишние родители, невозможные даты
+  addTest("Проверка целостности", () => {
+    const born = (year, qualifier = "exact") => ({ date: { qualifier, calendar: "gregorian", date: { year } } });
+    const people = [
+      { id: "a", name: "А", sex: "male", birth: born(1900) },
+      { id: "b", name: "Б", sex: "male", birth: born(1930), death: born(1960) },
+      { id: "m", name: "М", sex: "female", birth: born(1935), death: born(1960) },
+      { id: "c", name: "В", sex: "female", birth: born(1962) },
+      { id: "x", name: "Х", sex: "male" },
+      { id: "y", name: "Y", sex: "male" },
+    ];
+    const codes = (rels) => validateTree({ people, rels }).map((i) => `${i.severity}:${i.code}`).sort().join(" ");
+    assert(codes([{ parentId: "a", childId: "b" }]) === "", `Ложная тревога: ${codes([{ parentId: "a", childId: "b" }])}`);
+    assert(codes([{ parentId: "x", childId: "y" }, { parentId: "y", childId: "x" }]) === "error:cycle", "Цикл из двух");
+    const got = codes([
+      { parentId: "b", childId: "c" },
+      { parentId: "m", childId: "c" },
+      { parentId: "x", childId: "c" },
+    ]);
+    assert(got === "error:bornAfterDeath error:bornAfterDeath error:tooManyParents error:twoFathers", `Три родителя и смерть: ${got}`);
+    assert(codes([{ parentId: "c", childId: "a" }]) === "error:parentYounger", "Родитель младше ребёнка");
+    // «около 1900» и «1905» пересекаются — не ошибка, но слишком юный родитель
+    people[4].birth = born(1898, "about");
+    assert(codes([{ parentId: "x", childId: "a" }]) === "warning:parentTooYoung", `Нечёткие даты: ${codes([{ parentId: "x", childId: "a" }])}`);
+    // отец мог умереть до рождения ребёнка в пределах беременности
+    people[1].death = { date: { qualifier: "exact", calendar: "gregorian", date: { year: 1961, month: 6 } } };
+    people[3].birth = { date: { qualifier: "exact", calendar: "gregorian", date: { year: 1962, month: 1 } } };
+    assert(codes([{ parentId: "b", childId: "c" }]) === "", "Посмертное рождение у отца");
+    const before = validateTree({ people, rels: [] });
+    const after = validateTree({ people, rels: [{ parentId: "c", childId: "a" }] });
+    assert(newErrors(before, after).length === 1, "Новые ошибки правки");
+    // вторая оборванная ссылка от того же человека — отдельная, новая ошибка
+    const oneDangling = validateTree({ people, rels: [{ parentId: "a", childId: "gone1" }] });
+    const twoDangling = validateTree({ people, rels: [{ parentId: "a", childId: "gone1" }, { parentId: "a", childId: "gone2" }] });
+    assert(new Set(twoDangling.map(issueKey)).size === 2 && newErrors(oneDangling, twoDangling).length === 1, "Оборванные ссылки различаются");
+  });
+
+  // Тест 20: команды истории — применение и отмена возвращают дерево в точности
+  addTest("История: разница состояний, отмена и повтор", () => {
+    const a = {
+      people: [{ id: "1", name: "А", sex: "male" }, { id: "2", name: "Б", sex: "female" }, { id: "3", name: "В", sex: "unknown" }],
+      rels: [{ parentId: "1", childId: "3" }, { parentId: "2", childId: "3" }],
+      unions: [{ id: "u1", partners: ["1", "2"], kind: "marriage" }],
+      positions: {},
+    };
+    const b = {
+      people: [{ id: "1", name: "А", sex: "male" }, { id: "4", name: "Г", sex: "male" }, { id: "3", name: "В.", sex: "female" }],
+      rels: [{ parentId: "1", childId: "3" }, { parentId: "4", childId: "3" }],
+      unions: [],
+      positions: {},
+    };
+    const ops = diffCollections(a, b);
+    const forward = applyHistoryOps(a, ops);
+    const back = applyHistoryOps(b, ops, true);
+    const json = (x) => JSON.stringify([x.people, x.rels, x.unions]);
+    assert(json(forward) === json(b), `Вперёд: ${json(forward)}`);
+    assert(json(back) === json(a), `Назад: ${json(back)}`);
+    assert(diffCollections(a, { ...a, people: a.people.map((p) => ({ ...p })) }).length === 0, "Копии без изменений — не правка");
+    // серия правок одного поля склеивается; возврат к исходному значению даёт пустую команду
+    const typed = { ...a, people: [{ ...a.people[0], name: "Ан" }, ...a.people.slice(1)] };
+    const typed2 = { ...a, people: [{ ...a.people[0], name: "Анна" }, ...a.people.slice(1)] };
+    const merged = mergeHistoryOps(diffCollections(a, typed), diffCollections(typed, typed2));
+    assert(merged.length === 1 && merged[0].before.name === "А" && merged[0].after.name === "Анна", "Склейка правок");
+    assert(mergeHistoryOps(diffCollections(a, typed), diffCollections(typed, a)).length === 0, "Правка и её отмена");
+    const moved = applyHistoryOps(a, [{ coll: "positions", key: "1", before: { x: 0, y: 0 }, after: { x: 50, y: 10 } }]);
+    assert(moved.positions["1"].x === 50 && moved.people === a.people, "Перемещение узла");
+    assert(applyHistoryOps(moved, [{ coll: "positions", key: "1", before: { x: 0, y: 0 }, after: { x: 50, y: 10 } }], true).positions["1"].x === 0, "Отмена перемещения");
+  });
+
+  // Тест 21: ручные позиции сохраняются, новые узлы встают рядом с родственниками
+  addTest("Раскладка: новые узлы и закреплённые позиции", () => {
+    const tree = {
+      people: ["p", "c", "d", "s"].map((id) => ({ id, name: id, sex: "unknown" })),
+      rels: [{ parentId: "p", childId: "c" }, { parentId: "p", childId: "d" }],
+      unions: [{ id: "u1", partners: ["s", "c"], kind: "marriage" }],
+    };
+    const all = placeNewNodes(tree, {});
+    assert(Object.keys(all).length === 4, "Пустая схема раскладывается целиком");
+    // родителя сдвинули вручную — ребёнок появляется под ним, а не на старом месте
+    const positions = { p: { x: 1000, y: 500 }, c: { x: 1000, y: 500 + nodeHeight + RANK_GAP }, s: { x: 0, y: 0 } };
+    const placed = placeNewNodes(tree, positions);
+    assert(Object.keys(placed).join() === "d", `Размещён только новый узел: ${Object.keys(placed)}`);
+    assert(placed.d.y === positions.c.y && Math.abs(placed.d.x - 1000) >= nodeWidth, `Рядом с братом, без наложения: ${JSON.stringify(placed.d)}`);
+    const couple = { people: [{ id: "a" }, { id: "b" }], rels: [], unions: [{ id: "u", partners: ["a", "b"] }] };
+    const mate = placeNewNodes(couple, { a: { x: 10, y: 20 } });
+    assert(mate.b.x === 10 + nodeWidth + COUPLE_GAP && mate.b.y === 20, "Партнёр справа");
+    assert(placeNewNodes(couple, { a: { x: 10, y: 20 } }, "LR").b.y === 20 + nodeHeight + COUPLE_GAP, "Партнёр ниже при раскладке слева направо");
+    const relaid = relayoutPositions(tree, { ...positions, p: { x: 1000, y: 500, pinned: true } });
+    assert(relaid.p.x === 1000 && relaid.p.pinned && relaid.c.x !== 1000, "Перераскладка не трогает закреплённые");
+    // позиции в истории: удаление и возврат
+    const doc = { people: [], rels: [], unions: [], positions };
+    const ops = diffCollections(doc, { ...doc, positions: { p: positions.p } });
+    assert(ops.length === 2 && ops.every((op) => op.after === null), "Снятые позиции");
+    assert(Object.keys(applyHistoryOps({ ...doc, positions: { p: positions.p } }, ops, true).positions).length === 3, "Возврат позиций");
+    assert(normalizeTree({ people: [], relations: [], positions }).positions === positions, "Позиции в JSON");
+  });
+
+  // Тест 22: раскладка семейного дерева — поколения по рядам, пары рядом, дети по старшинству
+  addTest("Раскладка семейного дерева", () => {
+    const born = (year) => ({ date: { qualifier: "exact", calendar: "gregorian", date: { year } } });
+    const person = (id, year) => ({ id, name: id, sex: "unknown", ...(year ? { birth: born(year) } : {}) });
+    const tree = {
+      // младший сын записан раньше старшего
+      people: [person("g1"), person("g2"), person("b", 1955), person("a", 1950), person("w"), person("k"), person("v"), person("o")],
+      rels: [
+        { parentId: "g1", childId: "a" },
+        { parentId: "g2", childId: "a" },
+        { parentId: "g1", childId: "b" },
+        { parentId: "g2", childId: "b" },
+        { parentId: "a", childId: "k" },
+        { parentId: "w", childId: "k" },
+        { parentId: "o", childId: "v" },
+      ],
+      unions: [
+        { id: "u1", partners: ["g1", "g2"], kind: "marriage" },
+        { id: "u2", partners: ["a", "w"], kind: "marriage" },
+        { id: "u3", partners: ["k", "v"], kind: "marriage" },
+      ],
+    };
+    const pos = familyLayout(tree);
+    // o — корень короткой линии, но стоит в одном ряду с ровесниками, а не наверху
+    assert(["a", "b", "w", "o"].every((id) => pos[id].y === pos.a.y) && pos.k.y === pos.v.y, `Поколения выровнены: ${JSON.stringify(pos)}`);
+    assert(pos.g1.y < pos.a.y && pos.a.y < pos.k.y, "Дети ниже родителей");
+    assert(Math.abs(pos.g1.x - pos.g2.x) === nodeWidth + COUPLE_GAP && Math.abs(pos.a.x - pos.w.x) === nodeWidth + COUPLE_GAP, "Пары рядом");
+    assert(pos.a.x < pos.b.x, "Старший слева");
+    const gMid = (pos.g1.x + pos.g2.x) / 2;
+    assert(Math.min(pos.a.x, pos.b.x) <= gMid && gMid <= Math.max(pos.a.x, pos.b.x), "Дети под парой");
+    const xs = Object.values(pos).filter((p) => p.y === pos.a.y).map((p) => p.x).sort((x, y) => x - y);
+    assert(xs.every((x, i) => !i || x - xs[i - 1] >= nodeWidth + NODE_GAP), "Без наложений");
+    const lr = familyLayout(tree, "LR");
+    assert(lr.a.x === lr.w.x && lr.g1.x < lr.a.x, "Слева направо — поколения по столбцам");
+    const cyc = generations({ people: [person("x"), person("y")], rels: [{ parentId: "x", childId: "y" }, { parentId: "y", childId: "x" }] });
+    assert(Number.isFinite(cyc.x), "Цикл не зацикливает раскладку");
+  });
+
+  // Тест 23: схемы вокруг человека — нумерация Соса и д'Абовиля, глубина по getAncestors
+  addTest("Схемы: предки, потомки, песочные часы, веер", () => {
+    const person = (id, sex, year) => ({ id, name: id, sex, ...(year ? { birth: { date: { qualifier: "exact", calendar: "gregorian", date: { year } } } } : {}) });
+    const people = [person("me", "female"), person("dad", "male"), person("mom", "female"), person("gf", "male"), person("gm", "unknown"), person("k2", "male", 2001), person("k1", "female", 1999), person("gk", "male")];
+    const rels = [
+      // мать записана первой — номер всё равно по полу
+      { parentId: "mom", childId: "me" },
+      { parentId: "dad", childId: "me" },
+      { parentId: "gm", childId: "dad" },
+      { parentId: "gf", childId: "dad" },
+      { parentId: "me", childId: "k2" },
+      { parentId: "me", childId: "k1" },
+      { parentId: "k2", childId: "gk" },
+    ];
+    const idx = buildIndexes(people, rels);
+    assert(chartDepth("me", idx, true) === 2 && chartDepth("me", idx, false) === 2, "Глубина вверх и вниз");
+    const sosa = Object.fromEntries(flattenChart(pedigreeTree("me", idx, 5)).map((n) => [n.id, n.number]));
+    assert(sosa.me === "1" && sosa.dad === "2" && sosa.mom === "3" && sosa.gf === "4" && sosa.gm === "5", `Соса — Страдониц: ${JSON.stringify(sosa)}`);
+    assert(flattenChart(pedigreeTree("me", idx, 1)).length === 3, "Ограничение поколений");
+    const dab = Object.fromEntries(flattenChart(descendantTree("me", idx, 5)).map((n) => [n.id, n.number]));
+    assert(dab.me === "1" && dab.k1 === "1.1" && dab.k2 === "1.2" && dab.gk === "1.2.1", `д'Абовиль по старшинству: ${JSON.stringify(dab)}`);
+    const hg = buildChart("hourglass", "me", idx, 2);
+    const at = (id) => hg.nodes.find((n) => n.id === id);
+    assert(hg.nodes.length === 8 && hg.nodes.filter((n) => n.id === "me").length === 1, "Корень в песочных часах один");
+    assert(at("gf").y < at("dad").y && at("dad").y < at("me").y && at("me").y < at("k1").y, "Предки выше, потомки ниже");
+    assert(hg.links.length === 7 && hg.links.every((l) => hg.nodes.some((n) => n.key === l.source) && hg.nodes.some((n) => n.key === l.target)), "Линии песочных часов");
+    const ped = buildChart("pedigree", "me", idx, 2);
+    assert(ped.direction === "LR" && ped.nodes.find((n) => n.id === "dad").y < ped.nodes.find((n) => n.id === "mom").y, "Отец над матерью");
+    const fan = fanSectors("me", idx, 2);
+    const gfSector = fan.find((s) => s.id === "gf");
+    assert(fan.length === 4 && gfSector.paternal && Math.abs(gfSector.a1 - gfSector.a0 - Math.PI / 4) < 1e-9, "Сектора веера");
+  });
+
+  // Тест 24: подсветка линии родства — люди, связи и общие предки
+  addTest("Линия родства на схеме", () => {
+    const { people, rels, unions } = buildDemo();
+    const id = (name) => people.find((p) => p.name === name).id;
+    const r = relationLabel(id("Он"), id("Она"), people, rels, unions);
+    assert(r.paths.length === 1, `Одна линия: ${r.paths.length}`);
+    const h = relationPathHighlight(r.paths[0]);
+    const names = (set) => [...set].map((x) => people.find((p) => p.id === x).name).sort().join(", ");
+    assert(names(h.ancestors) === "Общая прабабушка, Общий прадед", `Общие предки: ${names(h.ancestors)}`);
+    assert(h.ids.size === 7 && !h.ids.has(id("Её бабушка (по материнской линии)")), `На пути: ${names(h.ids)}`);
+    const link = (a, b) => h.links.has(`${id(a)}>${id(b)}`);
+    assert(link("Его мать", "Он") && link("Общий прадед", "Его мать") && link("Общая прабабушка", "Её дед (по материнской линии)"), "Связи пути");
+    assert(!link("Её бабушка (по материнской линии)", "Её мать") && h.links.size === 7, `Лишних связей нет: ${h.links.size}`);
+    // прямая линия: вершина — сам предок, его супруг не подсвечивается
+    const direct = relationLabel(id("Она"), id("Её дед (по материнской линии)"), people, rels, unions);
+    const hd = relationPathHighlight(direct.paths[0]);
+    assert(names(hd.ancestors) === "Её дед (по материнской линии)" && hd.ids.size === 3, `Прямая линия: ${names(hd.ids)}`);
+  });
+
+  // Тест 25: нечёткий поиск людей — ё/е, буквы по порядку, тёзки различаются родителями и годами
+  addTest("Поиск людей", () => {
+    assert(fuzzyScore("ивпет", "Иван Петров") === 1 && fuzzyScore("петров", "Иван Петров") === 3, "Подпоследовательность и начало слова");
+    assert(fuzzyScore("семен", "Семён") === 3 && fuzzyScore("xyz", "Семён") === -1, "ё = е");
+    const born = (year) => ({ date: { qualifier: "exact", calendar: "gregorian", date: { year } } });
+    const people = [
+      { id: "1", name: "Иван Петров", sex: "male", birth: born(1900) },
+      { id: "2", name: "Иван Петров", sex: "male", birth: born(1930) },
+      { id: "3", name: "Мария Иванова", sex: "female" },
+      { id: "4", name: "Пётр", sex: "male" },
+    ];
+    const entries = personSearchEntries(people, [{ parentId: "1", childId: "2" }, { parentId: "4", childId: "3" }]);
+    const e2 = entries.find((e) => e.id === "2");
+    assert(e2.parents === "Иван Петров" && e2.span.includes("1930") && e2.text !== entries[0].text, "Тёзки различаются");
+    assert(searchPeople(entries, "петров 1930")[0].id === "2", "Год уточняет тёзку");
+    const byPetr = searchPeople(entries, "петр").map((e) => e.id);
+    assert(byPetr.length === 4 && byPetr.at(-1) === "3", `Имя важнее родителя: ${byPetr}`);
+    assert(searchPeople(entries, "").length === 4 && !searchPeople(entries, "зз").length, "Пустой запрос и промах");
+  });
+
+  // Тест 26: экспорт схемы — самостоятельный SVG и нарезка плаката на листы с перекрытием
+  addTest("Экспорт схемы и плакат", () => {
+    const person = (id, name, x, y, direction = "TB") => ({ id, type: "person", position: { x, y }, data: { id, name, sex: "female", direction } });
+    const nodes = [person("m", "Мать <Анна> & Co", 0, 0), person("d", "Дочь", 0, 200), person("s", "Сын", 300, 200)];
+    const arrow = { type: "arrowclosed", color: "#334155" };
+    const edges = ["d", "s"].map((c) => ({ id: c, source: "m", target: c, sourceHandle: "s", targetHandle: "t", type: "smoothstep", style: { stroke: "#334155" }, markerEnd: arrow }));
+    const img = diagramSvg(nodes, edges);
+    assert(img.width === 300 + nodeWidth + EXPORT_PADDING * 2 && img.height === 200 + nodeHeight + EXPORT_PADDING * 2, `Размер: ${img.width}×${img.height}`);
+    assert(img.svg.startsWith("<svg xmlns=") && img.svg.includes(`viewBox="${-EXPORT_PADDING} ${-EXPORT_PADDING} `), "Поля вокруг схемы");
+    assert(img.svg.includes("Мать &lt;Анна&gt; &amp; Co") && !img.svg.includes("<Анна>"), "Имена экранируются");
+    assert(img.svg.match(/<marker /g).length === 1 && img.svg.match(/marker-end=/g).length === 2, "Одна стрелка на цвет");
+    assert(img.svg.includes(`M ${nodeWidth / 2} ${nodeHeight} V`), "Ребро от нижней площадки");
+    assert(handlePoint(person("x", "", 0, 0, "LR"), "s").join() === `${nodeWidth},${nodeHeight / 2}`, "LR: площадка справа");
+    const view = diagramSvg(nodes, edges, LOCALES.ru, { x: 10, y: 20, width: 100.4, height: 50 });
+    assert(view.width === 101 && view.svg.includes('viewBox="10 20 101 50"'), "Видимая часть");
+    // плакат: широкая схема ложится на альбомные листы, листы перекрываются и покрывают всю схему
+    const poster = posterTiles(4000, 600, "A4", 1);
+    const ov = POSTER_OVERLAP_MM / MM_PER_PX;
+    assert(poster.landscape && poster.rows === 1 && poster.tiles.length === poster.cols, `Альбомная: ${poster.cols}×${poster.rows}`);
+    assert(Math.abs(poster.tiles[1].x - (poster.tiles[0].width - ov)) < 1e-9, "Перекрытие листов");
+    const last = poster.tiles.at(-1);
+    assert(last.x + last.width >= 4000 && poster.tiles.at(-2).x + poster.tiles.at(-2).width < 4000, "Листов ровно столько, сколько нужно");
+    assert(posterTiles(4000, 600, "A3", 1).tiles.length < poster.tiles.length && posterTiles(4000, 600, "A4", 0.5).tiles.length < poster.tiles.length, "A3 и мелкий масштаб — меньше листов");
+    const html = posterHtml(img, poster, { title: "Семья", analysis: ["A → B: мать"], withPath: true, L: LOCALES.ru });
+    assert(html.match(/class="page"/g).length === poster.tiles.length + 1 && html.includes("A → B: мать") && html.includes("@page{size:297mm 210mm"), "Обложка и листы");
+    assert(html.includes("лист 1–2: ряд 1 из 1, столбец 2 из " + poster.cols), "Подписи листов");
+  });
+
+  // Тест 27: разбор фраз — произвольные цепочки терминов, склейка двух цепочек, ошибки с позицией
+  addTest("Разбор фраз о родстве", () => {
+    const parse = (text) => {
+      const g = parseAdvancedKinship(text);
+      const id = (name) => g.people.find((p) => p.name === name)?.id;
+      return { ...g, id, rel: (a, b) => relationLabel(a, b, g.people, g.rels, g.unions).title };
+    };
+    const demo = parse("Его мать — младшая сестра её деда по материнской линии");
+    assert(demo.rel(demo.focusA, demo.focusB) === "двоюродный дядя" && demo.rel(demo.focusB, demo.focusA) === "двоюродная племянница", "Фраза демо");
+    const mother = demo.people.find((p) => p.id === demo.id("Его мать"));
+    assert(mother.note === "младшая сестра её деда (по материнской линии)" && demo.id("Её дед (по материнской линии)"), `Склейка: ${mother.note}`);
+    assert(!demo.id("Младшая сестра её деда (по материнской линии)") && demo.people.length === 7, `Людей: ${demo.people.length}`);
+
+    const chain = parse("дочь двоюродного брата моей бабушки по отцу");
+    const end = chain.id("Дочь двоюродного брата моей бабушки (по отцовской линии)");
+    assert(end && chain.focusB === end && chain.people.find((p) => p.id === chain.focusA).name === "Я", "Цепочка от «моей»");
+    assert(chain.rel(end, chain.focusA) === "троюродная тётя", `Дочь кузена бабушки: ${chain.rel(end, chain.focusA)}`);
+    assert(chain.id("Мой отец") && chain.id("Дядя/тётя моей бабушки (по отцовской линии)"), "Промежуточные люди названы");
+
+    const inLaw = parse("отец матери её мужа");
+    const husband = inLaw.id("Её муж");
+    assert(husband && inLaw.unions.some((u) => u.partners.includes(husband) && u.partners.includes(inLaw.focusA)), "Муж — пара");
+    assert(inLaw.rels.some((r) => r.parentId === inLaw.id("Отец матери её мужа") && r.childId === inLaw.id("Мать её мужа")), "Вложенные родительные");
+    const deep = parse("её двоюродный прадед");
+    assert(deep.rel(deep.people.at(-1).id, deep.focusA) === "двоюродный прадед", "Пра- и степень");
+    const grand = parse("моя двоюродная внучатая племянница");
+    assert(grand.rel(grand.focusB, grand.focusA) === "двоюродная внучатая племянница", "Внучатая племянница");
+    const shared = parse("его мать — её мать");
+    assert(shared.rel(shared.focusA, shared.focusB) === "брат", "Общая мать");
+
+    const fail = (text) => {
+      try {
+        parseAdvancedKinship(text);
+      } catch (e) {
+        return e;
+      }
+      return null;
+    };
+    const unknown = fail("дочь кузины моей бабушки");
+    assert(unknown && unknown.start === 5 && unknown.end === 11 && unknown.message.includes("«кузины»") && unknown.message.includes("позиция 6"), `Непонятное слово: ${unknown?.message}`);
+    const ownerless = fail("мать отца");
+    assert(ownerless && ownerless.start === 9 && ownerless.message.includes("«мой»"), "Нет владельца");
+    assert(fail("его двоюродный сын")?.start === 15 && fail("его мать — её отец") && fail("его мать её мать его мать")?.start === 17, "Степень не к месту, пол, лишнее");
+  });
+
+  // Тест 28: сценарий из нескольких предложений — имена в разных падежах, общий граф, вопрос
+  addTest("Сценарий с именами и вопросом", () => {
+    const key = (w) => kinNameKey([w]);
+    assert(key("Пётр") === key("Петра") && key("Павел") === key("Павлу") && key("Мария") === key("Марии") && key("Сергей") === key("Сергея"), "Падежи имени");
+    assert(key("Анна") !== key("Анатолий") && key("Марк") !== key("Мария"), "Разные имена");
+    assert(kinNominative("Марии") === "Мария" && kinNominative("Петра") === "Петр" && kinNominative("Николая") === "Николай" && kinNominative("Ольги") === "Ольга", "Именительный по родительному");
+    const g = parseAdvancedKinship("Анна — дочь Петра. Пётр — брат Марии.\nКто Анна для сына Марии?");
+    const person = (name) => g.people.find((p) => p.name === name);
+    assert(person("Пётр") && !person("Петр") && person("Мария") && g.people.filter((p) => /Мари/.test(p.name)).length === 4, `Имена общие: ${g.people.map((p) => p.name)}`);
+    assert(person("Анна").sex === "female" && person("Пётр").sex === "male" && !person("Анна").note, "Пол из утверждений");
+    assert(g.focusA === person("Анна").id && g.focusB === person("Сын Марии").id, "Вопрос задаёт A и B");
+    assert(relationLabel(g.focusA, g.focusB, g.people, g.rels, g.unions).title === "двоюродная сестра", "Анна — двоюродная сестра сына Марии");
+    // вопрос не плодит людей: сын Марии уже известен
+    const again = parseAdvancedKinship("Олег — сын Марии. Кто Мария для сына Марии?");
+    assert(again.people.length === 2 && again.focusB === again.people.find((p) => p.name === "Олег").id, "Вопрос переиспользует людей");
+    const noQuestion = parseAdvancedKinship("Анна — дочь Петра. Пётр — брат Марии");
+    assert(noQuestion.people.find((p) => p.id === noQuestion.focusA).name === "Анна", "Без вопроса — первое утверждение");
+    let err = null;
+    try {
+      parseAdvancedKinship("Анна — дочь Петра. Кто Анна?");
+    } catch (e) {
+      err = e;
+    }
+    assert(err && err.start === 23, `Вопрос без второго: ${err?.message}`);
+    // предложение из одних связок — ошибка разбора с позицией, а не падение
+    const failure = (text) => {
+      try {
+        parseAdvancedKinship(text);
+      } catch (e) {
+        return e;
+      }
+      return null;
+    };
+    const empty = failure("это");
+    assert(empty && empty.start === 0 && empty.end === 3, `Только связка: ${empty?.message}`);
+    const tail = failure("Анна — дочь Петра. это.");
+    assert(tail && tail.start === 19 && tail.end === 22, `Связка вторым предложением: ${tail?.message}`);
+    // человек не может быть своим родителем или предком
+    const self = failure("Пётр — отец Петра");
+    assert(self && self.start === 7, `Сам себе отец: ${self?.message}`);
+    const cycle = failure("Мария — мать Анны. Анна — мать Марии.");
+    assert(cycle && cycle.start === 26, `Цикл: ${cycle?.message}`);
+  });
+
+  // Тест 29: добавление сценария в дерево — совпадение по имени, доказуемое склеивание родителей, тёзки, выбор
+  addTest("Добавление разобранного в текущее дерево", () => {
+    const tree = {
+      people: [
+        { id: "m1", name: "Иван", sex: "male" },
+        { id: "m2", name: "Ольга", sex: "female" },
+        { id: "m3", name: "Пётр", sex: "male" },
+        { id: "m4", name: "Анна", sex: "female" },
+        { id: "m5", name: "Анна", sex: "female" },
+      ],
+      rels: [
+        { parentId: "m1", childId: "m3", unionId: "mu" },
+        { parentId: "m2", childId: "m3", unionId: "mu" },
+      ],
+      unions: [{ id: "mu", partners: ["m1", "m2"], kind: "marriage" }],
+    };
+    const parsed = parseAdvancedKinship("Пётр — брат Марии. Анна — дочь Петра.");
+    const idOf = (name) => parsed.people.find((p) => p.name === name).id;
+    const out = mergeParsedIntoTree(tree, parsed);
+    const { doc } = out;
+    const maria = doc.people.find((p) => p.name === "Мария");
+    assert(out.matches[idOf("Пётр")]?.id === "m3" && out.matches[idOf("Пётр")].reason === "name", "Пётр найден по имени");
+    assert(out.matches[idOf("Отец Марии")]?.id === "m1" && out.matches[idOf("Мать Марии")]?.reason === "parent", "Родители Марии — родители Петра");
+    assert(out.candidates[idOf("Анна")]?.length === 2 && !out.matches[idOf("Анна")], "Тёзки не сопоставляются сами");
+    assert(doc.people.length === 7 && doc.unions.length === 1, `Лишних людей и пар нет: ${doc.people.map((p) => p.name)}`);
+    assert(doc.rels.filter((r) => r.childId === maria.id).every((r) => ["m1", "m2"].includes(r.parentId) && r.unionId === "mu"), "Мария — дочь Ивана и Ольги");
+    assert(out.focusA === "m3" && !newErrors(validateTree(tree), validateTree(doc)).length, "Фокус на существующем, ошибок нет");
+    const picked = mergeParsedIntoTree(tree, parsed, { [idOf("Анна")]: "m5", [idOf("Пётр")]: "" });
+    assert(picked.matches[idOf("Анна")].reason === "picked" && !picked.matches[idOf("Пётр")] && !picked.matches[idOf("Отец Марии")], "Выбор вручную и «новый человек»");
+    assert(picked.doc.rels.some((r) => r.parentId === idOf("Пётр") && r.childId === "m5"), "Выбранная Анна — дочь нового Петра");
+    assert(mergeParsedIntoTree(tree, parsed, { [idOf("Пётр")]: "m2" }).conflicts.includes(idOf("Пётр")), "Другой пол не сопоставляется");
+  });
+
+  // Тест 30: линия родства словами — разбор, анализ, пересказ и повторный разбор дают то же родство
+  addTest("Линия родства цепочкой и обратно", () => {
+    const sentence = (g, a, b, i = 0) => kinshipChainSentence(relationLabel(a, b, g.people, g.rels, g.unions).paths[i], Object.fromEntries(g.people.map((p) => [p.id, p])));
+    const title = (g, a, b) => relationLabel(a, b, g.people, g.rels, g.unions).title;
+    const demo = buildDemo();
+    const id = (name) => demo.people.find((p) => p.name === name).id;
+    assert(sentence(demo, id("Он"), id("Она")) === "Он — сын младшей сестры её деда по материнской линии", sentence(demo, id("Он"), id("Она")));
+    assert(sentence(demo, id("Она"), id("Он")) === "Она — внучка старшего брата его матери", sentence(demo, id("Она"), id("Он")));
+    // без известного старшинства — просто «сестра»
+    const unordered = { ...demo, people: demo.people.map((p) => ({ ...p, birthOrder: undefined })) };
+    assert(sentence(unordered, id("Он"), id("Она")) === "Он — сын сестры её деда по материнской линии", sentence(unordered, id("Он"), id("Она")));
+    for (const text of ["Павел — сын младшей сестры её деда по материнской линии", "Анна — дочь двоюродного брата отца Марии", "Анна — внучка Петра Иванова", "Я — младший брат матери Николая", "Игорь — прадед по отцу Ирины", "Он — её двоюродный дед по материнской линии"]) {
+      const g = parseAdvancedKinship(text);
+      for (const [a, b] of [[g.focusA, g.focusB], [g.focusB, g.focusA]]) {
+        if (g.people.find((p) => p.id === a).sex === "unknown") continue;
+        const back = parseAdvancedKinship(sentence(g, a, b));
+        assert(title(back, back.focusA, back.focusB) === title(g, a, b), `${text}: ${sentence(g, a, b)}`);
+      }
+    }
+    assert(["Мария", "Пётр Иванов", "Николай", "Игорь"].map((n) => kinGenitiveName(n, n === "Мария" ? "female" : "male")).join(", ") === "Марии, Петра Иванова, Николая, Игоря", "Имена в родительном");
+    assert(kinGenitiveName("Анна Толстая", "female") === "Анны Толстой" && kinGenitiveName("Любовь", "female") === "Любови", "Женские фамилии и имена на -ь");
+    // подписи разбора: склоняется только голова, хвост уже в родительном падеже
+    assert(kinGenitiveName("Ребёнок Петра", "unknown") === "ребёнка Петра" && kinGenitiveName("Отец Петра", "male") === "отца Петра", "Подписи разбора");
+    assert(kinGenitiveName("Младшая сестра её деда", "female") === "младшей сестры её деда" && kinGenitiveName("Её мать", "female") === "её матери", "Голова с определением и владельцем");
+    // B — заготовка разбора: пересказ разбирается обратно в то же родство с тем же человеком
+    const scene = parseAdvancedKinship("Анна — дочь Петра. Пётр — брат Марии. Кто Анна для сына Марии?");
+    const told = sentence(scene, scene.focusA, scene.focusB);
+    assert(told.endsWith("сына Марии") && !/Сына|Марииы/.test(told), told);
+    const again = parseAdvancedKinship(told);
+    const nephew = again.people.find((p) => p.name === "Сын Марии");
+    assert(nephew && title(again, again.focusA, nephew.id) === title(scene, scene.focusA, scene.focusB), `${told}: ${nephew && title(again, again.focusA, nephew.id)}`);
+  });
+
+  // Тест 31: порядок рождения — из разбора «младшая/старшая», в терминах, проверка по датам, порядок на схеме
+  addTest("Порядок рождения братьев и сестёр", () => {
+    const g = parseAdvancedKinship("Анна — младшая сестра Петра. Олег — старший брат Петра. Ирина — сестра Петра.");
+    // Пётр встречается только в родительном падеже — ищем по ключу имени
+    const person = (name) => g.people.find((p) => kinNameKey([p.name]) === kinNameKey([name]));
+    assert(person("Олег").birthOrder === 1 && person("Пётр").birthOrder === 2 && person("Анна").birthOrder === 3 && !person("Ирина").birthOrder, `Порядок из разбора: ${g.people.map((p) => `${p.name}:${p.birthOrder}`)}`);
+    const title = (a, b, L) => relationLabel(person(a).id, person(b).id, g.people, g.rels, g.unions, L).title;
+    assert(title("Анна", "Олег") === "младшая сестра" && title("Олег", "Анна") === "старший брат" && title("Ирина", "Пётр") === "сестра", "Старшинство в терминах");
+    assert(title("Олег", "Пётр", LOCALES.en) === "older brother", "Старшинство в английской локали");
+    const born = (year) => ({ date: { qualifier: "exact", calendar: "gregorian", date: { year } } });
+    // даты важнее порядка; противоречие — ошибка проверки
+    const dated = g.people.map((p) => (p.id === person("Олег").id ? { ...p, birth: born(1960) } : p.id === person("Пётр").id ? { ...p, birth: born(1950) } : p));
+    assert(birthRank(dated.find((p) => p.id === person("Олег").id), dated.find((p) => p.id === person("Пётр").id)) === "younger", "Даты важнее порядка");
+    const issues = validateTree({ people: dated, rels: g.rels, unions: g.unions });
+    assert(issues.filter((i) => i.code === "birthOrder").length === 1, `Противоречие с датами: ${issues.map((i) => i.code)}`);
+    const agreed = g.people.map((p) => (p.id === person("Олег").id ? { ...p, birth: born(1940) } : p.id === person("Пётр").id ? { ...p, birth: born(1950) } : p));
+    assert(!validateTree({ people: agreed, rels: g.rels, unions: g.unions }).some((i) => i.code === "birthOrder"), "Согласованные даты");
+    // противоречивое старшинство и ранг у терминов без братьев и сестёр — ошибки с позицией
+    const failure = (text) => {
+      try {
+        return parseAdvancedKinship(text) && null;
+      } catch (e) {
+        return e;
+      }
+    };
+    const swapped = failure("Олег — младший брат Петра. Пётр — младший брат Олега.");
+    assert(swapped && swapped.start === 42, `Взаимно младшие: ${swapped?.message}`);
+    const twice = failure("Анна — младшая сестра Петра. Анна — старшая сестра Петра.");
+    assert(twice && twice.start === 44, `Младшая и старшая сразу: ${twice?.message}`);
+    assert(failure("Анна — младшая дочь Петра")?.start === 7 && failure("Анна — младшая двоюродная сестра Петра")?.start === 7, "Ранг не у сиблинга");
+    // нумерация без пропусков; несравнимые — на одном уровне
+    const dense = parseAdvancedKinship("Анна — младшая сестра Петра. Олег — младший брат Петра. Пётр — младший брат Ивана.");
+    const order = (name) => dense.people.find((p) => kinNameKey([p.name]) === kinNameKey([name])).birthOrder;
+    assert(order("Иван") === 1 && order("Пётр") === 2 && order("Анна") === 3 && order("Олег") === 3, `Плотная нумерация: ${dense.people.map((p) => `${p.name}:${p.birthOrder}`)}`);
+    // на схеме дети стоят по старшинству слева направо
+    const pos = familyLayout({ people: g.people, rels: g.rels, unions: g.unions });
+    const x = (name) => pos[person(name).id].x;
+    assert(x("Олег") < x("Пётр") && x("Пётр") < x("Анна"), "Сиблинги по порядку рождения");
+  });
+
   const passed = [];
   const failed = [];
   tests.forEach((t) => {
@@ -545,25 +4418,207 @@ export default function GenealogyApp() {
   // Состояния данных
   const [people, setPeople] = useState(/** @type {Person[]} */ ([]));
   const [rels, setRels] = useState(/** @type {ParentEdge[]} */ ([]));
+  const [unions, setUnions] = useState(/** @type {Union[]} */ ([]));
 
   // UI: формы
   const [newName, setNewName] = useState("");
   const [newSex, setNewSex] = useState(/** @type {Sex} */ ("unknown"));
   const [parentSel, setParentSel] = useState("");
   const [childSel, setChildSel] = useState("");
+  const [partnerASel, setPartnerASel] = useState("");
+  const [partnerBSel, setPartnerBSel] = useState("");
+  const [unionKind, setUnionKind] = useState(/** @type {UnionKind} */ ("marriage"));
+  const [unionStart, setUnionStart] = useState("");
+  const [unionEnd, setUnionEnd] = useState("");
+  const [unionSel, setUnionSel] = useState("");
+  const [unionChildSel, setUnionChildSel] = useState("");
 
   // Анализ
   const [fromSel, setFromSel] = useState("");
   const [toSel, setToSel] = useState("");
 
+  // Язык интерфейса и терминологии
+  const [locale, setLocale] = useState("ru");
+  const [importReport, setImportReport] = useState(null);
+  const [detailId, setDetailId] = useState("");
+  const L = LOCALES[locale] || LOCALES.ru;
+  const t = L.t;
+
   // Настройки рёбер
   const [edgeAnimated, setEdgeAnimated] = useState(true);
   const [edgeArrows, setEdgeArrows] = useState(true);
+  const [direction, setDirection] = useState(/** @type {"TB"|"LR"} */ ("TB"));
 
-  // Диаграмма
+  // Вид схемы: всё дерево или схема вокруг одного человека (корня)
+  const [chart, setChart] = useState("tree");
+  const [chartRoot, setChartRoot] = useState("");
+  const [chartGens, setChartGens] = useState(4);
+  const [chartApi, setChartApi] = useState(null);
+  // Экспорт схемы картинкой и плакатом
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportScope, setExportScope] = useState(/** @type {"all"|"view"} */ ("all"));
+  const [pngScale, setPngScale] = useState(2);
+  const [posterPaper, setPosterPaper] = useState("A4");
+  const [posterScale, setPosterScale] = useState(1);
+
+  // Диаграмма: позиции узлов — часть модели, ReactFlow только отображает их
+  const [positions, setPositions] = useState(/** @type {Record<string, NodePosition>} */ ({}));
+  const autoPlaced = useRef(false);
   const [nodes, setNodes, onNodesChange] = useNodesState([]);
   const [edges, setEdges, onEdgesChange] = useEdgesState([]);
   const flowRef = useRef(null);
+  const [flowApi, setFlowApi] = useState(null);
+
+  // Хранилище: открытое дерево и список всех деревьев (без данных)
+  const dbRef = useRef(null);
+  const [trees, setTrees] = useState(/** @type {{ id: string, name: string }[]} */ ([]));
+  const [treeId, setTreeId] = useState("");
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageError, setStorageError] = useState("");
+
+  // Проверка целостности пересчитывается при любом изменении данных, в том числе после импорта
+  const issues = useMemo(() => validateTree({ people, rels, unions }, L), [people, rels, unions, L]);
+
+  // ===== История правок =====
+  // Любое изменение people/rels/unions/positions превращается в команду: разница с предыдущим
+  // состоянием. Подпись задаёт вызвавшая правку функция (noteHistory); переходы по истории не
+  // записываются, а авто-размещение новых узлов дописывается к правке, которая их создала.
+  const [history, setHistory] = useState(/** @type {{ past: HistoryCommand[], future: HistoryCommand[] }} */ ({ past: [], future: [] }));
+  const historyBase = useRef({ people, rels, unions, positions });
+  const historyNote = useRef(null);
+  const historySkip = useRef(null);
+
+  const nameOf = (id) => people.find((p) => p.id === id)?.name || id;
+
+  const noteHistory = (label, group) => {
+    historyNote.current = { label, group, at: Date.now() };
+  };
+
+  const pushCommand = (cmd) => {
+    setHistory((h) => {
+      const last = h.past.at(-1);
+      if (last && cmd.group && last.group === cmd.group && cmd.at - last.at < HISTORY_COALESCE_MS) {
+        const ops = mergeHistoryOps(last.ops, cmd.ops);
+        const past = ops.length ? [...h.past.slice(0, -1), { ...last, at: cmd.at, ops }] : h.past.slice(0, -1);
+        return { past, future: [] };
+      }
+      return { past: [...h.past, cmd].slice(-HISTORY_LIMIT), future: [] };
+    });
+  };
+
+  useEffect(() => {
+    const before = historyBase.current;
+    const doc = { people, rels, unions, positions };
+    historyBase.current = doc;
+    const skip = historySkip.current;
+    const note = historyNote.current;
+    const auto = autoPlaced.current;
+    historySkip.current = null;
+    historyNote.current = null;
+    autoPlaced.current = false;
+    if (skip && ["people", "rels", "unions", "positions"].every((k) => skip[k] === doc[k])) return;
+    const ops = diffCollections(before, doc);
+    if (!ops.length) return;
+    const fresh = note && Date.now() - note.at < 1000;
+    if (auto && !fresh) {
+      // без свежей правки (загрузка старого дерева) размещение в историю не попадает
+      setHistory((h) => {
+        const last = h.past.at(-1);
+        if (!last || Date.now() - last.at > HISTORY_COALESCE_MS) return h;
+        return { ...h, past: [...h.past.slice(0, -1), { ...last, ops: mergeHistoryOps(last.ops, ops) }] };
+      });
+      return;
+    }
+    pushCommand({ label: fresh ? note.label : t("history.edit"), group: fresh ? note.group : undefined, at: Date.now(), ops });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [people, rels, unions, positions]);
+
+  // Состояние без записи в историю (загрузка дерева, отмена, повтор)
+  const setDocSilently = (doc) => {
+    historySkip.current = doc;
+    setPeople(doc.people);
+    setRels(doc.rels);
+    setUnions(doc.unions);
+    setPositions(doc.positions);
+  };
+
+  // Замена всего дерева (пример, разбор фразы, импорт) — одна команда; схема раскладывается заново
+  const replaceDoc = (label, doc) => {
+    noteHistory(label);
+    setPeople(doc.people);
+    setRels(doc.rels);
+    setUnions(doc.unions || []);
+    setPositions(doc.positions || {});
+  };
+
+  // Переход по истории на steps шагов: < 0 — отмена, > 0 — повтор
+  const travel = (steps) => {
+    let { past, future } = history;
+    let doc = { people, rels, unions, positions };
+    for (; steps < 0 && past.length; steps++) {
+      const cmd = past.at(-1);
+      doc = applyHistoryOps(doc, cmd.ops, true);
+      past = past.slice(0, -1);
+      future = [cmd, ...future];
+    }
+    for (; steps > 0 && future.length; steps--) {
+      const cmd = future[0];
+      doc = applyHistoryOps(doc, cmd.ops);
+      future = future.slice(1);
+      past = [...past, cmd];
+    }
+    setDocSilently(doc);
+    setHistory({ past, future });
+  };
+
+  // Ctrl+Z — отмена, Ctrl+Shift+Z (или Ctrl+Y) — повтор; в полях ввода работает их собственная отмена
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.("input, textarea, select, [contenteditable=true]")) return;
+      // e.code не зависит от раскладки: на русской Ctrl+Z — это Ctrl+Я
+      if (e.code === "KeyZ" || e.code === "KeyY") {
+        e.preventDefault();
+        travel(e.code === "KeyY" || e.shiftKey ? 1 : -1);
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  });
+
+  // Перемещённый вручную узел запоминает место в модели
+  const onNodeDragStop = (_, node, dragged) => {
+    const moved = (dragged || [node]).filter((n) => !sameValue(positions[n.id] && { x: positions[n.id].x, y: positions[n.id].y }, n.position));
+    if (!moved.length) return;
+    noteHistory(t("history.move", { name: nameOf(node.id) }));
+    setPositions((prev) => {
+      const next = { ...prev };
+      moved.forEach((n) => (next[n.id] = { ...prev[n.id], x: n.position.x, y: n.position.y }));
+      return next;
+    });
+  };
+
+  // Закреплённый узел не двигается ни мышью, ни перераскладкой
+  const togglePin = (id) => {
+    const pinned = !positions[id]?.pinned;
+    noteHistory(t(pinned ? "history.pin" : "history.unpin", { name: nameOf(id) }));
+    setPositions((prev) => {
+      const { pinned: _, ...pos } = prev[id] || { x: 0, y: 0 };
+      return { ...prev, [id]: pinned ? { ...pos, pinned } : pos };
+    });
+  };
+
+  const relayout = (dir = direction) => {
+    noteHistory(t("history.relayout"));
+    setPositions((prev) => relayoutPositions({ people, rels, unions }, prev, dir));
+    requestAnimationFrame(() => flowApi?.fitView({ duration: 400 }));
+  };
+
+  // Смена направления раскладывает схему заново в новых осях
+  const changeDirection = (dir) => {
+    setDirection(dir);
+    relayout(dir);
+  };
 
   // Запустим самотесты один раз при монтировании в браузере
   useEffect(() => {
@@ -578,20 +4633,55 @@ export default function GenealogyApp() {
     markerEnd: edgeArrows ? { type: MarkerType.ArrowClosed, color: "#334155", width: 18, height: 18 } : undefined,
   }), [edgeAnimated, edgeArrows]);
 
+  // Схемы вокруг человека: без выбранного корня — открытая карточка, A из анализа или первый в списке
+  const chartIdx = useMemo(() => buildIndexes(people, rels, unions), [people, rels, unions]);
+  const chartRootId = [chartRoot, detailId, fromSel, people[0]?.id].find((id) => id && chartIdx.byId[id]) || "";
+  const chartAvailable = useMemo(() => {
+    if (chart === "tree" || !chartRootId) return 0;
+    const up = chart === "descendants" ? 0 : chartDepth(chartRootId, chartIdx, true);
+    const down = chart === "descendants" || chart === "hourglass" ? chartDepth(chartRootId, chartIdx, false) : 0;
+    return Math.min(CHART_MAX_GENS, Math.max(up, down));
+  }, [chart, chartRootId, chartIdx]);
+  const chartGensShown = Math.max(1, Math.min(chartGens, chartAvailable));
+  const chartFlow = useMemo(() => {
+    if (chart === "tree" || chart === "fan" || !chartRootId) return null;
+    const c = buildChart(chart, chartRootId, chartIdx, chartGensShown);
+    return {
+      nodes: c.nodes.map((n) => ({
+        id: n.key,
+        type: "person",
+        position: { x: n.x, y: n.y },
+        data: { ...chartIdx.byId[n.id], locale, direction: c.direction, badge: n.number, personId: n.id },
+        draggable: false,
+      })),
+      edges: c.links.map((l) => ({
+        id: `${l.source}-${l.target}`,
+        source: l.source,
+        target: l.target,
+        sourceHandle: "s",
+        targetHandle: "t",
+        type: "smoothstep",
+        style: { stroke: "#334155", strokeWidth: 2, strokeLinecap: "round" },
+      })),
+    };
+  }, [chart, chartRootId, chartIdx, chartGensShown, locale]);
+
   const rebuildFlow = () => {
+    const issueLevel = {};
+    issues.forEach((i) => i.ids.forEach((id) => (issueLevel[id] = issueLevel[id] === "error" ? "error" : i.severity)));
+    // Уже размещённые узлы стоят на своих местах; раскладываются только новые
+    const placed = placeNewNodes({ people, rels, unions }, positions, direction);
+    const at = (id) => positions[id] || placed[id];
     // Узлы
     const fNodes = people.map((p) => ({
       id: p.id,
       type: "person",
-      data: { ...p },
-      position: { x: 0, y: 0 },
+      data: { ...p, locale, direction, issue: issueLevel[p.id], pinned: Boolean(positions[p.id]?.pinned) },
+      position: { x: at(p.id).x, y: at(p.id).y },
+      draggable: !positions[p.id]?.pinned,
     }));
     // Рёбра
-    const fEdges = rels.map((e, i) => ({
-      id: `e${i}`,
-      source: e.parentId,
-      target: e.childId,
-      sourceHandle: "s",
+    const kinEdge = {
       targetHandle: "t",
       type: "smoothstep",
       animated: edgeAnimated,
@@ -602,49 +4692,455 @@ export default function GenealogyApp() {
         width: 18,
         height: 18,
       } : undefined,
-    }));
-    const { nodes: layoutedNodes } = getLayoutedElements(fNodes, fEdges, "TB");
-    setNodes(layoutedNodes);
-    setEdges(fEdges);
+    };
+    // Пары: линия между партнёрами и соединитель посередине; общие дети пары висят на соединителе
+    const uNodes = [];
+    const uEdges = [];
+    const hung = new Set();
+    const lr = direction === "LR";
+    unions.forEach((u) => {
+      const [a, b] = u.partners;
+      if (!at(a) || !at(b)) return;
+      const [first, second] = (lr ? at(a).y <= at(b).y : at(a).x <= at(b).x) ? [a, b] : [b, a];
+      uEdges.push({
+        id: `u-${u.id}`,
+        data: { unionId: u.id },
+        source: first,
+        target: second,
+        sourceHandle: "r",
+        targetHandle: "l",
+        type: "straight",
+        style: unionEdgeStyle(u.kind),
+      });
+      const cx = (at(a).x + at(b).x + nodeWidth) / 2;
+      const cy = (at(a).y + at(b).y + nodeHeight) / 2;
+      uNodes.push({
+        id: `union-${u.id}`,
+        type: "union",
+        data: { label: unionLabel(u, L), years: u.startYear || u.endYear ? `${u.startYear || "?"}–${u.endYear || ""}` : "", direction },
+        position: { x: cx - COUPLE_GAP / 2, y: cy - UNION_NODE_HEIGHT / 2 },
+        draggable: false,
+        selectable: false,
+        deletable: false,
+        connectable: false,
+      });
+      rels
+        .filter((r) => r.parentId === a && rels.some((o) => o.parentId === b && o.childId === r.childId))
+        .forEach(({ childId }) => {
+          hung.add(`${a}>${childId}`).add(`${b}>${childId}`);
+          uEdges.push({ id: `c-${u.id}-${childId}`, data: { unionId: u.id, childId, parentIds: [a, b] }, source: `union-${u.id}`, target: childId, sourceHandle: "s", ...kinEdge });
+        });
+    });
+    const fEdges = rels
+      .filter((e) => !hung.has(`${e.parentId}>${e.childId}`))
+      .map((e) => ({
+        id: `r-${e.parentId}-${e.childId}`,
+        data: { parentId: e.parentId, childId: e.childId },
+        source: e.parentId,
+        target: e.childId,
+        sourceHandle: "s",
+        ...kinEdge,
+      }));
+    setNodes((prev) => {
+      const selected = new Set(prev.filter((n) => n.selected).map((n) => n.id));
+      return [...uNodes, ...fNodes.map((n) => (selected.has(n.id) ? { ...n, selected: true } : n))];
+    });
+    setEdges([...fEdges, ...uEdges]);
+    if (Object.keys(placed).length) {
+      autoPlaced.current = true;
+      setPositions((prev) => ({ ...prev, ...placed }));
+    }
+  };
+
+  useEffect(() => {
+    rebuildFlow();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [people, rels, unions, positions, direction, edgeAnimated, edgeArrows, locale, issues]);
+
+  // Рёбра на схеме — та же модель: связь, протянутая между узлами, становится rels/unions.
+  // Снизу вверх (s → t) — «родитель → ребёнок», сбоку (r → l) — пара.
+  const onConnect = ({ source, target, sourceHandle, targetHandle }) => {
+    if (!source || !target) return;
+    if (sourceHandle === "r" || targetHandle === "l") linkPartners(source, target);
+    else linkParent(source, target);
+  };
+
+  // Линия от соединителя пары к ребёнку — обе связи «родитель → ребёнок» сразу
+  const onEdgesDelete = (deleted) => {
+    const relKeys = new Set(deleted.flatMap((e) => (e.data?.parentIds || [e.data?.parentId]).filter(Boolean).map((p) => `${p}>${e.data.childId}`)));
+    noteHistory(t("history.deleteOnCanvas"));
+    if (relKeys.size) setRels((arr) => arr.filter((r) => !relKeys.has(`${r.parentId}>${r.childId}`)));
+    deleted.filter((e) => e.data?.unionId && !e.data.childId).forEach((e) => removeUnion(e.data.unionId));
+  };
+
+  const onNodesDelete = (deleted) => deleted.forEach((n) => removePerson(n.id));
+
+  // Щелчок по узлу — A (и карточка), Shift+щелчок — B
+  const onNodeClick = (e, node) => {
+    setMenu(null);
+    if (node.type !== "person") return;
+    if (e.shiftKey) {
+      setToSel(node.id);
+      return;
+    }
+    setFromSel(node.id);
+    setDetailId(node.id);
+  };
+
+  // Контекстное меню узла; pick — выбор второго человека прямо в меню
+  const [menu, setMenu] = useState(/** @type {{ id: string, x: number, y: number, pick?: string } | null} */ (null));
+  const onNodeContextMenu = (e, node) => {
+    if (node.type !== "person") return;
+    e.preventDefault();
+    const box = flowRef.current.getBoundingClientRect();
+    // меню не должно уходить за край схемы
+    setMenu({ id: node.id, x: Math.min(e.clientX - box.left, box.width - 264), y: Math.min(e.clientY - box.top, box.height - 320) });
+  };
+
+  // Новый родственник с одним только именем: ребёнок этого человека или его партнёр
+  const addRelative = (id, kind) => {
+    const name = prompt(t(kind === "child" ? "menu.childName" : "menu.partnerName"))?.trim();
+    if (!name) return;
+    const p = { id: genId(), name, sex: "unknown" };
+    noteHistory(t("history.addPerson", { name }));
+    setPeople((arr) => [...arr, p]);
+    if (kind === "child") setRels((arr) => [...arr, { parentId: id, childId: p.id }]);
+    else setUnions((arr) => [...arr, { id: "u" + genId(), partners: [id, p.id], kind: "marriage" }]);
+  };
+
+  const nodeMenuItems = (id) => {
+    const done = (fn) => () => {
+      fn();
+      setMenu(null);
+    };
+    const pick = (what) => () => setMenu((m) => ({ ...m, pick: what }));
+    return [
+      { key: "menu.setA", run: done(() => setFromSel(id)) },
+      { key: "menu.setB", run: done(() => setToSel(id)) },
+      { key: "menu.analyseWith", run: pick("analyseWith") },
+      { key: "menu.parentOf", run: pick("parentOf") },
+      { key: "menu.addChild", run: done(() => addRelative(id, "child")) },
+      { key: "menu.addPartner", run: done(() => addRelative(id, "partner")) },
+      { key: "menu.open", run: done(() => setDetailId(id)) },
+      { key: positions[id]?.pinned ? "person.unpin" : "person.pin", run: done(() => togglePin(id)) },
+      { key: "list.remove", run: done(() => removePerson(id)), danger: true },
+    ];
+  };
+
+  const addPerson = () => {
+    if (!newName.trim()) return;
+    const p = { id: genId(), name: newName.trim(), sex: newSex };
+    noteHistory(t("history.addPerson", { name: p.name }));
+    setPeople((arr) => [...arr, p]);
+    setNewName("");
+    setNewSex("unknown");
+  };
+
+  // Правка полей человека; undefined в patch удаляет поле
+  const updatePerson = (id, patch) => {
+    noteHistory(t("history.editPerson", { name: nameOf(id) }), `edit:${id}:${Object.keys(patch).join(",")}`);
+    setPeople((arr) =>
+      arr.map((p) => {
+        if (p.id !== id) return p;
+        const next = { ...p, ...patch };
+        Object.keys(patch).forEach((k) => next[k] === undefined && delete next[k]);
+        return next;
+      })
+    );
+  };
+
+  // Новая связь с проверкой; если второй родитель ребёнка — партнёр нового, ребёнок попадает в их пару
+  const linkParent = (parentId, childId) => {
+    const error = parentLinkError(parentId, childId, people, rels);
+    if (error) {
+      alert(t(error));
+      return;
+    }
+    const otherParent = rels.find((r) => r.childId === childId)?.parentId;
+    const u = otherParent && unions.find((x) => x.partners.includes(parentId) && x.partners.includes(otherParent));
+    const added = [...rels, u ? { parentId, childId, unionId: u.id } : { parentId, childId }];
+    const next = u ? added.map((r) => (r.childId === childId && r.parentId === otherParent && !r.unionId ? { ...r, unionId: u.id } : r)) : added;
+    if (refuseUnsafe({ people, rels: next, unions })) return;
+    noteHistory(t("history.addLink", { parent: nameOf(parentId), child: nameOf(childId) }));
+    setRels(next);
+  };
+
+  // Правка, создающая новые ошибки целостности (второй отец, родитель младше ребёнка…), отклоняется
+  const refuseUnsafe = (candidate) => {
+    const fresh = newErrors(issues, validateTree(candidate, L));
+    if (!fresh.length) return false;
+    alert(t("issue.refused", { list: fresh.map((i) => "• " + i.message).join("\n") }));
+    return true;
+  };
+
+  const linkPartners = (a, b) => {
+    if (a === b) return;
+    if (unions.some((u) => u.partners.includes(a) && u.partners.includes(b))) {
+      alert(t("unions.errExists"));
+      return;
+    }
+    noteHistory(t("history.addUnion", { a: nameOf(a), b: nameOf(b) }));
+    setUnions((arr) => [...arr, { id: "u" + genId(), partners: [a, b], kind: "marriage" }]);
+  };
+
+  const addParentChild = () => {
+    if (!parentSel || !childSel) return;
+    linkParent(parentSel, childSel);
+  };
+
+  const addUnion = () => {
+    if (!partnerASel || !partnerBSel || partnerASel === partnerBSel) return;
+    const startYear = parseInt(unionStart, 10);
+    const endYear = parseInt(unionEnd, 10);
+    if (startYear && endYear && endYear < startYear) {
+      alert(t("unions.badYears"));
+      return;
+    }
+    // не допускаем дублей одной и той же пары с тем же видом союза; пустой шаг в историю не пишем,
+    // а выбранной становится уже существующая пара
+    const twin = unions.find((x) => x.kind === unionKind && x.partners.includes(partnerASel) && x.partners.includes(partnerBSel));
+    if (twin) {
+      setUnionSel(twin.id);
+      return;
+    }
+    const u = { id: "u" + genId(), partners: [partnerASel, partnerBSel], kind: unionKind };
+    if (startYear) u.startYear = startYear;
+    if (endYear) u.endYear = endYear;
+    noteHistory(t("history.addUnion", { a: nameOf(partnerASel), b: nameOf(partnerBSel) }));
+    setUnions((arr) => [...arr, u]);
+    setUnionSel(u.id);
+    setUnionStart("");
+    setUnionEnd("");
+  };
+
+  const removeUnion = (id) => {
+    const u = unions.find((x) => x.id === id);
+    if (u) noteHistory(t("history.removeUnion", { a: nameOf(u.partners[0]), b: nameOf(u.partners[1]) }));
+    setUnions((arr) => arr.filter((u) => u.id !== id));
+    // дети остаются детьми обоих родителей, но больше не привязаны к паре
+    setRels((arr) => arr.map((r) => (r.unionId === id ? { parentId: r.parentId, childId: r.childId } : r)));
+    if (unionSel === id) setUnionSel("");
+  };
+
+  const attachChildToUnion = () => {
+    const u = unions.find((x) => x.id === unionSel);
+    if (!u || !unionChildSel || u.partners.includes(unionChildSel)) return;
+    let next = rels;
+    for (const parentId of u.partners) {
+      const i = next.findIndex((r) => r.parentId === parentId && r.childId === unionChildSel);
+      if (i === -1) next = [...next, { parentId, childId: unionChildSel, unionId: u.id }];
+      else if (next[i].unionId !== u.id) next = next.map((r, j) => (j === i ? { ...r, unionId: u.id } : r));
+    }
+    if (refuseUnsafe({ people, rels: next, unions })) return;
+    noteHistory(t("history.attachChild", { child: nameOf(unionChildSel) }));
+    setRels(next);
+  };
+
+  const removePerson = (id) => {
+    const gone = unions.filter((u) => u.partners.includes(id)).map((u) => u.id);
+    noteHistory(t("history.removePerson", { name: nameOf(id) }));
+    setPeople((arr) => arr.filter((p) => p.id !== id));
+    setRels((arr) =>
+      arr
+        .filter((r) => r.parentId !== id && r.childId !== id)
+        .map((r) => (gone.includes(r.unionId) ? { parentId: r.parentId, childId: r.childId } : r))
+    );
+    setUnions((arr) => arr.filter((u) => !u.partners.includes(id)));
+    if (parentSel === id) setParentSel("");
+    if (childSel === id) setChildSel("");
+    if (partnerASel === id) setPartnerASel("");
+    if (partnerBSel === id) setPartnerBSel("");
+    if (unionChildSel === id) setUnionChildSel("");
+    if (gone.includes(unionSel)) setUnionSel("");
+    if (fromSel === id) setFromSel("");
+    if (toSel === id) setToSel("");
+  };
+
+  const removeParentLink = (parentId, childId) => {
+    noteHistory(t("history.removeLink", { parent: nameOf(parentId), child: nameOf(childId) }));
+    setRels((arr) => arr.filter((r) => !(r.parentId === parentId && r.childId === childId)));
+  };
+
+  const mergeInto = (keepId, dropId) => {
+    const tree = mergePeople(keepId, dropId, { people, rels, unions });
+    // слияние дубликатов может вскрыть противоречия — применяем только с согласия
+    const fresh = newErrors(issues, validateTree(tree, L));
+    if (fresh.length && !confirm(t("issue.confirm", { list: fresh.map((i) => "• " + i.message).join("\n") }))) return;
+    noteHistory(t("history.merge", { keep: nameOf(keepId), drop: nameOf(dropId) }));
+    setPeople(tree.people);
+    setRels(tree.rels);
+    setUnions(tree.unions);
+    const swap = (v) => (v === dropId ? keepId : v);
+    [setParentSel, setChildSel, setPartnerASel, setPartnerBSel, setUnionChildSel, setFromSel, setToSel].forEach((set) => set(swap));
+    setUnionSel((v) => (tree.unions.some((u) => u.id === v) ? v : ""));
+  };
+
+  // ===== Деревья: автосохранение и переключение =====
+  const treeRecord = (id, name) => ({
+    id,
+    name,
+    updatedAt: Date.now(),
+    data: exportData(),
+    view: {
+      fromSel,
+      toSel,
+      edgeAnimated,
+      edgeArrows,
+      direction,
+      chart,
+      chartRoot,
+      chartGens,
+    },
+    history,
+  });
+
+  const applyTreeRecord = (rec) => {
+    const tree = normalizeTree(rec.data);
+    const view = rec.view || {};
+    // деревья, сохранённые до версии 3, держали позиции в настройках вида
+    setDocSilently({ ...tree, positions: rec.data.positions ? tree.positions : view.positions || {} });
+    setHistory(rec.history || { past: [], future: [] });
+    setFromSel(view.fromSel || "");
+    setToSel(view.toSel || "");
+    setEdgeAnimated(view.edgeAnimated ?? true);
+    setEdgeArrows(view.edgeArrows ?? true);
+    setDirection(view.direction || "TB");
+    setChart(CHART_KINDS.includes(view.chart) ? view.chart : "tree");
+    setChartRoot(view.chartRoot || "");
+    setChartGens(view.chartGens || 4);
+    [setParentSel, setChildSel, setPartnerASel, setPartnerBSel, setUnionSel, setUnionChildSel, setDetailId].forEach((set) => set(""));
+    setImportReport(null);
+    setTreeId(rec.id);
+    if (dbRef.current) treeStore.setLastId(dbRef.current, rec.id).catch(storageFailed);
   };
 
+  const emptyTreeRecord = (name) => ({
+    id: newTreeId(),
+    name,
+    updatedAt: Date.now(),
+    data: { schemaVersion: SCHEMA_VERSION, people: [], relations: [], unions: [], positions: {} },
+  });
+
+  // Открываем последнее дерево; при первом запуске создаём пустое
   useEffect(() => {
-    rebuildFlow();
+    let cancelled = false;
+    (async () => {
+      try {
+        const db = await openTreeDb();
+        const all = await treeStore.list(db);
+        const lastId = await treeStore.getLastId(db);
+        if (cancelled) return;
+        dbRef.current = db;
+        let rec = all.find((x) => x.id === lastId) || [...all].sort((a, b) => b.updatedAt - a.updatedAt)[0];
+        if (!rec) {
+          rec = emptyTreeRecord(t("trees.defaultName"));
+          await treeStore.put(db, rec);
+          all.push(rec);
+        }
+        setTrees(all.map(({ id, name }) => ({ id, name })));
+        applyTreeRecord(rec);
+        setStorageReady(true);
+      } catch (e) {
+        if (!cancelled) setStorageError(e.message || String(e));
+      }
+    })();
+    return () => {
+      cancelled = true;
+    };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [people, rels, edgeAnimated, edgeArrows]);
+  }, []);
 
-  const onConnect = (params) => setEdges((eds) => addEdge(params, eds));
+  const currentTreeName = trees.find((x) => x.id === treeId)?.name || "";
 
-  const addPerson = () => {
-    if (!newName.trim()) return;
-    const p = { id: genId(), name: newName.trim(), sex: newSex };
-    setPeople((arr) => [...arr, p]);
-    setNewName("");
-    setNewSex("unknown");
+  const saveCurrentTree = () => (dbRef.current && treeId ? treeStore.put(dbRef.current, treeRecord(treeId, currentTreeName)) : Promise.resolve());
+
+  // Автосохранение: через полсекунды после последнего изменения
+  useEffect(() => {
+    if (!storageReady || !treeId) return;
+    const timer = setTimeout(() => {
+      saveCurrentTree().catch((e) => setStorageError(e.message || String(e)));
+    }, 500);
+    return () => clearTimeout(timer);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [storageReady, treeId, people, rels, unions, positions, fromSel, toSel, edgeAnimated, edgeArrows, direction, chart, chartRoot, chartGens, history]);
+
+  // Ошибка IndexedDB (нет места, база закрыта): пометка «Без автосохранения» и сообщение
+  const storageFailed = (e) => {
+    const error = e?.message || String(e);
+    setStorageError(error);
+    alert(t("trees.storageFailed", { error }));
   };
 
-  const addParentChild = () => {
-    if (!parentSel || !childSel || parentSel === childSel) return;
-    setRels((arr) => {
-      // не допускаем дублей
-      if (arr.some((r) => r.parentId === parentSel && r.childId === childSel)) return arr;
-      return [...arr, { parentId: parentSel, childId: childSel }];
-    });
+  // При ошибке остаёмся в текущем дереве
+  const switchTree = async (id) => {
+    if (id === treeId) return;
+    try {
+      await saveCurrentTree();
+      const rec = await treeStore.get(dbRef.current, id);
+      if (rec) applyTreeRecord(rec);
+    } catch (e) {
+      storageFailed(e);
+    }
   };
 
-  const removePerson = (id) => {
-    setPeople((arr) => arr.filter((p) => p.id !== id));
-    setRels((arr) => arr.filter((r) => r.parentId !== id && r.childId !== id));
-    if (parentSel === id) setParentSel("");
-    if (childSel === id) setChildSel("");
-    if (fromSel === id) setFromSel("");
-    if (toSel === id) setToSel("");
+  const addTreeRecord = async (rec) => {
+    try {
+      await saveCurrentTree();
+      await treeStore.put(dbRef.current, rec);
+    } catch (e) {
+      storageFailed(e);
+      return;
+    }
+    setTrees((arr) => [...arr, { id: rec.id, name: rec.name }]);
+    applyTreeRecord(rec);
+  };
+
+  const createTree = () => {
+    const name = prompt(t("trees.namePrompt"), t("trees.defaultName"));
+    if (name?.trim()) addTreeRecord(emptyTreeRecord(name.trim()));
+  };
+
+  const duplicateTree = () => {
+    const name = prompt(t("trees.namePrompt"), t("trees.copyName", { name: currentTreeName }));
+    if (name?.trim()) addTreeRecord(treeRecord(newTreeId(), name.trim()));
+  };
+
+  const renameTree = () => {
+    const name = prompt(t("trees.namePrompt"), currentTreeName);
+    if (!name?.trim()) return;
+    setTrees((arr) => arr.map((x) => (x.id === treeId ? { ...x, name: name.trim() } : x)));
+    treeStore.put(dbRef.current, treeRecord(treeId, name.trim())).catch(storageFailed);
+  };
+
+  const deleteTree = async () => {
+    if (!confirm(t("trees.deleteConfirm", { name: currentTreeName }))) return;
+    try {
+      await treeStore.remove(dbRef.current, treeId);
+    } catch (e) {
+      storageFailed(e);
+      return;
+    }
+    // Запись уже удалена: список и текущее дерево меняются в любом случае, иначе автосохранение вернёт её.
+    // Если соседнее дерево не прочиталось, открываем новое пустое.
+    const rest = trees.filter((x) => x.id !== treeId);
+    let next = null;
+    try {
+      if (rest.length) next = await treeStore.get(dbRef.current, rest[0].id);
+    } catch (e) {
+      storageFailed(e);
+    }
+    if (!next) {
+      next = emptyTreeRecord(t("trees.defaultName"));
+      rest.push({ id: next.id, name: next.name });
+      treeStore.put(dbRef.current, next).catch(storageFailed);
+    }
+    setTrees(rest);
+    applyTreeRecord(next);
   };
 
   const loadDemo = () => {
-    const { people: P, rels: R } = buildDemo();
-    setPeople(P);
-    setRels(R);
+    const { people: P, rels: R, unions: U } = buildDemo();
+    replaceDoc(t("history.demo"), { people: P, rels: R, unions: U });
     // Предустановим сравнение Он ↔ Она
     const he = P.find((x) => x.name === "Он");
     const she = P.find((x) => x.name === "Она");
@@ -654,53 +5150,236 @@ export default function GenealogyApp() {
 
   const applyParsedScenario = (out) => {
     if (!out) return;
-    const { people: P, rels: R, focusA, focusB } = out;
-    setPeople(P);
-    setRels(R);
+    const { people: P, rels: R, unions: U, focusA, focusB } = out;
+    // разбор не должен приносить ошибок целостности: дерево заменяется целиком
+    if (refuseUnsafe({ people: P, rels: R, unions: U })) return;
+    replaceDoc(t("history.parser"), { people: P, rels: R, unions: U });
     const byName = (name) => P.find((x) => x.name === name)?.id || "";
     setFromSel(focusA || byName("Он"));
     setToSel(focusB || byName("Она"));
   };
 
+  // Добавление в текущее дерево: позиции существующих узлов сохраняются, новые встают рядом с роднёй
+  const mergeParsedScenario = ({ doc, focusA, focusB }) => {
+    if (refuseUnsafe(doc)) return;
+    replaceDoc(t("history.parserMerge"), { ...doc, positions });
+    setFromSel(focusA);
+    setToSel(focusB);
+  };
+
+
+  const detailPerson = people.find((p) => p.id === detailId);
+  const pickerEntries = useMemo(() => personSearchEntries(people, rels, L), [people, rels, L]);
+  // одно и то же дерево между рендерами, чтобы предпросмотр слияния не пересчитывался зря
+  const parserTree = useMemo(() => ({ people, rels, unions }), [people, rels, unions]);
 
   const analysis = useMemo(() => {
     if (!fromSel || !toSel) return null;
-    return relationLabel(fromSel, toSel, people, rels);
-  }, [fromSel, toSel, people, rels]);
+    return relationLabel(fromSel, toSel, people, rels, unions, L);
+  }, [fromSel, toSel, people, rels, unions, L]);
+
+  const coefficients = useMemo(() => {
+    if (!fromSel || !toSel) return null;
+    return relationshipCoefficients(fromSel, toSel, people, rels, L);
+  }, [fromSel, toSel, people, rels, L]);
 
   const reverseAnalysis = useMemo(() => {
     if (!fromSel || !toSel) return null;
-    return relationLabel(toSel, fromSel, people, rels);
-  }, [fromSel, toSel, people, rels]);
+    return relationLabel(toSel, fromSel, people, rels, unions, L);
+  }, [fromSel, toSel, people, rels, unions, L]);
 
-  const exportJSON = () => {
-    const blob = new Blob([JSON.stringify({ people, relations: rels }, null, 2)], {
-      type: "application/json",
+  // ===== Линия родства на схеме =====
+  // Выбранная линия A ↔ B подсвечивается, остальное приглушается; при нескольких линиях
+  // их можно перебирать. Номер линии действует для той пары, для которой выбран.
+  const [showPath, setShowPath] = useState(true);
+  const [pathPick, setPathPick] = useState({ pair: "", index: 0 });
+  const pathPair = `${fromSel}>${toSel}`;
+  const pathCount = analysis?.paths?.length || 0;
+  const pathIndex = pathPick.pair === pathPair ? Math.min(pathPick.index, pathCount - 1) : 0;
+  const stepPath = (d) => setPathPick({ pair: pathPair, index: (pathIndex + d + pathCount) % pathCount });
+  const currentPath = analysis?.paths?.[pathIndex] || null;
+  const currentSentence = useMemo(() => currentPath && kinshipChainSentence(currentPath, Object.fromEntries(people.map((p) => [p.id, p]))), [currentPath, people]);
+
+  const highlight = useMemo(() => (showPath && currentPath ? relationPathHighlight(currentPath) : null), [showPath, currentPath]);
+
+  const edgeOnPath = (e) => {
+    if (!highlight) return false;
+    if (e.data?.parentIds) return e.data.parentIds.some((p) => highlight.links.has(`${p}>${e.data.childId}`));
+    if (e.data?.parentId) return highlight.links.has(`${e.data.parentId}>${e.data.childId}`);
+    return false;
+  };
+
+  const shownEdges = useMemo(() => {
+    if (!highlight) return edges;
+    // соединитель пары подсвечен, если через её точку проходит путь
+    const unionsOnPath = new Set(edges.filter((e) => e.data?.parentIds && edgeOnPath(e)).map((e) => e.data.unionId));
+    return edges.map((e) => {
+      const on = e.data?.childId ? edgeOnPath(e) : unionsOnPath.has(e.data?.unionId);
+      if (!on) return { ...e, animated: false, style: { ...e.style, opacity: 0.15 } };
+      const stroke = e.data?.childId ? "#4f46e5" : e.style?.stroke;
+      return { ...e, zIndex: 1, style: { ...e.style, stroke, strokeWidth: 3.6 }, markerEnd: e.markerEnd && { ...e.markerEnd, color: stroke } };
+    });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [edges, highlight]);
+
+  const shownNodes = useMemo(() => {
+    if (!highlight) return nodes;
+    const unionsOnPath = new Set(shownEdges.filter((e) => e.zIndex === 1 && e.data?.parentIds).map((e) => e.source));
+    return nodes.map((n) => {
+      if (n.type === "union") return unionsOnPath.has(n.id) ? n : { ...n, style: { ...n.style, opacity: 0.2 } };
+      const role = n.id === fromSel ? "a" : n.id === toSel ? "b" : highlight.ancestors.has(n.id) ? "ancestor" : highlight.ids.has(n.id) ? "path" : null;
+      return { ...n, data: { ...n.data, pathRole: role }, style: { ...n.style, opacity: role ? 1 : 0.25 } };
     });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = "genealogy.json";
-    a.click();
-    URL.revokeObjectURL(url);
+  }, [nodes, shownEdges, highlight, fromSel, toSel]);
+
+  // Схема наезжает на линию при её смене, но не при каждой правке дерева
+  const highlightKey = highlight ? [...highlight.ids].join(",") : "";
+  useEffect(() => {
+    if (!highlightKey || chart !== "tree" || !flowApi) return;
+    const frame = requestAnimationFrame(() =>
+      flowApi.fitView({ nodes: highlightKey.split(",").map((id) => ({ id })), duration: 500, padding: 0.3, maxZoom: 1.2 })
+    );
+    return () => cancelAnimationFrame(frame);
+  }, [highlightKey, chart, flowApi]);
+
+  // Из другой диаграммы схема ещё не смонтирована: наезжаем на людей, когда она получит свой экземпляр
+  const [pendingFocus, setPendingFocus] = useState(null);
+  useEffect(() => {
+    if (chart !== "tree") setFlowApi(null);
+  }, [chart]);
+  useEffect(() => {
+    if (!pendingFocus || chart !== "tree" || !flowApi) return;
+    const frame = requestAnimationFrame(() => {
+      flowApi.fitView({ nodes: pendingFocus.map((id) => ({ id })), duration: 400, maxZoom: 1.2, padding: 0.4 });
+      setPendingFocus(null);
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [pendingFocus, chart, flowApi]);
+
+  // Формат экспорта JSON; он же хранится в IndexedDB. Позиции удалённых людей остаются в модели
+  // ради отмены удаления, но в файл не попадают.
+  const exportData = () => ({
+    schemaVersion: SCHEMA_VERSION,
+    people,
+    relations: rels,
+    unions,
+    positions: Object.fromEntries(people.filter((p) => positions[p.id]).map((p) => [p.id, positions[p.id]])),
+  });
+  const exportJSON = () => {
+    downloadFile(JSON.stringify(exportData(), null, 2), "genealogy.json", "application/json");
+  };
+  const exportGedcom = (version) => {
+    downloadFile(writeGedcom({ people, rels, unions }, version), `genealogy-${version}.ged`, "text/plain");
+  };
+
+  // Картинка текущей схемы: дерево с подсветкой линии A ↔ B, схема вокруг человека или веер.
+  // «Видимая часть» — то, что сейчас в окне React Flow; веер экспортируется целиком.
+  const diagramImage = () => {
+    if (chart === "fan") {
+      const el = flowRef.current?.querySelector("svg");
+      return el ? inlineSvg(el) : null;
+    }
+    const [ns, es] = chart === "tree" ? [shownNodes, shownEdges] : [chartFlow?.nodes || [], chartFlow?.edges || []];
+    if (!ns.length) return null;
+    const api = chart === "tree" ? flowApi : chartApi;
+    let crop = null;
+    if (exportScope === "view" && api && flowRef.current) {
+      const { x, y, zoom } = api.getViewport();
+      const box = flowRef.current.getBoundingClientRect();
+      crop = { x: -x / zoom, y: -y / zoom, width: box.width / zoom, height: box.height / zoom };
+    }
+    return diagramSvg(ns, es, L, crop);
+  };
+  // Размер без отрисовки — для подсчёта листов плаката
+  const diagramBox = () => {
+    if (chart !== "fan") return diagramImage();
+    const R = FAN_INNER + chartGensShown * FAN_RING;
+    return chartRootId ? { width: R * 2, height: R + 40 } : null;
+  };
+  const exportSvg = () => {
+    const img = diagramImage();
+    if (img) downloadFile(img.svg, "genealogy.svg", "image/svg+xml");
+  };
+  const exportPng = () => {
+    const img = diagramImage();
+    if (!img) return;
+    svgToPng(img, pngScale)
+      .then((blob) => downloadFile(blob, "genealogy.png", "image/png"))
+      .catch(() => alert(t("export.failed")));
+  };
+  const printPoster = () => {
+    const img = diagramImage();
+    if (!img) return;
+    const title = trees.find((x) => x.id === treeId)?.name || t("export.title");
+    const lines = analysis
+      ? [
+          `A: ${nameOf(fromSel)}`,
+          `B: ${nameOf(toSel)}`,
+          `A → B: ${analysis.title}`,
+          `B → A: ${analysis.reverseTitle}`,
+          ...(currentPath ? [currentPath.text] : []),
+          ...(coefficients ? [`r = ${formatShare(coefficients.r)}`] : []),
+        ]
+      : [];
+    const html = posterHtml(img, posterTiles(img.width, img.height, posterPaper, posterScale), { title, analysis: lines, withPath: chart === "tree" && Boolean(highlight), L });
+    const win = window.open("", "_blank");
+    if (!win) {
+      alert(t("export.popupBlocked"));
+      return;
+    }
+    win.document.write(html);
+    win.document.close();
+    win.focus();
+    win.setTimeout(() => win.print(), 300);
+  };
+  const posterLayout = exportOpen ? (() => {
+    const box = diagramBox();
+    return box && posterTiles(box.width, box.height, posterPaper, posterScale);
+  })() : null;
+
+  // Загруженные данные не правим, но сразу сообщаем об ошибках — подробности в панели «Проблемы»
+  const warnImportProblems = (tree) => {
+    const count = validateTree(tree, L).filter((i) => i.severity === "error").length;
+    if (count) alert(t("issue.afterImport", { count }));
+  };
+
+  // Переход к проблеме: узел в центре схемы, выделен, карточка открыта
+  const focusPeople = (ids) => {
+    if (!ids.length) return;
+    setChart("tree");
+    setNodes((ns) => ns.map((n) => ({ ...n, selected: ids.includes(n.id) })));
+    setPendingFocus(ids);
+    setDetailId(ids[0]);
   };
 
+  const importGedcom = (text) => {
+    try {
+      const data = parseGedcom(text);
+      replaceDoc(t("history.import", { format: "GEDCOM" }), data);
+      warnImportProblems(data);
+      setImportReport({ version: data.version, count: data.people.length, unmapped: data.unmapped, warnings: data.warnings });
+    } catch (e) {
+      alert(t("import.badGedcom", { error: e.message }));
+    }
+  };
   const importJSON = (file) => {
     const reader = new FileReader();
     reader.onload = () => {
+      setImportReport(null);
+      if (/\.ged$/i.test(file.name)) return importGedcom(reader.result);
       try {
         const data = JSON.parse(reader.result);
-        if (Array.isArray(data.people) && Array.isArray(data.relations)) {
-          setPeople(data.people);
-          setRels(data.relations);
-        } else if (Array.isArray(data.people) && Array.isArray(data.rels)) {
-          setPeople(data.people);
-          setRels(data.rels);
+        if ((data.schemaVersion ?? 1) > SCHEMA_VERSION) {
+          alert(t("import.newerSchema", { version: data.schemaVersion }));
+        } else if (Array.isArray(data.people) && (Array.isArray(data.relations) || Array.isArray(data.rels))) {
+          const tree = normalizeTree(data);
+          replaceDoc(t("history.import", { format: "JSON" }), tree);
+          warnImportProblems(tree);
         } else {
-          alert("Файл не похож на экспорт этого приложения.");
+          alert(t("import.notOurs"));
         }
       } catch (e) {
-        alert("Не удалось прочитать JSON: " + e.message);
+        alert(t("import.badJson", { error: e.message }));
       }
     };
     reader.readAsText(file);
@@ -713,22 +5392,51 @@ export default function GenealogyApp() {
         <div className="max-w-7xl mx-auto px-4 py-3 flex items-center gap-3">
           <motion.div initial={{ opacity: 0, y: -8 }} animate={{ opacity: 1, y: 0 }} className="flex items-center gap-2">
             <Sigma className="w-5 h-5 text-indigo-600" />
-            <div className="font-semibold tracking-tight">Генеалогический анализатор</div>
+            <div className="font-semibold tracking-tight">{t("app.title")}</div>
           </motion.div>
+          {storageReady ? (
+            <div className="flex items-center gap-1">
+              <select value={treeId} onChange={(e) => switchTree(e.target.value)} title={t("trees.switch")} className="max-w-[180px] px-2 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-sm">
+                {trees.map((x) => (
+                  <option key={x.id} value={x.id}>{x.name}</option>
+                ))}
+              </select>
+              {[
+                { icon: FilePlus, onClick: createTree, key: "trees.create" },
+                { icon: Copy, onClick: duplicateTree, key: "trees.duplicate" },
+                { icon: Pencil, onClick: renameTree, key: "trees.rename" },
+                { icon: Trash2, onClick: deleteTree, key: "trees.delete" },
+              ].map((b) => {
+                const Icon = b.icon;
+                return (
+                  <button key={b.key} onClick={b.onClick} title={t(b.key)} className="p-1.5 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800">
+                    <Icon className="w-4 h-4" />
+                  </button>
+                );
+              })}
+            </div>
+          ) : storageError ? (
+            <span className="text-xs text-amber-600" title={storageError}>{t("trees.noStorage")}</span>
+          ) : null}
           <div className="ml-auto flex items-center gap-2">
+            <select value={locale} onChange={(e) => setLocale(e.target.value)} title={t("app.language")} className="px-2 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 text-sm">
+              {Object.values(LOCALES).map((x) => (
+                <option key={x.code} value={x.code}>{x.name}</option>
+              ))}
+            </select>
             <button
               onClick={loadDemo}
               className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 active:scale-[.98] transition"
-              title="Загрузить пример из задачи"
+              title={t("app.demoHint")}
             >
-              <Wand2 className="w-4 h-4" /> Загрузить пример
+              <Wand2 className="w-4 h-4" /> {t("app.demo")}
             </button>
             <button
               onClick={exportJSON}
               className="inline-flex items-center gap-2 px-3 py-1.5 rounded-xl bg-slate-900 text-white hover:bg-slate-800 dark:bg-slate-800 dark:hover:bg-slate-700 active:scale-[.98] transition"
-              title="Экспортировать JSON"
+              title={t("app.exportHint")}
             >
-              <Download className="w-4 h-4" /> Экспорт
+              <Download className="w-4 h-4" /> {t("app.export")}
             </button>
           </div>
         </div>
@@ -738,116 +5446,378 @@ export default function GenealogyApp() {
         {/* Левая панель: данные */}
         <motion.div initial={{ opacity: 0, x: -12 }} animate={{ opacity: 1, x: 0 }} className="col-span-12 lg:col-span-3 space-y-4">
           <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
-            <div className="font-semibold mb-3 flex items-center gap-2"><Users className="w-4 h-4"/> Люди</div>
+            <div className="font-semibold mb-3 flex items-center gap-2"><Users className="w-4 h-4"/> {t("people.title")}</div>
             <div className="space-y-2">
-              <label className="text-sm">Имя</label>
-              <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="Имя" className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
-              <label className="text-sm">Пол</label>
+              <label className="text-sm">{t("people.name")}</label>
+              <input value={newName} onChange={(e) => setNewName(e.target.value)} placeholder={t("people.name")} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 focus:outline-none focus:ring-2 focus:ring-indigo-500" />
+              <label className="text-sm">{t("people.sex")}</label>
               <select value={newSex} onChange={(e) => setNewSex(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
-                <option value="unknown">Не указан</option>
-                <option value="male">Мужчина</option>
-                <option value="female">Женщина</option>
+                <option value="unknown">{t("sex.unset")}</option>
+                <option value="male">{t("sex.male")}</option>
+                <option value="female">{t("sex.female")}</option>
               </select>
-              <button onClick={addPerson} className="w-full mt-2 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 active:scale-[.98] transition"><Plus className="w-4 h-4"/> Добавить</button>
+              <button onClick={addPerson} className="w-full mt-2 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-emerald-600 text-white hover:bg-emerald-700 active:scale-[.98] transition"><Plus className="w-4 h-4"/> {t("people.add")}</button>
             </div>
           </div>
 
           <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
-            <div className="font-semibold mb-3 flex items-center gap-2"><Link2 className="w-4 h-4"/> Родитель → Ребёнок</div>
+            <div className="font-semibold mb-3 flex items-center gap-2"><Link2 className="w-4 h-4"/> {t("link.title")}</div>
             <div className="space-y-2">
-              <label className="text-sm">Родитель</label>
-              <select value={parentSel} onChange={(e) => setParentSel(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
-                <option value="">—</option>
-                {people.map((p) => (
-                  <option key={p.id} value={p.id}>{p.name}</option>
+              <label className="text-sm">{t("link.parent")}</label>
+              <PersonPicker value={parentSel} onChange={setParentSel} entries={pickerEntries} t={t} />
+              <label className="text-sm">{t("link.child")}</label>
+              <PersonPicker value={childSel} onChange={setChildSel} entries={pickerEntries} t={t} />
+              <button onClick={addParentChild} className="w-full mt-2 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 active:scale-[.98] transition">{t("link.add")}</button>
+            </div>
+          </div>
+
+          <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
+            <div className="font-semibold mb-3 flex items-center gap-2"><Heart className="w-4 h-4"/> {t("unions.title")}</div>
+            <div className="space-y-2">
+              <label className="text-sm">{t("unions.partnerA")}</label>
+              <PersonPicker value={partnerASel} onChange={setPartnerASel} entries={pickerEntries} t={t} />
+              <label className="text-sm">{t("unions.partnerB")}</label>
+              <PersonPicker value={partnerBSel} onChange={setPartnerBSel} entries={pickerEntries} t={t} />
+              <label className="text-sm">{t("unions.kind")}</label>
+              <select value={unionKind} onChange={(e) => setUnionKind(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
+                {UNION_KINDS.map((k) => (
+                  <option key={k} value={k}>{t(`union.${k}`)}</option>
                 ))}
               </select>
-              <label className="text-sm">Ребёнок</label>
-              <select value={childSel} onChange={(e) => setChildSel(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
-                <option value="">—</option>
-                {people.map((p) => (
-                  <option key={p.id} value={p.id}>{p.name}</option>
+              <div className="flex gap-2">
+                <input value={unionStart} onChange={(e) => setUnionStart(e.target.value)} placeholder={t("unions.from")} inputMode="numeric" className="w-1/2 px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800" />
+                <input value={unionEnd} onChange={(e) => setUnionEnd(e.target.value)} placeholder={t("unions.to")} inputMode="numeric" className="w-1/2 px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800" />
+              </div>
+              <button onClick={addUnion} className="w-full mt-2 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-pink-600 text-white hover:bg-pink-700 active:scale-[.98] transition">{t("unions.add")}</button>
+            </div>
+            {unions.length ? (
+              <div className="mt-3 space-y-2 max-h-[200px] overflow-auto pr-1">
+                {unions.map((u) => (
+                  <div key={u.id} className="flex items-center justify-between gap-2 p-2 rounded-xl border border-slate-200 dark:border-slate-800">
+                    <div className="truncate">
+                      <div className="font-medium truncate">{u.partners.map((id) => people.find((p) => p.id === id)?.name || "?").join(" + ")}</div>
+                      <div className="text-xs text-slate-500">{unionLabel(u, L)}</div>
+                    </div>
+                    <button onClick={() => removeUnion(u.id)} className="text-[12px] px-2 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-rose-100 hover:text-rose-700">{t("list.remove")}</button>
+                  </div>
+                ))}
+              </div>
+            ) : null}
+            <div className="mt-3 space-y-2">
+              <label className="text-sm">{t("unions.childOf")}</label>
+              <select value={unionSel} onChange={(e) => setUnionSel(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
+                <option value="">{t("unions.pickUnion")}</option>
+                {unions.map((u) => (
+                  <option key={u.id} value={u.id}>{u.partners.map((id) => people.find((p) => p.id === id)?.name || "?").join(" + ")}</option>
                 ))}
               </select>
-              <button onClick={addParentChild} className="w-full mt-2 inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 active:scale-[.98] transition">Добавить связь</button>
+              <PersonPicker value={unionChildSel} onChange={setUnionChildSel} entries={pickerEntries} placeholder={t("unions.pickChild")} t={t} />
+              <button onClick={attachChildToUnion} className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-indigo-600 text-white hover:bg-indigo-700 active:scale-[.98] transition">{t("unions.attach")}</button>
             </div>
           </div>
 
           <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
-            <div className="font-semibold mb-3">Список</div>
+            <div className="font-semibold mb-3">{t("list.title")}</div>
             <div className="space-y-2 max-h-[280px] overflow-auto pr-1">
               {people.map((p) => (
                 <div key={p.id} className="flex items-center justify-between gap-2 p-2 rounded-xl border border-slate-200 dark:border-slate-800">
-                  <div className="truncate">
-                    <div className="font-medium truncate">{p.name}</div>
-                    <div className="text-xs text-slate-500">{sexBadge(p.sex).text}</div>
-                  </div>
-                  <button onClick={() => removePerson(p.id)} className="text-[12px] px-2 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-rose-100 hover:text-rose-700">Удалить</button>
+                  <button onClick={() => setDetailId(p.id)} title={t("list.open")} className="truncate text-left">
+                    <div className={`font-medium truncate ${detailId === p.id ? "text-indigo-600" : ""}`}>{p.name}</div>
+                    <div className="text-xs text-slate-500">{[sexBadge(p.sex, L).text, lifeSpan(p, L)].filter(Boolean).join(" · ")}</div>
+                  </button>
+                  <button onClick={() => removePerson(p.id)} className="text-[12px] px-2 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-rose-100 hover:text-rose-700">{t("list.remove")}</button>
                 </div>
               ))}
             </div>
-            <div className="mt-3 text-xs text-slate-500">Подсказка: чтобы получить двоих сиблингов, добавьте им общих родителей.</div>
+            <div className="mt-3 text-xs text-slate-500">{t("list.hint")}</div>
           </div>
 
+          {detailPerson ? (
+            <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
+              <div className="font-semibold mb-3">{t("person.title")}</div>
+              <PersonDetails
+                key={detailPerson.id}
+                person={detailPerson}
+                people={people}
+                rels={rels}
+                unions={unions}
+                onChange={(patch) => updatePerson(detailPerson.id, patch)}
+                onUnlink={removeParentLink}
+                onRemoveUnion={removeUnion}
+                onMerge={(dropId) => mergeInto(detailPerson.id, dropId)}
+                onRemove={() => removePerson(detailPerson.id)}
+                pinned={Boolean(positions[detailPerson.id]?.pinned)}
+                onTogglePin={() => togglePin(detailPerson.id)}
+                onSelect={setDetailId}
+                onClose={() => setDetailId("")}
+                t={t}
+                L={L}
+              />
+            </div>
+          ) : null}
+
           <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
-            <div className="font-semibold mb-3">Импорт</div>
-            <input type="file" accept="application/json" onChange={(e) => e.target.files?.[0] && importJSON(e.target.files[0])} className="block w-full text-sm" />
-            <div className="text-xs text-slate-500 mt-2">Загрузите ранее экспортированный JSON.</div>
+            <div className="font-semibold mb-3">{t("import.title")}</div>
+            <input type="file" accept="application/json,.json,.ged" onChange={(e) => e.target.files?.[0] && importJSON(e.target.files[0])} className="block w-full text-sm" />
+            <div className="text-xs text-slate-500 mt-2">{t("import.hint")}</div>
+            {importReport && (
+              <div className="mt-3 text-xs rounded-xl bg-slate-50 dark:bg-slate-800/60 p-2 space-y-1">
+                <div>{t("import.gedcomDone", { version: importReport.version, count: importReport.count })}</div>
+                {importReport.unmapped.length > 0 && (
+                  <div>
+                    <div className="text-amber-700 dark:text-amber-400">{t("import.unmapped")}</div>
+                    <ul className="list-disc ml-4">
+                      {importReport.unmapped.map((u) => (
+                        <li key={u.path}><code>{u.path}</code> × {u.count}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+                {importReport.warnings.map((w) => (
+                  <div key={w} className="text-rose-600">{w}</div>
+                ))}
+              </div>
+            )}
+            <div className="mt-3 flex gap-2">
+              <button onClick={() => exportGedcom("5.5.1")} className="flex-1 text-[12px] px-2 py-1.5 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-slate-200">GEDCOM 5.5.1</button>
+              <button onClick={() => exportGedcom("7.0")} className="flex-1 text-[12px] px-2 py-1.5 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-slate-200">GEDCOM 7.0</button>
+            </div>
           </div>
         </motion.div>
 
         {/* Центр: диаграмма */}
         <motion.div initial={{ opacity: 0 }} animate={{ opacity: 1 }} className="col-span-12 lg:col-span-6 rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 overflow-hidden">
-          <div className="px-4 py-2 border-b border-slate-200 dark:border-slate-800 flex items-center gap-3 text-sm">
-            <span className="font-medium">Направление связей:</span>
-            <span className="inline-flex items-center gap-1">Родитель <span aria-hidden>→</span> Ребёнок</span>
-            <label className="ml-auto inline-flex items-center gap-2 text-xs select-none">
-              <input type="checkbox" className="accent-indigo-600" checked={edgeArrows} onChange={(e) => setEdgeArrows(e.target.checked)} />
-              Показать стрелки
-            </label>
-            <label className="inline-flex items-center gap-2 text-xs select-none">
-              <input type="checkbox" className="accent-violet-600" checked={edgeAnimated} onChange={(e) => setEdgeAnimated(e.target.checked)} />
-              Анимация связей
-            </label>
+          <div className="px-4 py-2 border-b border-slate-200 dark:border-slate-800 flex flex-wrap items-center gap-3 text-sm">
+            <select value={chart} onChange={(e) => setChart(e.target.value)} title={t("chart.view")} className={toolSelectCls}>
+              {CHART_KINDS.map((k) => (
+                <option key={k} value={k}>{t(`chart.${k}`)}</option>
+              ))}
+            </select>
+            {chart === "tree" ? (
+              <>
+                <span className="font-medium">{t("flow.direction")}</span>
+                <span className="inline-flex items-center gap-1">{t("link.parent")} <span aria-hidden>→</span> {t("link.child")}</span>
+                <select value={direction} onChange={(e) => changeDirection(e.target.value)} title={t("flow.layout")} className={`ml-auto ${toolSelectCls}`}>
+                  <option value="TB">{t("flow.layoutTB")}</option>
+                  <option value="LR">{t("flow.layoutLR")}</option>
+                </select>
+                <button onClick={() => relayout()} title={t("flow.relayoutHint")} className="inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs bg-slate-100 dark:bg-slate-800 hover:bg-slate-200">
+                  <LayoutGrid className="w-3.5 h-3.5" /> {t("flow.relayout")}
+                </button>
+                <label className="inline-flex items-center gap-2 text-xs select-none">
+                  <input type="checkbox" className="accent-indigo-600" checked={edgeArrows} onChange={(e) => setEdgeArrows(e.target.checked)} />
+                  {t("flow.arrows")}
+                </label>
+                <label className="inline-flex items-center gap-2 text-xs select-none">
+                  <input type="checkbox" className="accent-violet-600" checked={edgeAnimated} onChange={(e) => setEdgeAnimated(e.target.checked)} />
+                  {t("flow.animated")}
+                </label>
+              </>
+            ) : (
+              <>
+                <label className="inline-flex items-center gap-2 text-xs">
+                  {t("chart.root")}
+                  <select value={chartRootId} onChange={(e) => setChartRoot(e.target.value)} className={`max-w-[200px] ${toolSelectCls}`}>
+                    {people.map((p) => (
+                      <option key={p.id} value={p.id}>{p.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="inline-flex items-center gap-2 text-xs">
+                  {t("chart.generations")}
+                  <select value={chartGensShown} onChange={(e) => setChartGens(Number(e.target.value))} disabled={!chartAvailable} className={toolSelectCls}>
+                    {Array.from({ length: Math.max(1, chartAvailable) }, (_, i) => (
+                      <option key={i} value={i + 1}>{i + 1}</option>
+                    ))}
+                  </select>
+                  <span className="text-slate-500">{t("chart.available", { count: chartAvailable })}</span>
+                </label>
+              </>
+            )}
+            <button onClick={() => setExportOpen((v) => !v)} title={t("export.hint")} className={`inline-flex items-center gap-1 px-2 py-1 rounded-lg text-xs ${exportOpen ? "bg-indigo-100 text-indigo-800" : "bg-slate-100 dark:bg-slate-800 hover:bg-slate-200"}`}>
+              <Download className="w-3.5 h-3.5" /> {t("export.button")}
+            </button>
           </div>
-          <div className="h-[640px]" ref={flowRef}>
-            <ReactFlow
-              nodes={nodes}
-              edges={edges}
-              onNodesChange={onNodesChange}
-              onEdgesChange={onEdgesChange}
-              onConnect={onConnect}
-              nodeTypes={nodeTypes}
-              defaultEdgeOptions={defaultEdgeOptions}
-              connectionLineType="smoothstep"
-              fitView
-            >
-              <Controls position="top-left" />
-              <MiniMap pannable zoomable />
-              <Background gap={16} />
-            </ReactFlow>
+          {exportOpen ? (
+            <div className="px-4 py-2 border-b border-slate-200 dark:border-slate-800 flex flex-wrap items-center gap-3 text-xs">
+              {chart !== "fan" ? (
+                <select value={exportScope} onChange={(e) => setExportScope(e.target.value)} title={t("export.scope")} className={toolSelectCls}>
+                  <option value="all">{t("export.scopeAll")}</option>
+                  <option value="view">{t("export.scopeView")}</option>
+                </select>
+              ) : null}
+              <button onClick={exportSvg} className="px-2 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-slate-200">SVG</button>
+              <span className="inline-flex items-center gap-1">
+                <button onClick={exportPng} className="px-2 py-1 rounded-lg bg-slate-100 dark:bg-slate-800 hover:bg-slate-200">PNG</button>
+                <select value={pngScale} onChange={(e) => setPngScale(Number(e.target.value))} title={t("export.resolution")} className={toolSelectCls}>
+                  {[1, 2, 3, 4].map((k) => (
+                    <option key={k} value={k}>{k}× ({t("export.dpi", { dpi: 96 * k })})</option>
+                  ))}
+                </select>
+              </span>
+              <span className="inline-flex items-center gap-1 ml-auto">
+                {t("export.poster")}
+                <select value={posterPaper} onChange={(e) => setPosterPaper(e.target.value)} title={t("export.paper")} className={toolSelectCls}>
+                  {Object.keys(PAPER_MM).map((k) => (
+                    <option key={k} value={k}>{k}</option>
+                  ))}
+                </select>
+                <select value={posterScale} onChange={(e) => setPosterScale(Number(e.target.value))} title={t("export.scale")} className={toolSelectCls}>
+                  {[0.5, 0.75, 1, 1.5, 2].map((k) => (
+                    <option key={k} value={k}>{k * 100}%</option>
+                  ))}
+                </select>
+                {posterLayout ? <span className="text-slate-500">{t("export.poster.sheets", { n: posterLayout.tiles.length, cols: posterLayout.cols, rows: posterLayout.rows })}</span> : null}
+                <button onClick={printPoster} title={t("export.printHint")} className="px-2 py-1 rounded-lg bg-slate-900 text-white hover:bg-slate-800">{t("export.print")}</button>
+              </span>
+            </div>
+          ) : null}
+          <div className="h-[640px] relative" ref={flowRef} onKeyDown={(e) => e.key === "Escape" && setMenu(null)}>
+            {chart === "fan" ? (
+              chartRootId ? (
+                <FanChart rootId={chartRootId} idx={chartIdx} gens={chartGensShown} L={L} onSelect={setDetailId} onRoot={setChartRoot} />
+              ) : (
+                <div className="h-full flex items-center justify-center text-sm text-slate-500">{t("chart.empty")}</div>
+              )
+            ) : chartFlow ? (
+              <ReactFlow
+                key={`${chart}:${chartRootId}:${chartGensShown}`}
+                onInit={setChartApi}
+                nodes={chartFlow.nodes}
+                edges={chartFlow.edges}
+                nodesDraggable={false}
+                nodesConnectable={false}
+                deleteKeyCode={null}
+                onNodeClick={(_, node) => setDetailId(node.data.personId)}
+                onNodeDoubleClick={(_, node) => setChartRoot(node.data.personId)}
+                nodeTypes={nodeTypes}
+                fitView
+              >
+                <Controls position="top-left" showInteractive={false} />
+                <Background gap={16} />
+              </ReactFlow>
+            ) : (
+              <ReactFlow
+                nodes={shownNodes}
+                edges={shownEdges}
+                onNodesChange={onNodesChange}
+                onEdgesChange={onEdgesChange}
+                onConnect={onConnect}
+                onEdgesDelete={onEdgesDelete}
+                onNodesDelete={onNodesDelete}
+                deleteKeyCode={["Delete", "Backspace"]}
+                onNodeClick={onNodeClick}
+                onNodeContextMenu={onNodeContextMenu}
+                onPaneClick={() => setMenu(null)}
+                onMoveStart={() => setMenu(null)}
+                onNodeDragStop={onNodeDragStop}
+                onInit={setFlowApi}
+                nodeTypes={nodeTypes}
+                defaultEdgeOptions={defaultEdgeOptions}
+                connectionLineType="smoothstep"
+                fitView
+              >
+                <Controls position="top-left" />
+                <MiniMap pannable zoomable />
+                <Background gap={16} />
+              </ReactFlow>
+            )}
+            {menu && chart === "tree" && people.some((p) => p.id === menu.id) ? (
+              <div style={{ left: menu.x, top: menu.y }} className="absolute z-20 w-64 p-1 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800 shadow-lg text-sm">
+                <div className="px-2 py-1 text-xs text-slate-500 truncate">{nameOf(menu.id)}</div>
+                {menu.pick ? (
+                  <div className="p-1 space-y-1">
+                    <div className="text-xs">{t(`menu.${menu.pick}`)}</div>
+                    <PersonPicker
+                      value=""
+                      onChange={(id) => {
+                        if (!id) return;
+                        if (menu.pick === "analyseWith") {
+                          setFromSel(menu.id);
+                          setToSel(id);
+                        } else linkParent(menu.id, id);
+                        setMenu(null);
+                      }}
+                      entries={pickerEntries}
+                      exclude={menu.id}
+                      autoFocus
+                      t={t}
+                    />
+                  </div>
+                ) : (
+                  nodeMenuItems(menu.id).map((item) => (
+                    <button key={item.key} onClick={item.run} className={`w-full text-left px-2 py-1.5 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-700 ${item.danger ? "text-rose-600" : ""}`}>
+                      {t(item.key)}
+                    </button>
+                  ))
+                )}
+              </div>
+            ) : null}
           </div>
+          <div className="px-4 py-2 border-t border-slate-200 dark:border-slate-800 text-xs text-slate-500">{t(chart === "tree" ? "flow.editHint" : "chart.hint")}</div>
         </motion.div>
 
         {/* Правая панель: анализ */}
         <motion.div initial={{ opacity: 0, x: 12 }} animate={{ opacity: 1, x: 0 }} className="col-span-12 lg:col-span-3 space-y-4">
           <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
-            <div className="font-semibold mb-3 flex items-center gap-2"><Sigma className="w-4 h-4"/> Анализ связи</div>
-            <div className="space-y-2">
-              <label className="text-sm">Персона А</label>
-              <select value={fromSel} onChange={(e) => setFromSel(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
-                <option value="">—</option>
-                {people.map((p) => (
-                  <option key={p.id} value={p.id}>{p.name}</option>
-                ))}
-              </select>
-              <label className="text-sm">Персона B</label>
-              <select value={toSel} onChange={(e) => setToSel(e.target.value)} className="w-full px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800">
-                <option value="">—</option>
-                {people.map((p) => (
-                  <option key={p.id} value={p.id}>{p.name}</option>
+            <div className="font-semibold mb-3 flex items-center gap-2">
+              <AlertTriangle className="w-4 h-4" /> {t("issue.title")}
+              {issues.length ? <span className="ml-auto text-xs px-2 py-0.5 rounded-full bg-rose-100 text-rose-700">{issues.length}</span> : null}
+            </div>
+            {issues.length ? (
+              <div className="space-y-1 max-h-[220px] overflow-auto pr-1">
+                {issues.map((i) => (
+                  <button
+                    key={issueKey(i)}
+                    onClick={() => focusPeople(i.ids)}
+                    className={`w-full text-left text-xs p-2 rounded-xl ${i.severity === "error" ? "bg-rose-50 text-rose-900 dark:bg-rose-900/30 dark:text-rose-200" : "bg-amber-50 text-amber-900 dark:bg-amber-900/30 dark:text-amber-200"} hover:ring-2 hover:ring-indigo-300`}
+                  >
+                    {i.message}
+                  </button>
                 ))}
-              </select>
+              </div>
+            ) : (
+              <div className="text-sm text-slate-500">{t("issue.none")}</div>
+            )}
+          </div>
+
+          <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
+            <div className="font-semibold mb-3 flex items-center gap-2">
+              <HistoryIcon className="w-4 h-4" /> {t("history.title")}
+              <div className="ml-auto flex gap-1">
+                <button onClick={() => travel(-1)} disabled={!history.past.length} title={t("history.undo")} className="p-1.5 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-40">
+                  <Undo2 className="w-4 h-4" />
+                </button>
+                <button onClick={() => travel(1)} disabled={!history.future.length} title={t("history.redo")} className="p-1.5 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 disabled:opacity-40">
+                  <Redo2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+            <div className="space-y-0.5 max-h-[200px] overflow-auto pr-1 text-xs">
+              <button onClick={() => travel(-history.past.length)} className={`w-full text-left px-2 py-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 ${history.past.length ? "" : "font-semibold"}`}>
+                {t("history.start")}
+              </button>
+              {history.past.map((cmd, i) => (
+                <button key={`p${i}`} onClick={() => travel(i + 1 - history.past.length)} className={`w-full text-left px-2 py-1 rounded-lg hover:bg-slate-100 dark:hover:bg-slate-800 ${i === history.past.length - 1 ? "font-semibold bg-indigo-50 dark:bg-indigo-900/30" : ""}`}>
+                  {cmd.label}
+                </button>
+              ))}
+              {history.future.map((cmd, i) => (
+                <button key={`f${i}`} onClick={() => travel(i + 1)} className="w-full text-left px-2 py-1 rounded-lg text-slate-400 hover:bg-slate-100 dark:hover:bg-slate-800">
+                  {cmd.label}
+                </button>
+              ))}
+            </div>
+            <div className="mt-2 text-xs text-slate-500">{t("history.hint")}</div>
+          </div>
+
+          <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
+            <div className="font-semibold mb-3 flex items-center gap-2"><Sigma className="w-4 h-4"/> {t("analysis.title")}</div>
+            <div className="space-y-2">
+              <label className="text-sm">{t("analysis.personA")}</label>
+              <PersonPicker value={fromSel} onChange={setFromSel} entries={pickerEntries} t={t} />
+              <label className="text-sm">{t("analysis.personB")}</label>
+              <PersonPicker value={toSel} onChange={setToSel} entries={pickerEntries} t={t} />
 
               {analysis ? (
                 <div className="mt-3 space-y-2">
@@ -859,6 +5829,29 @@ export default function GenealogyApp() {
                     <div className="text-xs uppercase tracking-wide opacity-70">B → A</div>
                     <div className="font-semibold text-sm">{analysis.reverseTitle}</div>
                   </div>
+                  {currentPath ? (
+                    <div className="p-2 rounded-xl border border-indigo-200 dark:border-indigo-900 text-xs space-y-1">
+                      <div className="flex items-center gap-2">
+                        <label className="inline-flex items-center gap-1.5 select-none">
+                          <input type="checkbox" className="accent-indigo-600" checked={showPath} onChange={(e) => setShowPath(e.target.checked)} />
+                          {t("path.show")}
+                        </label>
+                        {pathCount > 1 ? (
+                          <span className="ml-auto inline-flex items-center gap-1">
+                            <button onClick={() => stepPath(-1)} title={t("path.prev")} className="p-0.5 rounded hover:bg-slate-100 dark:hover:bg-slate-800">
+                              <ChevronLeft className="w-4 h-4" />
+                            </button>
+                            {t("path.counter", { i: pathIndex + 1, n: pathCount })}
+                            <button onClick={() => stepPath(1)} title={t("path.next")} className="p-0.5 rounded hover:bg-slate-100 dark:hover:bg-slate-800">
+                              <ChevronRight className="w-4 h-4" />
+                            </button>
+                          </span>
+                        ) : null}
+                      </div>
+                      <div className="text-slate-600 dark:text-slate-400">{currentPath.text}</div>
+                      {currentSentence ? <div className="text-slate-700 dark:text-slate-300">{t("path.sentence", { text: currentSentence })}</div> : null}
+                    </div>
+                  ) : null}
                   {analysis.details?.length ? (
                     <div className="text-xs text-slate-600 dark:text-slate-400 space-y-1">
                       {analysis.details.map((d, i) => (
@@ -866,23 +5859,89 @@ export default function GenealogyApp() {
                       ))}
                     </div>
                   ) : null}
+                  {analysis.paths?.length > 1 ? (
+                    <div className="p-3 rounded-xl bg-amber-50 text-amber-900 dark:bg-amber-900/30 dark:text-amber-200">
+                      <div className="text-xs uppercase tracking-wide opacity-70">{t("analysis.allPaths")}</div>
+                      <div className="font-semibold text-sm">
+                        {analysis.paths.map((rp) => (rp.line ? `${rp.title} ${rp.line}` : rp.title)).join(t("rel.and"))}
+                      </div>
+                      <div className="text-xs mt-1 space-y-1">
+                        {analysis.paths.map((rp, i) => (
+                          <div key={i} onClick={() => setPathPick({ pair: pathPair, index: i })} className={`cursor-pointer rounded ${i === pathIndex ? "bg-amber-100 dark:bg-amber-900/50" : ""}`}>
+                            <div>• {rp.line ? `${rp.title} ${rp.line}` : rp.title} — {t("analysis.via")}: {rp.ancestorsText}</div>
+                            <div className="pl-3 opacity-80">{rp.text}</div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  ) : null}
+                  {coefficients ? (
+                    <div className="p-3 rounded-xl bg-slate-50 text-slate-800 dark:bg-slate-800/60 dark:text-slate-200">
+                      <div className="text-xs uppercase tracking-wide opacity-70">{t("coef.title")}</div>
+                      <div className="font-semibold text-sm">r = {formatShare(coefficients.r)}</div>
+                      <div className="text-xs mt-1 space-y-0.5">
+                        <div>{t("coef.kinship", { f: formatShare(coefficients.f) })}</div>
+                        <div>{t("coef.inbreeding", { FA: formatShare(coefficients.FA), FB: formatShare(coefficients.FB) })}</div>
+                        {coefficients.terms.map((term, i) => (
+                          <div key={i} className="pl-3 opacity-80">
+                            • (1/2)^{term.n + 1}{term.FX ? ` × (1 + ${formatShare(term.FX)})` : ""} = {formatShare(term.contribution)}: {term.text}
+                          </div>
+                        ))}
+                        {coefficients.r > 0 && fromSel !== toSel ? (
+                          <div className="pt-1">
+                            {t("coef.dna", { cM: coefficients.cM.expected })}
+                            {coefficients.cM.min !== null ? t("coef.dnaRange", { min: coefficients.cM.min, max: coefficients.cM.max }) : ""}
+                          </div>
+                        ) : null}
+                        {coefficients.cM.ranges.length > 1
+                          ? coefficients.cM.ranges.map((x, i) => (
+                              <div key={i} className="pl-3 opacity-80">
+                                • {x.title}: {x.range ? `${x.range.avg} ${t("coef.cM")} (${x.range.min}–${x.range.max})` : t("coef.noData")}
+                              </div>
+                            ))
+                          : null}
+                      </div>
+                    </div>
+                  ) : null}
+                  {analysis.hints?.length ? (
+                    <div className="p-3 rounded-xl bg-sky-50 text-sky-900 dark:bg-sky-900/30 dark:text-sky-200">
+                      <div className="text-xs uppercase tracking-wide opacity-70">{t("analysis.hints")}</div>
+                      <div className="text-xs mt-1 space-y-0.5">
+                        {analysis.hints.map((h, i) => (
+                          <div key={i}>• {h}</div>
+                        ))}
+                      </div>
+                    </div>
+                  ) : null}
+                  {analysis.extra?.map((x, i) => (
+                    <div key={i} className="p-3 rounded-xl bg-pink-50 text-pink-900 dark:bg-pink-900/30 dark:text-pink-200">
+                      <div className="text-xs uppercase tracking-wide opacity-70">{t("analysis.alsoAffinal")}</div>
+                      <div className="font-semibold text-sm">{x.title} / {x.reverseTitle}</div>
+                      <div className="text-xs mt-1 space-y-0.5">
+                        {x.details.map((d, j) => (
+                          <div key={j}>• {d}</div>
+                        ))}
+                      </div>
+                    </div>
+                  ))}
                 </div>
               ) : (
-                <div className="mt-2 text-sm text-slate-500">Выберите двух людей для анализа.</div>
+                <div className="mt-2 text-sm text-slate-500">{t("analysis.pickTwo")}</div>
               )}
 
               <div className="mt-4 text-xs text-slate-500">
-                Подсказка: добавьте общих предков, чтобы корректно распознавались «сестра/брат», «тётя/дядя», «двоюродные» и т.д.
+                {t("analysis.hint")}
               </div>
             </div>
           </div>
 
           <div className="rounded-2xl border border-slate-200 dark:border-slate-800 bg-white dark:bg-slate-900 p-4">
-            <div className="font-semibold mb-3 flex items-center gap-2"><Wand2 className="w-4 h-4"/> Быстрый парсер (демо)</div>
+            <div className="font-semibold mb-3 flex items-center gap-2"><Wand2 className="w-4 h-4"/> {t("parser.title")}</div>
             <div className="text-sm text-slate-600 dark:text-slate-400 mb-2">
-              Введите фразу наподобие <span className="font-mono">«его мать -/— младшая сестра её/ее деда по материнской линии»</span> и нажмите Преобразовать.
+              {t("parser.intro")} <span className="font-mono">«его мать — младшая сестра её деда по материнской линии»</span> {t("parser.or")} <span className="font-mono">«дочь двоюродного брата моей бабушки по отцу»</span> {t("parser.introTail")}
+              <div className="mt-1">{t("parser.scenario")}</div>
             </div>
-            <QuickParser onDemo={loadDemo} onApply={applyParsed} />
+            <QuickParser onDemo={loadDemo} onApply={applyParsedScenario} onMerge={mergeParsedScenario} tree={parserTree} entries={pickerEntries} L={L} t={t} />
           </div>
         </motion.div>
       </div>
@@ -901,281 +5960,671 @@ function normalizeText(s) {
     .trim();
 }
 
-// ===== Продвинутый парсер: «его/ее <родственник> — (младшая|старшая)? (сестра|брат) ее/его <родственник> [по <линии>] =====
+// ===== Разбор фраз о родстве =====
+// Фраза — одна цепочка терминов или две, соединённые связкой («—», «это», «является»):
+//   «дочь двоюродного брата моей бабушки по отцу»,
+//   «его мать — младшая сестра её деда по материнской линии».
+// Цепочка читается изнутри наружу: притяжательное слово (его, её, мой…) стоит перед самым
+// внутренним термином и задаёт, от кого идёт отсчёт; каждый следующий термин — родственник
+// предыдущего (в родительном падеже). Термин — [младший|старший] [двоюродный…] [(пра)внучатый]
+// (пра)*существительное [по отцу|по матери|по … линии]. Вместо притяжательного слова цепочку
+// может замыкать имя: «дочь Петра»; имя само по себе — человек: «Анна — дочь Петра». Две цепочки
+// описывают одного человека: их концы склеиваются.
+//
+// Сценарий — несколько таких предложений и вопрос: «Анна — дочь Петра. Пётр — брат Марии.
+// Кто Анна для сына Марии?». Люди с одним именем в разных падежах — один человек.
+//
+// Термин — ходы по дереву: вверх на up поколений до общего предка и вниз на down (как l и k
+// в kinshipTerms, поэтому названия промежуточных людей берутся оттуда же) или к супругу.
+
+const kinMove = (up, down) => [{ up, down }];
+const KIN_NOUNS = [
+  { forms: ["мать", "матери", "матерью", "мама", "мамы", "мамой"], sex: "female", moves: () => kinMove(1, 0) },
+  { forms: ["отец", "отца", "отцом", "папа", "папы", "папой"], sex: "male", moves: () => kinMove(1, 0) },
+  { forms: ["родитель", "родителя", "родителем"], sex: "unknown", moves: () => kinMove(1, 0) },
+  { forms: ["сын", "сына", "сыном"], sex: "male", moves: () => kinMove(0, 1) },
+  { forms: ["дочь", "дочери", "дочерью", "дочка", "дочки", "дочкой"], sex: "female", moves: () => kinMove(0, 1) },
+  { forms: ["ребёнок", "ребёнка", "ребёнком"], sex: "unknown", moves: () => kinMove(0, 1) },
+  { forms: ["брат", "брата", "братом"], sex: "male", degree: true, moves: (n) => kinMove(n + 1, n + 1) },
+  { forms: ["сестра", "сестры", "сестрой"], sex: "female", degree: true, moves: (n) => kinMove(n + 1, n + 1) },
+  { forms: ["дед", "деда", "дедом", "дедушка", "дедушки", "дедушкой"], sex: "male", degree: true, pra: true, moves: (n, m) => kinMove(n + m + 2, n) },
+  { forms: ["бабушка", "бабушки", "бабушкой", "бабка", "бабки", "бабкой"], sex: "female", degree: true, pra: true, moves: (n, m) => kinMove(n + m + 2, n) },
+  { forms: ["внук", "внука", "внуком"], sex: "male", pra: true, moves: (n, m) => kinMove(0, m + 2) },
+  { forms: ["внучка", "внучки", "внучкой"], sex: "female", pra: true, moves: (n, m) => kinMove(0, m + 2) },
+  { forms: ["дядя", "дяди", "дядей"], sex: "male", degree: true, moves: (n) => kinMove(n + 2, n + 1) },
+  { forms: ["тётя", "тёти", "тётей", "тётка", "тётки", "тёткой"], sex: "female", degree: true, moves: (n) => kinMove(n + 2, n + 1) },
+  { forms: ["племянник", "племянника", "племянником"], sex: "male", degree: true, grand: true, moves: (n, m, g) => kinMove(n + 1, n + 2 + g) },
+  { forms: ["племянница", "племянницы", "племянницей"], sex: "female", degree: true, grand: true, moves: (n, m, g) => kinMove(n + 1, n + 2 + g) },
+  { forms: ["муж", "мужа", "мужем", "супруг", "супругом"], sex: "male", moves: () => [{ spouse: true }] },
+  { forms: ["жена", "жены", "женой", "супруга", "супруги", "супругой"], sex: "female", moves: () => [{ spouse: true }] },
+  // свойство — через супруга; «зять» здесь — муж дочери, «невестка» — жена сына
+  { forms: ["тесть", "тестя", "тестем"], sex: "male", moves: () => [{ spouse: true, sex: "female" }, { up: 1, down: 0 }] },
+  { forms: ["тёща", "тёщи", "тёщей"], sex: "female", moves: () => [{ spouse: true, sex: "female" }, { up: 1, down: 0 }] },
+  { forms: ["свёкор", "свёкра", "свёкром"], sex: "male", moves: () => [{ spouse: true, sex: "male" }, { up: 1, down: 0 }] },
+  { forms: ["свекровь", "свекрови", "свекровью"], sex: "female", moves: () => [{ spouse: true, sex: "male" }, { up: 1, down: 0 }] },
+  { forms: ["деверь", "деверя", "деверем"], sex: "male", moves: () => [{ spouse: true, sex: "male" }, { up: 1, down: 1 }] },
+  { forms: ["золовка", "золовки", "золовкой"], sex: "female", moves: () => [{ spouse: true, sex: "male" }, { up: 1, down: 1 }] },
+  { forms: ["шурин", "шурина", "шурином"], sex: "male", moves: () => [{ spouse: true, sex: "female" }, { up: 1, down: 1 }] },
+  { forms: ["свояченица", "свояченицы", "свояченицей"], sex: "female", moves: () => [{ spouse: true, sex: "female" }, { up: 1, down: 1 }] },
+  { forms: ["зять", "зятя", "зятем"], sex: "male", moves: () => [{ up: 0, down: 1, sex: "female" }, { spouse: true }] },
+  { forms: ["невестка", "невестки", "невесткой", "сноха", "снохи", "снохой"], sex: "female", moves: () => [{ up: 0, down: 1, sex: "male" }, { spouse: true }] },
+  { forms: ["отчим", "отчима", "отчимом"], sex: "male", moves: () => [{ up: 1, down: 0, sex: "female" }, { spouse: true }] },
+  { forms: ["мачеха", "мачехи", "мачехой"], sex: "female", moves: () => [{ up: 1, down: 0, sex: "male" }, { spouse: true }] },
+  { forms: ["пасынок", "пасынка", "пасынком"], sex: "male", moves: () => [{ spouse: true }, { up: 0, down: 1 }] },
+  { forms: ["падчерица", "падчерицы", "падчерицей"], sex: "female", moves: () => [{ spouse: true }, { up: 0, down: 1 }] },
+];
+const KIN_LEXICON = new Map(KIN_NOUNS.flatMap((n) => n.forms.map((f) => [searchNorm(f), n])));
 
-const PRONOUN = new Set(["его", "ее", "её"]);
-const FILLERS = new Set(["это", "есть", "является", "явл"]);
-const SIBLING_WORDS = new Set(["сестра", "брат"]);
-const RANK_WORDS = new Set(["младшая", "старшая", "младший", "старший"]);
+// Чей родственник: притяжательное слово → человек, от которого идёт цепочка
+const KIN_OWNERS = { его: "he", ее: "she", мой: "me", моя: "me", мое: "me", мои: "me", моего: "me", моей: "me", моему: "me", моим: "me", моих: "me", мою: "me", моем: "me" };
+const KIN_OWNER_PERSON = { he: ["Он", "male"], she: ["Она", "female"], me: ["Я", "unknown"] };
+const kinOwnerWord = (owner, sex) => (owner === "he" ? "его" : owner === "she" ? "её" : sexNoun(sex, "мой", "моя"));
+// Связки между двумя цепочками (тире пропадают при разбиении на слова)
+const KIN_LINKS = new Set(["это", "есть", "является", "приходится", "был", "была"]);
 
-const motherWords = new Set(["мать", "мама"]);
-const fatherWords = new Set(["отец", "папа"]);
+const KIN_ADJ_END = /^(ый|ий|ой|ая|яя|ое|ее|ого|его|ей|ую|юю|ым|им|ом|ем|ые|ие|ых|их)$/;
+const kinAdjective = (word, stem) => word.startsWith(stem) && KIN_ADJ_END.test(word.slice(stem.length));
 
-function isGrandfatherWord(w) {
-    return /^дед/.test(w) || /^дедушк/.test(w);
+// Вопрос сценария: «Кто Анна для сына Марии?», «Как связаны Анна и Пётр?» — второй человек
+// называется после «для», «и» или «с»
+const KIN_QUESTION = new Set(["кто", "кем", "как", "связаны", "приходится", "приходятся"]);
+const KIN_QUESTION_LINKS = new Set(["для", "и", "с", "друг", "другу"]);
+
+// Слова фразы с местом в исходной строке (offset — начало фрагмента); регистр и «ё» не важны
+function kinTokens(text, offset = 0) {
+  return [...(text || "").matchAll(/[a-zа-яё0-9]+/gi)].map((m) => ({ word: searchNorm(m[0]), raw: m[0], start: offset + m.index, end: offset + m.index + m[0].length }));
 }
 
-function isGrandmotherWord(w) {
-    return /^баб/.test(w);
+// Ошибка разбора: start/end — границы непонятого слова в исходной строке (без слова — конец строки)
+function kinParseError(message, token, text) {
+  const at = token ? token.start : text.length;
+  return Object.assign(new Error(`${message} (позиция ${at + 1})`), { start: at, end: token ? token.end : at });
 }
 
-function takeLine(tokens, i) {
-    // «по материнской линии» | «по отцовской линии»
-    if (tokens[i] === "по" && (tokens[i + 1] === "материнской" || tokens[i + 1] === "отцовской") && tokens[i + 2] === "линии") {
-        const side = tokens[i + 1] === "материнской" ? "maternal" : "paternal";
-        return {
-            side,
-            next: i + 3
-        };
-    }
-    return {
-        side: null,
-        next: i
-    };
+// «по отцу», «по матери», «по отцовской линии», «по линии матери», «со стороны отца»
+function takeKinLine(tokens, i) {
+  const w = (k) => tokens[i + k]?.word;
+  const side = (x) => (/^(отц|пап)/.test(x) ? "paternal" : /^(матер|мам)/.test(x) ? "maternal" : null);
+  if (w(0) === "по" && side(w(1)) && w(2) === "линии") return { side: side(w(1)), next: i + 3 };
+  if (w(0) === "по" && w(1) === "линии" && side(w(2))) return { side: side(w(2)), next: i + 3 };
+  if (w(0) === "по" && side(w(1))) return { side: side(w(1)), next: i + 2 };
+  if (w(0) === "со" && w(1) === "стороны" && side(w(2))) return { side: side(w(2)), next: i + 3 };
+  return { side: null, next: i };
 }
 
-function parseRelativeSpec(tokens, i0) {
-    // Ожидаем: (его|ее|её) <мать|отец|дед|бабушка> [по <линии>]
-    let i = i0;
-    const pron = tokens[i];
-    if (!PRONOUN.has(pron)) throw new Error("Ожидали «его/ее»");
-    const base = pron === "его" ? "he" : "she";
-    i++;
-
-    const w = tokens[i];
-    if (!w) throw new Error("Ожидали термин родства после «его/ее»");
-
-    let steps = [];
-    let terminalLabel = "";
-    let terminalSex = "unknown";
-    let note = "";
-
-    if (motherWords.has(w)) {
-        steps = ["mother"];
-        terminalSex = "female";
-        terminalLabel = base === "he" ? "Его мать" : "Её мать";
-        i++;
-    } else if (fatherWords.has(w)) {
-        steps = ["father"];
-        terminalSex = "male";
-        terminalLabel = base === "he" ? "Его отец" : "Её отец";
-        i++;
-    } else if (isGrandfatherWord(w) || isGrandmotherWord(w)) {
-        const gf = isGrandfatherWord(w);
-        i++;
-        const {
-            side,
-            next
-        } = takeLine(tokens, i);
-        i = next;
-
-        if (!side) {
-            // Без линии неоднозначно: дед может быть с мат. или отц. стороны — просим уточнить
-            throw new Error("Уточните линию: «по материнской линии» или «по отцовской линии» для «дед/бабушка»");
-        }
+// Определение перед термином: { rank } | { degree } | { grand } | { plain } («родной»), иначе null
+function kinModifier(w) {
+  if (kinAdjective(w, "младш") || kinAdjective(w, "старш")) return { rank: w.startsWith("младш") ? "younger" : "elder" };
+  const degree = COUSIN_DEGREE_STEMS.findIndex((stem, n) => n > 0 && kinAdjective(w, stem));
+  if (degree > 0) return { degree };
+  const grand = w.match(/^(пра)*внучат/);
+  if (grand && kinAdjective(w, grand[0])) return { grand: 1 + (grand[0].length - "внучат".length) / 3 };
+  return kinAdjective(w, "родн") ? { plain: true } : null;
+}
 
-        if (side === "maternal") {
-            steps = ["mother", gf ? "father" : "mother"];
-        } else {
-            steps = ["father", gf ? "father" : "mother"];
-        }
+// Существительное-термин с приставками «пра»: { noun, pra } или null
+function kinNoun(word) {
+  let pra = 0;
+  let w = word;
+  while (!KIN_LEXICON.has(w) && w.startsWith("пра")) {
+    w = w.slice(3);
+    pra++;
+  }
+  const noun = KIN_LEXICON.get(w);
+  return noun && (!pra || noun.pra) ? { noun, pra } : null;
+}
 
-        terminalSex = gf ? "male" : "female";
-        const lineText = side === "maternal" ? "по материнской линии" : "по отцовской линии";
-        // Лейбл делаем «Его/Её дед|бабушка (по ... линии)»
-        const baseWord = gf ? "дед" : "бабушка";
-        terminalLabel = (base === "he" ? "Его " : "Её ") + baseWord + " (" + lineText + ")";
-    } else {
-        throw new Error("Неизвестный термин родства: " + w);
-    }
+function parseKinTerm(tokens, i, text) {
+  let rank = null;
+  let rankToken = null;
+  let degree = 0;
+  let grand = 0;
+  for (let mod; i < tokens.length && (mod = kinModifier(tokens[i].word)); i++) {
+    if (mod.rank) rankToken = tokens[i];
+    rank = mod.rank || rank;
+    degree = mod.degree || degree;
+    grand = mod.grand || grand;
+  }
+  const token = tokens[i];
+  if (!token) throw kinParseError("Фраза оборвалась: ожидали термин родства", null, text);
+  const found = kinNoun(token.word);
+  if (!found) throw kinParseError(`Непонятное слово «${token.raw}»`, token, text);
+  const { noun, pra } = found;
+  if (degree && !noun.degree) throw kinParseError(`«${token.raw}» не бывает двоюродным`, token, text);
+  if (grand && !noun.grand) throw kinParseError(`«внучатый» относится только к племянникам, а не к «${token.raw}»`, token, text);
+  const line = takeKinLine(tokens, i + 1);
+  const moves = noun.moves(degree, pra, grand);
+  if (line.side && !(moves.length === 1 && moves[0].up >= 1)) throw kinParseError(`У «${token.raw}» нет линии по отцу или матери`, token, text);
+  // старшинство сравнивает только братьев и сестёр: «младший брат», «старшая тётя» (сестра родителя)
+  if (rank && !(moves.length === 1 && !moves[0].spouse && moves[0].up >= 1 && moves[0].down === 1))
+    throw kinParseError(`«${rankToken.raw}» понятно только у брата, сестры, дяди и тёти, а не у «${token.raw}»`, rankToken, text);
+  return { noun, moves, rank, side: line.side, token, next: line.next };
+}
 
-    return {
-        base, // "he" | "she"
-        steps, // ["mother"] | ["father"] | ["mother","father"] | ...
-        terminalLabel,
-        terminalSex,
-        note,
-        next: i,
-    };
+// Имя — слова с заглавной буквы, которые не термины и не служебные слова: «Анна», «Ивана Петрова»
+const isKinNameToken = (t) =>
+  t && /^[A-ZА-ЯЁ]/.test(t.raw) && !KIN_OWNERS[t.word] && !KIN_LINKS.has(t.word) && !KIN_QUESTION.has(t.word) && !kinModifier(t.word) && !kinNoun(t.word);
+
+function takeKinName(tokens, i) {
+  let j = i;
+  while (isKinNameToken(tokens[j])) j++;
+  return j > i ? { words: tokens.slice(i, j).map((t) => t.raw), token: tokens[i], next: j } : null;
 }
 
-function parseSiblingConnector(tokens, i0) {
-    // [—|-|это|есть|является]* [младшая|старшая]? (сестра|брат)
-    let i = i0;
-    // пропускаем «—», «-», фильтры
-    while (i < tokens.length && (FILLERS.has(tokens[i]) || tokens[i] === "—" || tokens[i] === "-")) i++;
+// Ключ имени, общий для падежей: «Пётр», «Петра», «Петру» → «петр»; «Павел», «Павла» → «павл»
+const KIN_NAME_ENDING = /(ией|ием|еем|ея|ею|ии|ия|ию|ой|ей|ом|ем|ою|а|я|у|ю|е|ы|и|й)$/;
+const kinNameKey = (words) =>
+  words
+    .map((w) => {
+      let k = searchNorm(w).replace(/ь/g, "");
+      const end = k.length > 3 && k.match(KIN_NAME_ENDING);
+      if (end) k = k.slice(0, -end[0].length);
+      return k.replace(/([^аеиоуыэюя])[ео]([^аеиоуыэюя])$/, "$1$2");
+    })
+    .join(" ");
 
-    let rank = null;
-    if (i < tokens.length && RANK_WORDS.has(tokens[i])) {
-        rank = tokens[i];
-        i++;
-    }
+// Именительный падеж по родительному, пока имя не встретилось само: «Петра» → «Петр», «Марии» → «Мария».
+// Срабатывает первое подходящее правило.
+const KIN_NOMINATIVE = [
+  [/ии$/, "ия"],
+  [/([гкх])и$/, "$1а"],
+  [/ы$/, "а"],
+  [/ой$/, "а"],
+  [/([аеиоуэюя])я$/, "$1й"],
+  [/и$/, "я"],
+  [/([^аеиоуыэюя])я$/, "$1ь"],
+  [/([^аеиоуыэюяй])а$/, "$1"],
+];
+const kinNominative = (word) => {
+  const rule = KIN_NOMINATIVE.find(([re]) => re.test(word));
+  return rule ? word.replace(rule[0], rule[1]) : word;
+};
 
-    if (i >= tokens.length || !SIBLING_WORDS.has(tokens[i])) {
-        throw new Error("Ожидали «сестра/брат»");
-    }
-    const kind = tokens[i]; // "сестра" | "брат"
-    i++;
+// Цепочка: термины до притяжательного слова или имени и термин после притяжательного слова.
+// Имя без терминов — сам человек («Анна»), после терминов — тот, от кого они отсчитаны («дочь Петра»).
+function parseKinChain(tokens, i, text) {
+  const terms = [];
+  for (;;) {
+    if (i >= tokens.length) throw kinParseError("Чей это родственник? Ожидали «его», «её», «мой» или имя", null, text);
+    const name = takeKinName(tokens, i);
+    if (name) return { name, terms: terms.reverse(), next: name.next };
+    const owner = KIN_OWNERS[tokens[i].word];
+    const term = parseKinTerm(tokens, owner ? i + 1 : i, text);
+    terms.push(term);
+    i = term.next;
+    if (owner) return { owner, terms: terms.reverse(), next: i };
+  }
+}
 
-    return {
-        kind,
-        rank,
-        next: i
-    };
+// Предложение: утверждение «X — Y» (одна или две цепочки) или вопрос «Кто X для Y?»
+function parseKinSentence(tokens, text, asked) {
+  const question = asked || KIN_QUESTION.has(tokens[0].word);
+  const skip = (w) => KIN_LINKS.has(w) || (question && (KIN_QUESTION.has(w) || KIN_QUESTION_LINKS.has(w)));
+  const chains = [];
+  let i = 0;
+  for (;;) {
+    while (i < tokens.length && skip(tokens[i].word)) i++;
+    if (i >= tokens.length) break;
+    if (chains.length === 2) throw kinParseError(`Лишнее слово «${tokens[i].raw}»`, tokens[i], text);
+    const chain = parseKinChain(tokens, i, text);
+    chains.push(chain);
+    i = chain.next;
+  }
+  // одни связки («это») — в предложении нет ни одного человека; подсвечивается всё предложение
+  if (!chains.length) throw kinParseError("В предложении нет ни одного человека: «Анна — дочь Петра»", { start: tokens[0].start, end: tokens.at(-1).end }, text);
+  if (question && chains.length !== 2) throw kinParseError("В вопросе нужны двое: «Кто Анна для сына Марии?»", chains.length ? tokens.at(-1) : tokens[0], text);
+  return { chains, question };
 }
 
-function makeNodeKey(base, path) {
-    return base + ":" + path.join("/");
+// Сценарий — предложения, разделённые точкой, «?», «;» или переводом строки
+function parseKinshipScenario(text) {
+  const sentences = [];
+  for (const m of (text || "").matchAll(/[^.?!;\n]+[.?!;]?/g)) {
+    const tokens = kinTokens(m[0], m.index);
+    if (tokens.length) sentences.push(parseKinSentence(tokens, text, m[0].trim().endsWith("?")));
+  }
+  if (!sentences.length) throw kinParseError("Пустая строка", null, text);
+  return sentences;
 }
 
-function labelForPath(base, path) {
-    // Генерация лейбла и пола для каждой вершины на пути
-    if (path.length === 1) {
-        const s = path[0];
-        if (s === "mother") return {
-            label: base === "he" ? "Его мать" : "Её мать",
-            sex: "female"
-        };
-        if (s === "father") return {
-            label: base === "he" ? "Его отец" : "Её отец",
-            sex: "male"
-        };
-    }
-    if (path.length === 2) {
-        const [first, second] = path;
-        const lineText = first === "mother" ? "по материнской линии" : "по отцовской линии";
-        const isGrandfather = second === "father";
-        const label =
-            (base === "he" ? "Его " : "Её ") + (isGrandfather ? "дед" : "бабушка") + " (" + lineText + ")";
-        const sex = isGrandfather ? "male" : "female";
-        return {
-            label,
-            sex
-        };
+// Граф по разобранному сценарию. Уже известные родители и супруги переиспользуются, поэтому
+// цепочки от одного человека сходятся; общий предок братьев и кузенов — пара, чтобы родство
+// не выглядело неполнородным. Имена строятся как «термин + родительный падеж предыдущего».
+// Люди с именами общие для всех предложений; вопрос задаёт пару для анализа (focusA/focusB),
+// без вопроса пара берётся из первого утверждения.
+function buildKinshipGraph(sentences, text) {
+  let people = [];
+  let rels = [];
+  let unions = [];
+  const phrase = new Map(); // id → { head, tail, gen? }: head склоняется, tail уже в родительном падеже
+  const named = new Map(); // ключ имени → id
+  const anchors = new Set(); // «Он», «Она», «Я»
+  const alias = new Map(); // склеенный id → id, в который он влит
+  const resolve = (id) => (alias.has(id) ? resolve(alias.get(id)) : id);
+  const byId = (id) => people.find((p) => p.id === resolve(id));
+  const add = (head, tail, sex) => {
+    const name = `${head}${tail ? " " + tail : ""}`;
+    const p = { id: genId(), name: name[0].toUpperCase() + name.slice(1), sex };
+    phrase.set(p.id, { head, tail });
+    people.push(p);
+    return p;
+  };
+  const ofWhom = (base) => {
+    const { head, tail, gen } = phrase.get(base.id);
+    return gen || `${genitive(head)}${tail ? " " + tail : ""}`;
+  };
+  // имя родственника base: «её мать» от владельца, иначе «мать её деда»
+  const relative = (title, base, owner, sex) => (owner ? add(`${kinOwnerWord(owner, sex)} ${title}`, "", sex) : add(title, ofWhom(base), sex));
+  const opposite = (sex) => (sex === "male" ? "female" : sex === "female" ? "male" : "unknown");
+  const parentsOf = (id) => rels.filter((r) => r.childId === id).map((r) => byId(r.parentId));
+  const childrenOf = (id) => rels.filter((r) => r.parentId === id).map((r) => byId(r.childId));
+  const isAncestor = (anc, id) => parentsOf(id).some((p) => p.id === anc || isAncestor(anc, p.id));
+  const link = (parent, child, union) => rels.push(union ? { parentId: parent.id, childId: child.id, unionId: union.id } : { parentId: parent.id, childId: child.id });
+  const marry = (a, b) => {
+    const u = { id: "u" + genId(), partners: [a.id, b.id], kind: "marriage" };
+    unions.push(u);
+    return u;
+  };
+  const partnerOf = (p) => {
+    const u = unions.find((x) => x.partners.includes(p.id));
+    return u && { union: u, person: byId(u.partners.find((id) => id !== p.id)) };
+  };
+
+  // Старшинство братьев и сестёр из «младшая сестра X»: пары { elder, younger, token }.
+  // Противоречие (кто-то старше самого себя через цепочку пар) — ошибка у слова, которое его создало.
+  const elder = [];
+  const checkOrder = (token) => {
+    const after = (id) => elder.filter((o) => resolve(o.elder) === id).map((o) => resolve(o.younger));
+    const reaches = (from, to, seen = new Set()) => after(from).some((id) => id === to || (!seen.has(id) && seen.add(id) && reaches(id, to, seen)));
+    const bad = elder.find((o) => reaches(resolve(o.younger), resolve(o.elder)) || resolve(o.younger) === resolve(o.elder));
+    if (bad) {
+      const [a, b] = [byId(bad.elder), byId(bad.younger)];
+      throw kinParseError(a.id === b.id ? `«${a.name}» не может быть старше самого себя` : `«${a.name}» не может быть и старше, и младше «${b.name}»`, token, text);
     }
-    // Прочие колена (на будущее)
-    return {
-        label: (base === "he" ? "Его предок" : "Её предок") + " в " + path.length + "-м колене",
-        sex: "unknown"
+  };
+  // birthOrder — уровень в порядке старшинства (1 — старший): без пропусков, несравнимые — одного уровня
+  const applyOrder = () => {
+    const level = new Map();
+    const depth = (id) => {
+      if (!level.has(id)) level.set(id, 1 + Math.max(0, ...elder.filter((o) => resolve(o.younger) === id).map((o) => depth(resolve(o.elder)))));
+      return level.get(id);
     };
-}
+    elder.forEach((o) => [o.elder, o.younger].forEach((id) => depth(resolve(id))));
+    people = people.map((x) => (level.has(x.id) ? { ...x, birthOrder: level.get(x.id) } : x));
+  };
 
-function buildGraphFromSibling(leftSpec, connector, rightSpec) {
-    // people, rels
-    let people = [];
-    let rels = [];
-    let byKey = new Map();
-
-    const add = (name, sex, note) => {
-        // реюз по имени (для простоты/детерминизма парсера)
-        const k = "name:" + name;
-        if (byKey.has(k)) return byKey.get(k);
-        const p = {
-            id: genId(),
-            name,
-            sex,
-            note
-        };
-        byKey.set(k, p);
-        people.push(p);
-        return p;
-    };
+  // Один ход от base; title(k, l, sex) — название человека на k поколений ниже и l выше base.
+  // Конечный человек хода называется finalTitle от начала термина (finalOf): «моя тёща», а не «мать моей жены».
+  // В вопросе (reuse) уже известный единственный подходящий ребёнок переиспользуется, а не создаётся.
+  // ranked — термин с «младший/старший»: конечный человек сравнивается с братом или сестрой на пути (fork).
+  const step = (base, owner, move, sex, finalTitle, finalOf, reuse, ranked) => {
+    const isFinal = (k, l) => k === move.down && l === move.up;
+    const title = (k, l, s) => (finalTitle && isFinal(k, l) ? finalTitle : kinshipTerms(k, l, s, "unknown").title);
+    const name = (k, l, s) => (finalOf && isFinal(k, l) ? relative(title(k, l, s), finalOf.base, finalOf.owner, s) : relative(title(k, l, s), base, owner, s));
+    if (move.spouse) {
+      const known = partnerOf(base);
+      if (known) return known.person;
+      const p = finalOf ? relative(finalTitle, finalOf.base, finalOf.owner, sex) : relative(finalTitle || partnerTerm(sex), base, owner, sex);
+      marry(base, p);
+      return p;
+    }
+    let cur = base;
+    let fork = null;
+    for (let s = 1; s <= move.up; s++) {
+      const last = s === move.up;
+      const top = last && move.down > 0;
+      const want = last && !move.down ? sex : s === 1 && move.side ? (move.side === "paternal" ? "male" : "female") : "unknown";
+      const known = parentsOf(cur.id);
+      let parent = want !== "unknown" ? known.find((p) => p.sex === want) : top ? known.find((p) => p.sex === "male") || known[0] : null;
+      if (!parent) {
+        const sx = want === "unknown" && top ? "male" : want;
+        parent = name(0, s, sx);
+        link(parent, cur);
+      }
+      fork = cur;
+      cur = parent;
+    }
+    if (!move.down) return cur;
+    // общий предок — пара: второй родитель «развилки» или новый партнёр
+    let mate = partnerOf(cur);
+    if (!mate && fork) {
+      const other = parentsOf(fork.id).find((p) => p.id !== cur.id);
+      const person = other || relative(kinshipTerms(0, move.up, opposite(cur.sex), "unknown").title, base, owner, opposite(cur.sex));
+      if (!other) link(person, fork);
+      mate = { person, union: marry(cur, person) };
+      rels = rels.map((r) => (r.childId === fork.id && (r.parentId === cur.id || r.parentId === person.id) ? { ...r, unionId: mate.union.id } : r));
+    }
+    for (let s = 1; s <= move.down; s++) {
+      const sx = s === move.down ? sex : "unknown";
+      const known = reuse ? childrenOf(cur.id).filter((c) => c.id !== fork?.id && (sx === "unknown" || c.sex === sx)) : [];
+      if (known.length === 1) {
+        cur = known[0];
+        continue;
+      }
+      const child = name(s, move.up, sx);
+      link(cur, child, s === 1 && mate?.union);
+      if (s === 1 && mate) link(mate.person, child, mate.union);
+      cur = child;
+    }
+    // «младший дядя» — младший брат родителя; другие термины с рангом отклоняет parseKinTerm
+    if (ranked) {
+      const [a, b] = ranked.rank === "elder" ? [cur, fork] : [fork, cur];
+      elder.push({ elder: a.id, younger: b.id, token: ranked.token });
+      checkOrder(ranked.token);
+    }
+    return cur;
+  };
 
-    const ensureChain = (base, steps) => {
-        // базовый узел «Он/Она»
-        const root = add(base === "he" ? "Он" : "Она", base === "he" ? "male" : "female");
-        // приращиваем путь
-        let child = root;
-        for (let d = 0; d < steps.length; d++) {
-            const path = steps.slice(0, d + 1);
-            const {
-                label,
-                sex
-            } = labelForPath(base, path);
-            const node = add(label, sex);
-            // node => child (родитель -> ребёнок)
-            if (!rels.some(r => r.parentId === node.id && r.childId === child.id)) {
-                rels.push({
-                    parentId: node.id,
-                    childId: child.id
-                });
-            }
-            child = node;
-        }
-        return child; // терминальный узел цепочки
-    };
+  // Человек, от которого идёт цепочка: «Он»/«Она»/«Я» или названный по имени
+  const anchorOf = (chain) => {
+    if (chain.owner) {
+      const [name, sex] = KIN_OWNER_PERSON[chain.owner];
+      const p = people.find((x) => x.name === name && phrase.get(x.id)?.head === name) || add(name, "", sex);
+      anchors.add(p.id);
+      return p;
+    }
+    const { words } = chain.name;
+    const nominative = !chain.terms.length;
+    const key = kinNameKey(words);
+    let p = named.has(key) && byId(named.get(key));
+    if (!p) {
+      p = add(nominative ? words.join(" ") : words.map(kinNominative).join(" "), "", "unknown");
+      named.set(key, p.id);
+    }
+    const entry = phrase.get(p.id);
+    if (nominative) {
+      // имя в именительном падеже точнее восстановленного из родительного
+      people = people.map((x) => (x.id === p.id ? { ...x, name: words.join(" ") } : x));
+      phrase.set(p.id, { ...entry, head: words.join(" ") });
+    } else phrase.set(p.id, { ...entry, gen: words.join(" ") });
+    return byId(p.id);
+  };
 
-    // строим левую и правую ветки
-    const leftNode = ensureChain(leftSpec.base, leftSpec.steps);
-    if (connector.rank) {
-        leftNode.note = leftNode.note ? leftNode.note + "; " + connector.rank : connector.rank;
-    }
-    const rightNode = ensureChain(rightSpec.base, rightSpec.steps);
-
-    // делаем их сиблингов: добавим общих родителей
-    const commonGF = add("Общий прадед", "male");
-    const commonGM = add("Общая прабабушка", "female");
-    // Общие родители → левый и правый
-    for (const parent of [commonGF, commonGM]) {
-        if (!rels.some(r => r.parentId === parent.id && r.childId === leftNode.id)) {
-            rels.push({
-                parentId: parent.id,
-                childId: leftNode.id
-            });
-        }
-        if (!rels.some(r => r.parentId === parent.id && r.childId === rightNode.id)) {
-            rels.push({
-                parentId: parent.id,
-                childId: rightNode.id
-            });
-        }
+  const chainEnd = (chain, reuse) => {
+    const anchor = anchorOf(chain);
+    let cur = anchor;
+    let owner = chain.owner || null;
+    for (const term of chain.terms) {
+      const start = { base: cur, owner };
+      term.moves.forEach((move, i) => {
+        const last = i === term.moves.length - 1;
+        const sex = last ? term.noun.sex : move.sex || (move.spouse ? opposite(cur.sex) : "unknown");
+        // составной термин («тёща») называется целиком, простой — так, как его назовёт анализатор
+        let finalTitle = last && term.moves.length > 1 ? term.noun.forms[0] : null;
+        if (last && term.rank) finalTitle = `${sexNoun(sex, term.rank === "younger" ? "младший" : "старший", term.rank === "younger" ? "младшая" : "старшая")} ${finalTitle || (move.spouse ? partnerTerm(sex) : kinshipTerms(move.down, move.up, sex, "unknown").title)}`;
+        if (last && term.side) finalTitle = ruKinship.withLine(finalTitle || kinshipTerms(move.down, move.up, sex, "unknown").title, ruKinship.line(term.side));
+        cur = step(cur, owner, { ...move, side: term.side }, sex, finalTitle, last && term.moves.length > 1 ? start : null, reuse, last && term.rank ? term : null);
+        owner = null;
+      });
     }
+    return { anchor, person: cur, token: chain.terms.at(-1)?.token || chain.name?.token };
+  };
 
-    return {
-        people,
-        rels
-    };
+  // «X — Y»: один человек. Остаётся тот, у кого есть имя; безымянному описание второй цепочки
+  // идёт в примечание («Его мать» — «младшая сестра её деда»)
+  const same = (a, b, token) => {
+    let [keep, drop] = [byId(a.id), byId(b.id)];
+    if (keep.id === drop.id) return;
+    const isNamed = (p) => [...named.values()].some((id) => resolve(id) === p.id);
+    if (!isNamed(keep) && isNamed(drop)) [keep, drop] = [drop, keep];
+    if (keep.sex !== "unknown" && drop.sex !== "unknown" && keep.sex !== drop.sex)
+      throw kinParseError(`«${keep.name}» и «${drop.name}» не могут быть одним человеком`, token, text);
+    // «Пётр — отец Петра», «Анна — мать Марии» после «Мария — мать Анны»: человек стал бы своим предком
+    if (isAncestor(keep.id, drop.id) || isAncestor(drop.id, keep.id))
+      throw kinParseError(`«${keep.name}» и «${drop.name}» не могут быть одним человеком: человек не бывает своим предком`, token, text);
+    if (!isNamed(keep)) people = people.map((p) => (p.id === keep.id ? { ...p, note: [p.note, drop.name[0].toLowerCase() + drop.name.slice(1)].filter(Boolean).join("; ") } : p));
+    ({ people, rels, unions } = mergePeople(keep.id, drop.id, { people, rels, unions }));
+    alias.set(drop.id, keep.id);
+  };
+
+  let focus = null;
+  for (const { chains, question } of sentences) {
+    const ends = chains.map((chain) => chainEnd(chain, question));
+    if (question) {
+      focus = [ends[0].person.id, ends[1].person.id];
+      continue;
+    }
+    if (ends.length === 2) same(ends[0].person, ends[1].person, ends[1].token);
+    // склеивание могло сделать старшинство противоречивым: «Олег — младший брат Петра. Пётр — младший брат Олега»
+    checkOrder(ends.at(-1).token);
+    if (!focus) {
+      const [first, second] = ends;
+      focus = [first.anchor.id, second && second.anchor.id !== first.anchor.id ? second.anchor.id : first.person.id];
+    }
+  }
+  applyOrder();
+  // named — люди, которых текст называет прямо: их можно сопоставить с уже существующими
+  const namedIds = [...new Set([...anchors, ...named.values()].map(resolve))];
+  return { people, rels, unions, named: namedIds, focusA: resolve(focus[0]), focusB: resolve(focus[1]) };
 }
 
 function parseAdvancedKinship(inputText) {
-    // нормализация + токенизация
-    const norm = normalizeText(inputText);
-    if (!norm) throw new Error("Пустая строка");
-    const raw = norm.split(" ").filter(Boolean);
-    // оставляем «её» как «ее» (normalizeText уже сделал), убираем длинные тире (превращены в слова «—»/«-»)
-    const tokens = raw;
+  return buildKinshipGraph(parseKinshipScenario(inputText), inputText);
+}
 
-    let i = 0;
-    const left = parseRelativeSpec(tokens, i);
-    i = left.next;
+/** @typedef {{ id: string, reason: "name"|"picked"|"parent", via?: string }} KinMatch */
 
-    const conn = parseSiblingConnector(tokens, i);
-    i = conn.next;
+// Добавление разобранного сценария в текущее дерево. Названные в тексте люди (parsed.named)
+// сопоставляются с существующими: явный выбор picks (id из разбора → id в дереве, "" — новый
+// человек) важнее совпадения полного имени; тёзки без выбора остаются новыми (candidates).
+// Заготовки вроде «Отец Петра» склеиваются только доказуемо: у сопоставленного человека уже
+// есть родитель того же пола, а второго отца или второй матери не бывает.
+function mergeParsedIntoTree(tree, parsed, picks = {}) {
+  const byId = (people, id) => people.find((p) => p.id === id);
+  const parentsIn = ({ people, rels }, id) => rels.filter((r) => r.childId === id).map((r) => byId(people, r.parentId)).filter(Boolean);
+  const compatible = (a, b) => a.sex === "unknown" || b.sex === "unknown" || a.sex === b.sex;
+  /** @type {Record<string, KinMatch>} */
+  const matches = {};
+  const candidates = {}; // id из разбора → тёзки в дереве
+  const conflicts = []; // выбран человек другого пола
+  const taken = new Set();
+  const queue = [];
+  const take = (id, match) => {
+    matches[id] = match;
+    taken.add(match.id);
+    queue.push(id);
+  };
+  const named = (parsed.named || []).map((id) => byId(parsed.people, id)).filter(Boolean);
 
-    const right = parseRelativeSpec(tokens, i);
-    i = right.next;
+  named.forEach((p) => {
+    const target = picks[p.id] && byId(tree.people, picks[p.id]);
+    if (!target || taken.has(target.id)) return;
+    if (compatible(p, target)) take(p.id, { id: target.id, reason: "picked" });
+    else conflicts.push(p.id);
+  });
+  named.forEach((p) => {
+    if (p.id in picks) return;
+    const key = searchNorm(p.name).trim();
+    const same = tree.people.filter((e) => searchNorm(e.name).trim() === key && compatible(p, e) && !taken.has(e.id));
+    if (same.length === 1) take(p.id, { id: same[0].id, reason: "name" });
+    else if (same.length > 1) candidates[p.id] = same.map((e) => e.id);
+  });
 
-    if (i < tokens.length) {
-        // могут остаться хвосты вроде «и т.д.» — не критично
+  const isNamed = new Set(named.map((p) => p.id));
+  while (queue.length) {
+    const id = queue.shift();
+    const known = parentsIn(tree, matches[id].id);
+    for (const parent of parentsIn(parsed, id)) {
+      if (matches[parent.id] || isNamed.has(parent.id) || parent.sex === "unknown") continue;
+      const same = known.filter((e) => e.sex === parent.sex);
+      if (same.length === 1 && !taken.has(same[0].id)) take(parent.id, { id: same[0].id, reason: "parent", via: id });
     }
+  }
+
+  let doc = { people: [...tree.people, ...parsed.people], rels: [...tree.rels, ...parsed.rels], unions: [...tree.unions, ...parsed.unions] };
+  Object.entries(matches).forEach(([id, m]) => (doc = mergePeople(m.id, id, doc)));
+  const final = (id) => matches[id]?.id || id;
+  return { doc, matches, candidates, conflicts, focusA: final(parsed.focusA), focusB: final(parsed.focusB) };
+}
+
+
+
+// ===== Обратно: линия родства словами =====
+// Линия из allRelationPaths — притяжательной цепочкой, которую понимает parseAdvancedKinship:
+// «Он — сын младшей сестры её деда по материнской линии». Цепочка идёт от B вверх и вниз к A
+// через людей известного пола: сиблинга «развилки» на стороне B и на стороне A; при неполнородстве —
+// через общего предка. Безымянный по полу человек пропускается, звено становится длиннее.
+
+// Имя в родительном падеже: «Мария» → «Марии», «Пётр Иванов» → «Петра Иванова», «Анна Толстая» → «Анны Толстой».
+// Первое слово — имя, дальше отчество и фамилия.
+const KIN_GENITIVE_NAMES = { петр: "Петра", павел: "Павла", лев: "Льва" };
+
+// Подписи, которые сложил buildKinshipGraph, устроены как его phrase: голова «[её] [младшая] сестра»
+// и хвост, уже стоящий в родительном падеже («Отец Петра», «Ребёнок Петра», «Младшая сестра её деда»).
+// Число слов головы; 0 — это обычное имя.
+function kinPlaceholderHead(name) {
+  const words = name.split(" ").map(searchNorm);
+  let i = KIN_OWNERS[words[0]] ? 1 : 0;
+  while (i < words.length && kinModifier(words[i])) i++;
+  return i < words.length && words[i].split("/").every(kinNoun) ? i + 1 : 0;
+}
+
+function kinGenitiveName(name, sex) {
+  const female = sex === "female";
+  const head = kinPlaceholderHead(name);
+  if (head) {
+    const words = name.split(" ");
+    return [genitive(words.slice(0, head).join(" ").toLowerCase()), ...words.slice(head)].join(" ");
+  }
+  return name
+    .split(" ")
+    .map((w, i) => {
+      const key = searchNorm(w);
+      if (KIN_GENITIVE_NAMES[key]) return KIN_GENITIVE_NAMES[key];
+      const surname = i ? (female ? [[/(ов|ев|ёв|ин|ын)а$/, "$1ой"], [/ая$/, "ой"]] : [[/ий$/, "ого"], [/ой$/, "ого"]]) : [];
+      const rules = [
+        ...surname,
+        [/ия$/, "ии"],
+        [/([гкхжшщч])а$/, "$1и"],
+        [/а$/, "ы"],
+        [/я$/, "и"],
+        [/й$/, "я"],
+        ...(female ? [[/ь$/, "и"]] : [[/ь$/, "я"], [/([бвгджзклмнпрстфхцчшщ])$/, "$1а"]]),
+      ];
+      const rule = rules.find(([re]) => re.test(w));
+      return rule ? w.replace(rule[0], rule[1]) : w;
+    })
+    .join(" ");
+}
+
+function kinshipChainSentence(rp, byId) {
+  const { pathA, pathB, k, l } = rp;
+  const A = byId[pathA[0]];
+  const B = byId[pathB[0]];
+  if (!A || !B) return "";
+  // Остановки цепочки: up — поколений вверх от B, down — затем вниз
+  const stop = (id, up, down) => ({ p: byId[id], up, down });
+  const stops = [stop(B.id, 0, 0)];
+  if (rp.half) stops.push(stop(pathA.at(-1), l, 0));
+  else if (k && l) {
+    if (l >= 2) stops.push(stop(pathB.at(-2), l - 1, 0));
+    if (k >= 2) stops.push(stop(pathA.at(-2), l, 1));
+  }
+  stops.push(stop(A.id, l, k));
+  const route = stops.filter((s, i) => s.p && (i === 0 || i === stops.length - 1 || s.p.sex !== "unknown"));
+
+  // Звенья от B к A: кем следующий приходится предыдущему
+  const links = route.slice(1).map((to, i) => {
+    const from = route[i];
+    const up = to.up - from.up;
+    const down = to.down - from.down;
+    let title = kinshipTerms(down, up, to.p.sex, from.p.sex).title;
+    if (up === 1 && down === 1 && to.p.sex !== "unknown") title = ruKinship.withRank(title, birthRank(to.p, from.p), to.p.sex);
+    const side = !from.up && !down && up >= 2 && byId[pathB[1]]?.sex;
+    return { title, sex: to.p.sex, line: side === "female" ? ruKinship.line("maternal") : side === "male" ? ruKinship.line("paternal") : "" };
+  });
 
-    return buildGraphFromSibling(left, conn, right);
+  // Читается от A: первое звено в именительном падеже, остальные — в родительном
+  const owner = Object.entries(KIN_OWNER_PERSON).find(([, [name]]) => name === B.name)?.[0];
+  const words = links.reverse().map((link, i) => {
+    const last = i === links.length - 1;
+    const form = (x) => (i ? genitive(x) : x);
+    const mine = last && owner ? form(kinOwnerWord(owner, link.sex)) + " " : "";
+    return [mine + form(link.title), link.line, last && !owner ? kinGenitiveName(B.name, B.sex) : ""].filter(Boolean).join(" ");
+  });
+  return `${A.name} — ${words.join(" ")}`;
 }
 
+// Предпросмотр добавления в дерево: сопоставление названных людей (можно поменять),
+// склеенные заготовки, что добавится и изменится, и новые ошибки целостности
+function ParsedMergePreview({ tree, parsed, picks, onPick, entries, L, t, onAccept, onCancel }) {
+  const result = useMemo(() => mergeParsedIntoTree(tree, parsed, picks), [tree, parsed, picks]);
+  const { doc, matches, candidates, conflicts } = result;
+  const ops = useMemo(() => diffCollections(tree, doc), [tree, doc]);
+  const fresh = useMemo(() => newErrors(validateTree(tree, L), validateTree(doc, L)), [tree, doc, L]);
+  const nameIn = (people, id) => people.find((p) => p.id === id)?.name || id;
+  const docName = (id) => nameIn(doc.people, id);
+  const added = (coll) => ops.filter((op) => op.coll === coll && !op.before).map((op) => op.after);
+  const newPeople = added("people");
+  const newRels = added("rels");
+  const newUnions = added("unions");
+  const changed = ops.filter((op) => op.coll === "people" && op.before && op.after).map((op) => op.after);
+  const unified = Object.entries(matches).filter(([, m]) => m.reason === "parent");
+  const blocked = fresh.length > 0 || conflicts.length > 0;
+  return (
+    <div className="text-xs rounded-xl border border-violet-200 dark:border-violet-800 p-2 space-y-2">
+      <div className="font-semibold">{t("parser.preview")}</div>
+      {parsed.named.map((id) => (
+        <div key={id} className="space-y-1">
+          <div>
+            <span className="font-medium">{nameIn(parsed.people, id)}</span>{" "}
+            <span className="text-slate-500">
+              {conflicts.includes(id) ? t("parser.match.sex") : matches[id] ? t(`parser.match.${matches[id].reason}`) : candidates[id] ? t("parser.match.ambiguous", { count: candidates[id].length }) : t("parser.match.none")}
+            </span>
+          </div>
+          <PersonPicker value={matches[id]?.id || ""} onChange={(v) => onPick(id, v)} entries={entries} placeholder={t("parser.newPerson")} t={t} />
+        </div>
+      ))}
+      {unified.map(([id, m]) => (
+        <div key={id} className="text-slate-600 dark:text-slate-400">{t("parser.unified", { a: nameIn(parsed.people, id), b: docName(m.id), via: nameIn(parsed.people, m.via) })}</div>
+      ))}
+      <div className="space-y-0.5">
+        {newPeople.length ? <div className="text-emerald-700 dark:text-emerald-300">{t("parser.addPeople", { count: newPeople.length, list: newPeople.map((p) => p.name).join(", ") })}</div> : null}
+        {newRels.length ? <div className="text-emerald-700 dark:text-emerald-300">{t("parser.addLinks", { count: newRels.length, list: newRels.map((r) => `${docName(r.parentId)} → ${docName(r.childId)}`).join(", ") })}</div> : null}
+        {newUnions.length ? <div className="text-emerald-700 dark:text-emerald-300">{t("parser.addUnions", { count: newUnions.length, list: newUnions.map((u) => u.partners.map(docName).join(" + ")).join(", ") })}</div> : null}
+        {changed.length ? <div className="text-amber-700 dark:text-amber-300">{t("parser.changePeople", { list: changed.map((p) => p.name).join(", ") })}</div> : null}
+        {!ops.length ? <div className="text-slate-500">{t("parser.noChanges")}</div> : null}
+      </div>
+      {fresh.length ? (
+        <div className="rounded-lg bg-rose-50 text-rose-800 dark:bg-rose-900/30 dark:text-rose-200 p-1.5" role="alert">
+          {t("parser.mergeErrors")}
+          {fresh.map((i, n) => <div key={n}>• {i.message}</div>)}
+        </div>
+      ) : null}
+      <div className="flex gap-2">
+        <button onClick={() => onAccept(result)} disabled={blocked} className="flex-1 px-3 py-1.5 rounded-xl bg-violet-600 text-white hover:bg-violet-700 disabled:opacity-40">{t("parser.accept")}</button>
+        <button onClick={onCancel} className="flex-1 px-3 py-1.5 rounded-xl border border-slate-200 dark:border-slate-700">{t("parser.cancel")}</button>
+      </div>
+    </div>
+  );
+}
 
 function QuickParser({
     onDemo,
-    onApply
+    onApply,
+    onMerge,
+    tree,
+    entries,
+    L,
+    t
 }) {
     const [text, setText] = useState("");
+    // Ошибка разбора: сообщение и границы непонятого слова для подсветки
+    const [error, setError] = useState(/** @type {{ message: string, start: number, end: number } | null} */ (null));
+    // replace — новое дерево вместо текущего, add — добавить к текущему через предпросмотр
+    const [mode, setMode] = useState(/** @type {"replace"|"add"} */ ("replace"));
+    const [draft, setDraft] = useState(/** @type {{ parsed: any, picks: Record<string, string> } | null} */ (null));
     const canonical = "его мать младшая сестра ее деда по материнской линии";
 
     const handleParse = () => {
         const norm = normalizeText(text);
+        setError(null);
+        setDraft(null);
         try {
             const res = parseAdvancedKinship(text);
             if (res && res.people?.length) {
-                onApply(res);
+                if (mode === "add") setDraft({ parsed: res, picks: {} });
+                else onApply(res);
                 return;
             }
         } catch (e) {
@@ -1183,18 +6632,49 @@ function QuickParser({
                 onDemo();
                 return;
             }
-            alert("Не удалось разобрать фразу: " + e.message + "\nПоддерживаются конструкции:\n«его/ее мать|отец — [младшая|старшая] сестра|брат ее/его деда|бабушки по материнской|отцовской линии».");
+            setError({ message: e.message, start: e.start ?? 0, end: e.end ?? 0 });
             return;
         }
     };
 
     return (
   <div className="space-y-2">
-    <textarea value={text} onChange={(e)=> setText(e.target.value)} placeholder={"его мать — младшая сестра её деда по материнской линии"} className="w-full h-24 px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800" onKeyDown={(e) => { if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) { e.preventDefault(); handleParse(); } }} />
+    <div className="flex gap-1 text-xs" role="radiogroup">
+      {["replace", "add"].map((m) => (
+        <button key={m} role="radio" aria-checked={mode === m} onClick={() => { setMode(m); setDraft(null); }} className={`flex-1 px-2 py-1 rounded-lg border ${mode === m ? "border-violet-500 bg-violet-50 dark:bg-violet-900/30" : "border-slate-200 dark:border-slate-700"}`}>
+          {t(`parser.mode.${m}`)}
+        </button>
+      ))}
+    </div>
+    <textarea value={text} onChange={(e)=> { setText(e.target.value); setError(null); setDraft(null); }} placeholder={"Анна — дочь Петра.\nПётр — брат Марии.\nКто Анна для сына Марии?"} className="w-full h-24 px-3 py-2 rounded-xl border border-slate-200 dark:border-slate-700 bg-white dark:bg-slate-800" onKeyDown={(e) => { if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) { e.preventDefault(); handleParse(); } }} />
       <button onClick={handleParse} className="w-full inline-flex items-center justify-center gap-2 px-3 py-2 rounded-xl bg-violet-600 text-white hover:bg-violet-700 active:scale-[.98] transition">
-        Преобразовать в схему
+        {t("parser.button")}
       </button>
-      <div className="text-[11px] text-slate-500">Подсказка: ⌘/Ctrl+Enter — преобразовать</div>
+      {error ? (
+        <div className="text-xs rounded-xl bg-rose-50 text-rose-800 dark:bg-rose-900/30 dark:text-rose-200 p-2 space-y-1" role="alert">
+          <div>{t("parser.failed", { error: error.message })}</div>
+          <div className="font-mono whitespace-pre-wrap break-words text-slate-700 dark:text-slate-300">
+            {text.slice(0, error.start)}
+            <mark className="bg-rose-200 dark:bg-rose-700 rounded px-0.5">{text.slice(error.start, error.end) || " "}</mark>
+            {text.slice(error.end)}
+          </div>
+          <div className="text-slate-600 dark:text-slate-400">{t("parser.grammar")}</div>
+        </div>
+      ) : null}
+      {draft ? (
+        <ParsedMergePreview
+          tree={tree}
+          parsed={draft.parsed}
+          picks={draft.picks}
+          onPick={(id, target) => setDraft((d) => ({ ...d, picks: { ...d.picks, [id]: target } }))}
+          entries={entries}
+          L={L}
+          t={t}
+          onAccept={(result) => { onMerge(result); setDraft(null); }}
+          onCancel={() => setDraft(null)}
+        />
+      ) : null}
+      <div className="text-[11px] text-slate-500">{t("parser.shortcut")}</div>
   </div>
   );
 }